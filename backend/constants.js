@@ -10,9 +10,18 @@ const C = {
 	ROLE_AUTHENTICATED: "$authenticated",
 	ROLE_BOARD_MEMBER: "$board-member",
 	ROLE_BOARD_OWNER: "$board-owner",
+	ROLE_BOARD_ADMIN: "$board-admin",
+	ROLE_BOARD_EDITOR: "$board-editor",
+	ROLE_BOARD_COMMENTER: "$board-commenter",
+	ROLE_BOARD_VIEWER: "$board-viewer",
 	ROLE_ADMINISTRATOR: "administrator",
 	ROLE_USER: "user",
 
+	BOARD_ROLE_ADMIN: "admin",
+	BOARD_ROLE_EDITOR: "editor",
+	BOARD_ROLE_COMMENTER: "commenter",
+	BOARD_ROLE_VIEWER: "viewer",
+
 	VISIBILITY_PRIVATE: "private",
 	VISIBILITY_PROTECTED: "protected",
 	VISIBILITY_PUBLIC: "public",
@@ -21,7 +30,12 @@ const C = {
 	TOKEN_TYPE_VERIFICATION: "verification",
 	TOKEN_TYPE_PASSWORDLESS: "passwordless",
 	TOKEN_TYPE_PASSWORD_RESET: "password-reset",
-	TOKEN_TYPE_API_KEY: "api-key"
+	TOKEN_TYPE_API_KEY: "api-key",
+	TOKEN_TYPE_BOARD_INVITATION: "board-invitation",
+	TOKEN_TYPE_REFRESH: "refresh",
+
+	API_KEY_SCOPE_READ: "read",
+	API_KEY_SCOPE_WRITE: "write"
 };
 
 module.exports = {
@@ -31,7 +45,19 @@ module.exports = {
 		C.TOKEN_TYPE_VERIFICATION,
 		C.TOKEN_TYPE_PASSWORDLESS,
 		C.TOKEN_TYPE_PASSWORD_RESET,
-		C.TOKEN_TYPE_API_KEY
+		C.TOKEN_TYPE_API_KEY,
+		C.TOKEN_TYPE_BOARD_INVITATION,
+		C.TOKEN_TYPE_REFRESH
+	],
+
+	API_KEY_SCOPES: [C.API_KEY_SCOPE_READ, C.API_KEY_SCOPE_WRITE],
+
+	// Ordered by the privilege level (lowest first)
+	BOARD_ROLES: [
+		C.BOARD_ROLE_VIEWER,
+		C.BOARD_ROLE_COMMENTER,
+		C.BOARD_ROLE_EDITOR,
+		C.BOARD_ROLE_ADMIN
 	],
 
 	DEFAULT_LABELS: [
@@ -45,7 +45,7 @@ function getGraphqlTypeFromField(res, fieldName, field, kind) {
 	}
 
 	// Skip not-well defined fields
-	if (field.type == "object" && !field.properties) return;
+	if (field.type == "object" && !field.properties && !gType) return;
 	if (field.type == "array" && !field.items && !gType) return;
 
 	if (field.type == "array" && !gType) {
@@ -58,7 +58,7 @@ function getGraphqlTypeFromField(res, fieldName, field, kind) {
 		} else {
 			type = `[${convertTypeToGraphQLType(gType || field.items.type)}]`;
 		}
-	} else if (field.type == "object") {
+	} else if (field.type == "object" && field.properties) {
 		let subTypeName = gType || `${res.entityName}${capitalize(pluralize(fieldName, 1))}`;
 		if (kind) subTypeName = `${capitalize(kind)}${capitalize(subTypeName)}Input`;
 		generateEntityGraphQLType(res, subTypeName, field.properties, kind);
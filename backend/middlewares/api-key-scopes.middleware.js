@@ -0,0 +1,52 @@
+"use strict";
+
+const _ = require("lodash");
+const { MoleculerClientError } = require("moleculer").Errors;
+const C = require("../constants");
+
+/**
+ * Is it a read-only action (`GET` REST alias or GraphQL query)?
+ * The actions with GraphQL mutation are write actions. The `apiKeyScope`
+ * property of the action overrides the detection.
+ *
+ * @param {Object} action
+ * @returns {Boolean}
+ */
+function isReadAction(action) {
+	if (action.apiKeyScope) return action.apiKeyScope == C.API_KEY_SCOPE_READ;
+
+	if (action.graphql && action.graphql.mutation) return false;
+	if (action.graphql && action.graphql.query) return true;
+
+	const rest = action.rest;
+	if (_.isString(rest)) return rest.startsWith("GET ");
+	if (Array.isArray(rest)) return rest.every(r => isReadAction({ rest: r }));
+	if (_.isObject(rest)) return rest.method == "GET";
+
+	return false;
+}
+
+module.exports = {
+	name: "ApiKeyScopes",
+
+	// Wrap local action handlers
+	localAction(handler, action) {
+		if (isReadAction(action)) return handler;
+
+		return function ApiKeyScopesMiddleware(ctx) {
+			// Only the actions which are called directly by the API gateway are checked
+			// (the gateway context is the 1st level), not the inner calls of the services.
+			const apiKey = ctx.meta.apiKey;
+			if (apiKey && ctx.level <= 2 && !apiKey.scopes.includes(C.API_KEY_SCOPE_WRITE)) {
+				throw new MoleculerClientError(
+					"The API key has no right for this operation!",
+					403,
+					"ERR_API_KEY_SCOPE",
+					{ action: action.name }
+				);
+			}
+
+			return handler(ctx);
+		};
+	}
+};
@@ -4,6 +4,14 @@ const _ = require("lodash");
 const { MoleculerClientError } = require("moleculer").Errors;
 const C = require("../constants");
 
+// Permission names of the board-level roles
+const BOARD_ROLE_PERMISSIONS = {
+	[C.ROLE_BOARD_ADMIN]: C.BOARD_ROLE_ADMIN,
+	[C.ROLE_BOARD_EDITOR]: C.BOARD_ROLE_EDITOR,
+	[C.ROLE_BOARD_COMMENTER]: C.BOARD_ROLE_COMMENTER,
+	[C.ROLE_BOARD_VIEWER]: C.BOARD_ROLE_VIEWER
+};
+
 module.exports = {
 	name: "CheckPermissions",
 
@@ -49,6 +57,16 @@ module.exports = {
 						});
 					}
 
+					if (BOARD_ROLE_PERMISSIONS[p]) {
+						// Check if user has at least the given role on the board
+						const role = BOARD_ROLE_PERMISSIONS[p];
+						return permFuncs.push(async ctx => {
+							if (_.isFunction(ctx.service.hasBoardRole))
+								return ctx.service.hasBoardRole.call(this, ctx, role);
+							return false;
+						});
+					}
+
 					// Add role or permission name
 					permNames.push(p);
 				}
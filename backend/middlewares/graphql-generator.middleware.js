@@ -3,16 +3,24 @@
 const pluralize = require("pluralize");
 const { generateCRUDGraphQL } = require("../libs/graphql-generator");
 
+// Services with generated GraphQL schema
+const SERVICES = [
+	"accounts",
+	"boards",
+	"lists",
+	"cards",
+	"card.checklists",
+	"card.attachments",
+	"card.comments",
+	"invitations",
+	"activities"
+];
+
 module.exports = {
 	name: "GraphQL-Generator",
 
 	serviceCreating(svc, schema) {
-		if (
-			!schema.settings ||
-			!schema.settings.graphql ||
-			!["accounts", "boards", "lists", "cards"].includes(schema.name)
-		)
-			return;
+		if (!schema.settings || !schema.settings.graphql || !SERVICES.includes(schema.name)) return;
 
 		let name = schema.settings.graphql.entityName || schema.name;
 		const entityName = pluralize(name, 1);
@@ -3,12 +3,14 @@
 const pluralize = require("pluralize");
 const { generateOpenAPISchema } = require("../libs/openapi-generator");
 
+const SERVICES = ["boards", "lists", "accounts", "cards", "invitations", "activities"];
+
 module.exports = {
 	name: "OpenAPI-Generator",
 
 	serviceCreating(svc, schema) {
 		const name = schema.name;
-		if (!["boards", "lists", "accounts", "cards"].includes(name)) return;
+		if (!SERVICES.includes(name)) return;
 		const entityName = pluralize(name, 1);
 		generateOpenAPISchema(entityName, schema);
 	}
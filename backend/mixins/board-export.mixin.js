@@ -0,0 +1,105 @@
+"use strict";
+
+const _ = require("lodash");
+
+/**
+ * Export & import the entities of a board for the board backup
+ * (`v1.boards.export` & `v1.boards.import`). The deleted entities are
+ * not exported. The references (e.g. `list` of cards) are remapped
+ * by the boards service before importing. The entities are imported as
+ * active ones and archived later because the validators don't accept
+ * archived parents.
+ *
+ * 	mixins: [BoardExportMixin({ fields: ["card", "title", "position"] })]
+ *
+ * @param {Object} mixinOptions
+ * @param {Array<String>} mixinOptions.fields Exported & imported fields
+ * @param {String?} mixinOptions.sort Sort of the exported entities
+ */
+module.exports = function (mixinOptions) {
+	mixinOptions = _.defaultsDeep(mixinOptions, {
+		fields: [],
+		sort: "position"
+	});
+
+	return {
+		actions: {
+			/**
+			 * Get the entities of a board for exporting.
+			 */
+			exportEntities: {
+				visibility: "protected",
+				params: {
+					board: "string"
+				},
+				async handler(ctx) {
+					return this.findEntities(ctx, {
+						query: { board: ctx.params.board, deletedAt: null },
+						sort: mixinOptions.sort,
+						fields: ["id", ...mixinOptions.fields],
+						scope: false
+					});
+				}
+			},
+
+			/**
+			 * Create the entities of an imported board. The created
+			 * entities are returned in the same order.
+			 */
+			importEntities: {
+				visibility: "protected",
+				params: {
+					entities: "object[]"
+				},
+				async handler(ctx) {
+					if (ctx.params.entities.length == 0) return [];
+
+					return this.createEntities(
+						ctx,
+						ctx.params.entities.map(entity =>
+							_.omit(_.pick(entity, ["board", ...mixinOptions.fields]), [
+								"archived",
+								"archivedAt"
+							])
+						),
+						{ permissive: true }
+					);
+				}
+			},
+
+			/**
+			 * Archive the imported entities which were archived in the export.
+			 */
+			archiveEntities: {
+				visibility: "protected",
+				params: {
+					entities: {
+						type: "array",
+						items: {
+							type: "object",
+							props: {
+								id: "string",
+								archivedAt: { type: "number", optional: true }
+							}
+						}
+					}
+				},
+				async handler(ctx) {
+					for (const entity of ctx.params.entities) {
+						await this.updateEntity(
+							ctx,
+							{
+								id: entity.id,
+								archived: true,
+								archivedAt: entity.archivedAt || Date.now(),
+								scope: false
+							},
+							{ permissive: true }
+						);
+					}
+					return ctx.params.entities.length;
+				}
+			}
+		}
+	};
+};
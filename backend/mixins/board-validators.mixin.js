@@ -20,6 +20,16 @@ module.exports = {
 				.call("v1.lists.resolve", { id: value, throwIfNotExist: true, fields: ["id"] })
 				.then(() => true)
 				.catch(err => err.message);
+		},
+
+		/**
+		 * Validate the `card` property of card-related entities.
+		 */
+		validateCard({ ctx, value }) {
+			return ctx
+				.call("v1.cards.resolve", { id: value, throwIfNotExist: true, fields: ["id"] })
+				.then(() => true)
+				.catch(err => err.message);
 		}
 	}
 };
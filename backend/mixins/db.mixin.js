@@ -44,22 +44,35 @@ module.exports = function (opts = {}) {
 		}
 	}
 
+	const adapterType = _.isString(opts.adapter) ? opts.adapter : opts.adapter.type;
+
 	const schema = {
 		mixins: [DbService(opts)],
 
-		// No need hashids encoding for NeDB at unit testing
-		methods: !TESTING
-			? {
-					encodeID(id) {
-						if (ObjectID.isValid(id)) id = id.toString();
-						return hashids.encodeHex(id);
-					},
+		methods: {
+			/**
+			 * Is the service connected to MongoDB (or NeDB)?
+			 *
+			 * @returns {Boolean}
+			 */
+			isMongoAdapter() {
+				return adapterType == "MongoDB";
+			},
 
-					decodeID(id) {
-						return hashids.decodeHex(id);
-					}
-			  }
-			: undefined,
+			// No need hashids encoding for NeDB at unit testing
+			...(!TESTING
+				? {
+						encodeID(id) {
+							if (ObjectID.isValid(id)) id = id.toString();
+							return hashids.encodeHex(id);
+						},
+
+						decodeID(id) {
+							return hashids.decodeHex(id);
+						}
+				  }
+				: {})
+		},
 
 		created() {
 			if (!process.env.HASHID_SALT) {
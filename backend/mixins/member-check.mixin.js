@@ -1,6 +1,7 @@
 "use strict";
 
 const _ = require("lodash");
+const C = require("../constants");
 
 module.exports = {
 	/**
@@ -42,6 +43,13 @@ module.exports = {
 				} else if (_.isString(ctx.params.list)) {
 					const list = await ctx.call("v1.lists.resolve", { id: ctx.params.list });
 					return ctx.call("v1.boards.resolve", { id: list.board });
+				} else if (_.isString(ctx.params.card)) {
+					const card = await ctx.call("v1.cards.resolve", {
+						id: ctx.params.card,
+						fields: ["id", "board"],
+						throwIfNotExist: true
+					});
+					return ctx.call("v1.boards.resolve", { id: card.board });
 				}
 			}
 		},
@@ -72,6 +80,54 @@ module.exports = {
 
 			const board = await this._getBoardEntity(ctx);
 			return board != null && board.members.includes(ctx.meta.userID);
+		},
+
+		/**
+		 * Internal method to check the board-level role of the logged in user.
+		 * The higher roles include the lower ones (e.g. an editor is a commenter, as well).
+		 *
+		 * @param {Context} ctx
+		 * @param {String} role
+		 * @returns {Promise<Boolean>}
+		 */
+		async hasBoardRole(ctx, role) {
+			if (ctx.meta.$repl) return true;
+			if (!ctx.meta.userID) return false;
+
+			const board = await this._getBoardEntity(ctx);
+			return this.checkBoardRole(board, ctx.meta.userID, role);
+		},
+
+		/**
+		 * Check that the user has at least the given role on the board.
+		 *
+		 * @param {Object} board
+		 * @param {String} userID
+		 * @param {String} role
+		 * @returns {Boolean}
+		 */
+		checkBoardRole(board, userID, role) {
+			const memberRole = this.getBoardRoleOfUser(board, userID);
+			if (!memberRole) return false;
+
+			return C.BOARD_ROLES.indexOf(memberRole) >= C.BOARD_ROLES.indexOf(role);
+		},
+
+		/**
+		 * Get the role of the user on the board. The owner is always admin,
+		 * the members without explicit role are editors.
+		 *
+		 * @param {Object} board
+		 * @param {String} userID
+		 * @returns {String?}
+		 */
+		getBoardRoleOfUser(board, userID) {
+			if (!board || !userID) return null;
+			if (board.owner == userID) return C.BOARD_ROLE_ADMIN;
+			if (!board.members.includes(userID)) return null;
+
+			const found = (board.memberRoles || []).find(item => item.member == userID);
+			return found ? found.role : C.BOARD_ROLE_EDITOR;
 		}
 	}
 };
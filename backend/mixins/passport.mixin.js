@@ -58,21 +58,32 @@ module.exports = function (mixinOptions) {
 					}
 
 					if (mixinOptions.cookieName !== false) {
-						res.setHeader(
-							"Set-Cookie",
+						const cookieOptions = Object.assign(
+							{
+								//httpOnly: true,
+								path: "/",
+								maxAge: 60 * 60 * 24 * 90 // 90 days
+							},
+							mixinOptions.cookieOptions || {}
+						);
+						const cookies = [
 							cookie.serialize(
 								mixinOptions.cookieName || "jwt-token",
 								req.user.token,
-								Object.assign(
-									{
-										//httpOnly: true,
-										path: "/",
-										maxAge: 60 * 60 * 24 * 90 // 90 days
-									},
-									mixinOptions.cookieOptions || {}
-								)
+								cookieOptions
 							)
-						);
+						];
+						// Refresh token of the login session
+						if (req.user.refreshToken) {
+							cookies.push(
+								cookie.serialize(
+									mixinOptions.refreshCookieName || "refresh-token",
+									req.user.refreshToken,
+									cookieOptions
+								)
+							);
+						}
+						res.setHeader("Set-Cookie", cookies);
 					}
 
 					this.logger.info(`Successful authentication with '${providerName}'.`);
@@ -0,0 +1,100 @@
+"use strict";
+
+const _ = require("lodash");
+
+/**
+ * Hard-delete the soft-deleted entities (`deletedAt` field) of a database service.
+ * The entities of the purged parent entities are purged, too, so the
+ * dependent records are removed with the boards, lists & cards.
+ *
+ * 	mixins: [PurgeMixin({ parents: { cards: "card" } })]
+ *
+ * @param {Object} mixinOptions
+ * @param {Object?} mixinOptions.parents Parent service names & the referencing field names
+ * @param {Number?} mixinOptions.batchSize Number of entities removed in a round
+ */
+module.exports = function (mixinOptions) {
+	mixinOptions = _.defaultsDeep(mixinOptions, {
+		parents: {},
+		batchSize: 100
+	});
+
+	const events = {};
+	Object.entries(mixinOptions.parents).forEach(([parent, field]) => {
+		events[`${parent}.purged`] = async function (ctx) {
+			try {
+				await this.purgeEntities(ctx, { [field]: { $in: ctx.params.ids } });
+			} catch (err) {
+				this.logger.error(`Unable to purge the entities of the purged '${parent}'`, err);
+			}
+		};
+	});
+
+	return {
+		actions: {
+			/**
+			 * Hard-delete the entities which were soft-deleted before the given time.
+			 * With `dryRun` it returns the IDs of the entities which would be purged.
+			 */
+			purgeDeleted: {
+				visibility: "protected",
+				params: {
+					before: { type: "number", integer: true },
+					dryRun: { type: "boolean", default: false }
+				},
+				async handler(ctx) {
+					const query = { deletedAt: { $lt: ctx.params.before } };
+					if (ctx.params.dryRun) {
+						const adapter = await this.getAdapter(ctx);
+						const docs = await adapter.find({ query });
+						const ids = docs.map(doc => this.encodeID(doc._id));
+						return { count: ids.length, ids };
+					}
+
+					return { count: await this.purgeEntities(ctx, query) };
+				}
+			}
+		},
+
+		events,
+
+		methods: {
+			/**
+			 * Remove the matched entities from the database in batches and
+			 * broadcast a `<service>.purged` event with the removed IDs.
+			 * If the service has a `beforePurge` method, it's called
+			 * with the raw entities before removing.
+			 *
+			 * @param {Context} ctx
+			 * @param {Object} query Raw adapter query
+			 * @returns {Promise<Number>} Number of removed entities
+			 */
+			async purgeEntities(ctx, query) {
+				const adapter = await this.getAdapter(ctx);
+				let count = 0;
+				let docs;
+
+				do {
+					docs = await adapter.find({ query, limit: mixinOptions.batchSize });
+					if (docs.length == 0) break;
+
+					if (_.isFunction(this.beforePurge)) await this.beforePurge(ctx, docs);
+
+					await adapter.removeMany({ _id: { $in: docs.map(doc => doc._id) } });
+					count += docs.length;
+
+					await ctx.broadcast(`${this.name}.purged`, {
+						ids: docs.map(doc => this.encodeID(doc._id))
+					});
+				} while (docs.length == mixinOptions.batchSize);
+
+				if (count > 0) {
+					this.logger.info(`Purged ${count} entities.`);
+					if (this.broker.cacher) await this.broker.cacher.clean(`${this.fullName}.**`);
+				}
+
+				return count;
+			}
+		}
+	};
+};
@@ -0,0 +1,84 @@
+"use strict";
+
+const _ = require("lodash");
+
+/**
+ * Restore the soft-deleted entities (`deletedAt` field) of a database service.
+ * The restored entity is broadcasted in a `<service>.restored` event and the
+ * entities of the restored parents which were removed in the same operation
+ * (deleted at the same time or later than the parent) are restored, too.
+ *
+ * 	mixins: [RestoreMixin({ parents: { cards: "card" } })]
+ *
+ * @param {Object} mixinOptions
+ * @param {Object?} mixinOptions.parents Parent service names & the referencing field names
+ */
+module.exports = function (mixinOptions) {
+	mixinOptions = _.defaultsDeep(mixinOptions, {
+		parents: {}
+	});
+
+	const events = {};
+	Object.entries(mixinOptions.parents).forEach(([parent, field]) => {
+		events[`${parent}.restored`] = async function (ctx) {
+			const { data, deletedAt } = ctx.params;
+			try {
+				const entities = await this.findEntities(ctx, {
+					query: { [field]: data.id, deletedAt: { $gte: deletedAt } },
+					fields: ["id", "deletedAt"],
+					scope: false
+				});
+				for (const entity of entities) {
+					await this.restoreEntity(ctx, entity.id, entity.deletedAt);
+				}
+			} catch (err) {
+				this.logger.error(
+					`Unable to restore the entities of '${parent}' '${data.id}'`,
+					err
+				);
+			}
+		};
+	});
+
+	return {
+		events,
+
+		methods: {
+			/**
+			 * Get the deletion time of the entity. It's `null` if the entity is not deleted.
+			 *
+			 * @param {Context} ctx
+			 * @param {String} id
+			 * @returns {Promise<Number?>}
+			 */
+			async getDeletedAt(ctx, id) {
+				const entity = await this.resolveEntities(
+					ctx,
+					{ id, fields: ["id", "deletedAt"], scope: false },
+					{ throwIfNotExist: true }
+				);
+				return entity.deletedAt || null;
+			},
+
+			/**
+			 * Restore a deleted entity & broadcast a `<service>.restored` event.
+			 *
+			 * @param {Context} ctx
+			 * @param {String} id
+			 * @param {Number} deletedAt The original deletion time
+			 * @returns {Promise<Object>} Restored entity
+			 */
+			async restoreEntity(ctx, id, deletedAt) {
+				const entity = await this.updateEntity(
+					ctx,
+					{ id, deletedAt: null, scope: false },
+					{ permissive: true }
+				);
+
+				await ctx.broadcast(`${this.name}.restored`, { data: entity, deletedAt });
+
+				return entity;
+			}
+		}
+	};
+};
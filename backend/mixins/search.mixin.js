@@ -0,0 +1,61 @@
+"use strict";
+
+const _ = require("lodash");
+
+/**
+ * Full-text search in the entities of a database service for the `v1.search` service.
+ * With MongoDB adapter, a text index is created for the fields & the `$text`
+ * operator is used. The NeDB adapter filters the entities in memory.
+ *
+ * 	mixins: [SearchMixin({ fields: ["title", "description"] })]
+ *
+ * @param {Object} mixinOptions
+ * @param {Array<String>} mixinOptions.fields Searchable fields
+ */
+module.exports = function (mixinOptions) {
+	mixinOptions = _.defaultsDeep(mixinOptions, {
+		fields: ["title"]
+	});
+
+	return {
+		actions: {
+			/**
+			 * Search the entities by the given text.
+			 */
+			search: {
+				visibility: "protected",
+				params: {
+					q: { type: "string", empty: false },
+					query: { type: "object", optional: true },
+					scope: { type: "array", items: "string", optional: true },
+					fields: { type: "array", items: "string", optional: true },
+					limit: { type: "number", integer: true, positive: true, default: 10 }
+				},
+				async handler(ctx) {
+					return this.findEntities(ctx, {
+						search: ctx.params.q,
+						searchFields: mixinOptions.fields,
+						query: ctx.params.query,
+						scope: ctx.params.scope,
+						fields: ctx.params.fields,
+						limit: ctx.params.limit
+					});
+				}
+			}
+		},
+
+		async started() {
+			if (!this.isMongoAdapter()) return;
+
+			try {
+				const adapter = await this.getAdapter();
+				await adapter.createIndex({
+					fields: _.fromPairs(mixinOptions.fields.map(field => [field, "text"])),
+					name: "search"
+				});
+			} catch (err) {
+				this.logger.error("Unable to create the text index.", err);
+			}
+		}
+	};
+};
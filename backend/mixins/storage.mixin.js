@@ -0,0 +1,50 @@
+"use strict";
+
+const _ = require("lodash");
+const fs = require("fs");
+const crypto = require("crypto");
+const path = require("path");
+
+/**
+ * File storage mixin with changeable adapter (Local, S3...etc).
+ * The adapter mixins are in the `storages` folder and implement the
+ * `storageInit`, `storageSave`, `storageGet` and `storageRemove` methods.
+ */
+module.exports = function (mixinOptions) {
+	mixinOptions = _.defaultsDeep(mixinOptions, {
+		adapter: process.env.STORAGE_ADAPTER || "local"
+	});
+
+	const adapterName = mixinOptions.adapter.toLowerCase();
+	const filename = path.resolve(__dirname, "storages", `${adapterName}.storage.mixin.js`);
+	if (!fs.existsSync(filename))
+		throw new Error(`Unknown storage adapter '${mixinOptions.adapter}'`);
+
+	return {
+		mixins: [require(filename)],
+
+		settings: {
+			storage: _.omit(mixinOptions, ["adapter"])
+		},
+
+		methods: {
+			/**
+			 * Generate a unique storage key for a file.
+			 *
+			 * @param {String} prefix
+			 * @param {String?} originalName
+			 * @returns {String}
+			 */
+			generateStorageKey(prefix, originalName) {
+				const ext = originalName ? path.extname(originalName).toLowerCase() : "";
+				const name = crypto.randomBytes(16).toString("hex");
+				return `${prefix}/${name}${ext}`;
+			}
+		},
+
+		async started() {
+			await this.storageInit();
+			this.logger.info(`Storage adapter '${adapterName}' initialized.`);
+		}
+	};
+};
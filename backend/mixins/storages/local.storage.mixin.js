@@ -0,0 +1,76 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const pipeline = promisify(require("stream").pipeline);
+const mkdir = require("mkdirp").sync;
+
+/**
+ * Store the files in the local filesystem.
+ *
+ * Settings:
+ * 	- `folder`: root folder of the stored files. Default: `STORAGE_FOLDER` env var or `./data/uploads`
+ */
+module.exports = {
+	methods: {
+		storageInit() {
+			this.storageFolder = path.resolve(
+				this.settings.storage.folder || process.env.STORAGE_FOLDER || "./data/uploads"
+			);
+			mkdir(this.storageFolder);
+		},
+
+		/**
+		 * Save a file stream.
+		 *
+		 * @param {String} key
+		 * @param {Stream} stream
+		 * @returns {Promise<Object>} Stored file info `{ size }`
+		 */
+		async storageSave(key, stream) {
+			const filename = this.getStorageFilename(key);
+			mkdir(path.dirname(filename));
+
+			try {
+				await pipeline(stream, fs.createWriteStream(filename));
+			} catch (err) {
+				await fs.promises.rm(filename, { force: true });
+				throw err;
+			}
+
+			const stat = await fs.promises.stat(filename);
+			return { size: stat.size };
+		},
+
+		/**
+		 * Get a readable stream of a stored file.
+		 *
+		 * @param {String} key
+		 * @returns {Promise<Stream>}
+		 */
+		async storageGet(key) {
+			const filename = this.getStorageFilename(key);
+			await fs.promises.access(filename, fs.constants.R_OK);
+			return fs.createReadStream(filename);
+		},
+
+		/**
+		 * Remove a stored file.
+		 *
+		 * @param {String} key
+		 */
+		async storageRemove(key) {
+			await fs.promises.rm(this.getStorageFilename(key), { force: true });
+		},
+
+		getStorageFilename(key) {
+			const filename = path.resolve(this.storageFolder, key);
+			// Don't allow to get out from the storage folder
+			if (!filename.startsWith(this.storageFolder + path.sep))
+				throw new Error(`Invalid storage key '${key}'`);
+
+			return filename;
+		}
+	}
+};
@@ -0,0 +1,86 @@
+"use strict";
+
+/**
+ * Store the files in an S3-compatible object storage (AWS S3, MinIO...etc).
+ *
+ * Settings (default values come from env vars):
+ * 	- `endPoint`: S3_ENDPOINT
+ * 	- `port`: S3_PORT
+ * 	- `useSSL`: S3_USE_SSL
+ * 	- `accessKey`: S3_ACCESS_KEY
+ * 	- `secretKey`: S3_SECRET_KEY
+ * 	- `region`: S3_REGION
+ * 	- `bucket`: S3_BUCKET (default: "kantab")
+ */
+module.exports = {
+	methods: {
+		async storageInit() {
+			let Minio;
+			try {
+				Minio = require("minio");
+			} catch (error) {
+				this.broker.fatal(
+					"The 'minio' package is missing. Please install it with 'npm i minio' command."
+				);
+				return;
+			}
+
+			const opts = this.settings.storage;
+			this.storageBucket = opts.bucket || process.env.S3_BUCKET || "kantab";
+			this.storageRegion = opts.region || process.env.S3_REGION || "us-east-1";
+
+			const port = opts.port || process.env.S3_PORT;
+			this.storageClient = new Minio.Client({
+				endPoint: opts.endPoint || process.env.S3_ENDPOINT || "localhost",
+				port: port ? Number(port) : undefined,
+				useSSL: opts.useSSL != null ? opts.useSSL : process.env.S3_USE_SSL != "false",
+				accessKey: opts.accessKey || process.env.S3_ACCESS_KEY,
+				secretKey: opts.secretKey || process.env.S3_SECRET_KEY,
+				region: this.storageRegion
+			});
+
+			const exists = await this.storageClient.bucketExists(this.storageBucket);
+			if (!exists) {
+				await this.storageClient.makeBucket(this.storageBucket, this.storageRegion);
+				this.logger.info(`S3 bucket '${this.storageBucket}' created.`);
+			}
+		},
+
+		/**
+		 * Save a file stream.
+		 *
+		 * @param {String} key
+		 * @param {Stream} stream
+		 * @param {Object?} meta
+		 * @returns {Promise<Object>} Stored file info `{ size }`
+		 */
+		async storageSave(key, stream, meta = {}) {
+			const metaData = {};
+			if (meta.mimetype) metaData["Content-Type"] = meta.mimetype;
+
+			await this.storageClient.putObject(this.storageBucket, key, stream, metaData);
+
+			const stat = await this.storageClient.statObject(this.storageBucket, key);
+			return { size: stat.size };
+		},
+
+		/**
+		 * Get a readable stream of a stored file.
+		 *
+		 * @param {String} key
+		 * @returns {Promise<Stream>}
+		 */
+		storageGet(key) {
+			return this.storageClient.getObject(this.storageBucket, key);
+		},
+
+		/**
+		 * Remove a stored file.
+		 *
+		 * @param {String} key
+		 */
+		storageRemove(key) {
+			return this.storageClient.removeObject(this.storageBucket, key);
+		}
+	}
+};
@@ -5,7 +5,13 @@ const bcrypt = require("bcrypt");
 const _ = require("lodash");
 
 const jwt = require("jsonwebtoken");
-const speakeasy = require("speakeasy");
+const OTPAuth = require("otpauth");
+const {
+	generateRegistrationOptions,
+	verifyRegistrationResponse,
+	generateAuthenticationOptions,
+	verifyAuthenticationResponse
+} = require("@simplewebauthn/server");
 
 const DbService = require("../mixins/db.mixin");
 const { generateValidatorSchemaFromFields } = require("@moleculer/database");
@@ -15,6 +21,7 @@ const C = require("../constants");
 
 const HASH_SALT_ROUND = 10;
 const TOKEN_EXPIRATION = 60 * 60 * 1000; // 1 hour
+const RECOVERY_CODE_COUNT = 10;
 
 const TESTING = process.env.NODE_ENV === "test";
 
@@ -61,14 +68,19 @@ const FIELDS = {
 	},
 	verified: { type: "boolean", readonly: true, default: false },
 	token: { type: "string", readonly: true, virtual: true }, // filled only in login response
+	refreshToken: { type: "string", readonly: true, virtual: true }, // filled only in login response
 	totp: {
 		type: "object",
 		readonly: true,
 		properties: {
 			enabled: { type: "boolean", default: false },
-			secret: { type: "string", hidden: true }
+			secret: { type: "string", hidden: true },
+			recoveryCodes: { type: "array", items: "string", hidden: true }
 		}
 	},
+	// WebAuthn credentials (security keys, passkeys) as second factor
+	webauthnCredentials: { type: "array", items: "object", readonly: true, hidden: true },
+	webauthnChallenge: { type: "string", readonly: true, hidden: true },
 	...C.TIMESTAMP_FIELDS,
 	lastLoginAt: { type: "number", readonly: true, graphql: { type: "Long" } }
 };
@@ -113,15 +125,54 @@ module.exports = {
 			type: `
 				type LoginResponse {
 					token: String
+					refreshToken: String
 					passwordless: Boolean
 					email: String
+					twoFactorRequired: Boolean
+					webauthnOptions: JSON
 				}
 
-				type Enable2FAResponse {
+				type Init2FAResponse {
 					otpauthURL: String!
 					secret: String!
 				}
 
+				type Confirm2FAResponse {
+					recoveryCodes: [String!]!
+				}
+
+				type WebAuthnKey {
+					id: String!
+					name: String!
+					createdAt: Long
+					lastUsedAt: Long
+				}
+
+				type ApiKey {
+					id: String!
+					name: String!
+					scopes: [String!]!
+					expiry: Long
+					createdAt: Long
+					lastUsedAt: Long
+					token: String
+				}
+
+				type Session {
+					id: String!
+					device: String
+					ip: String
+					createdAt: Long
+					lastUsedAt: Long
+					expiry: Long
+					current: Boolean!
+				}
+
+				type WebAuthnRegisterResponse {
+					key: WebAuthnKey!
+					recoveryCodes: [String!]
+				}
+
 				type Member {
 					id: String!
 					username: String
@@ -153,7 +204,8 @@ module.exports = {
 	 */
 	actions: {
 		/**
-		 * Get user by JWT token (for API GW authentication)
+		 * Get user by JWT token (for API GW authentication).
+		 * The login session of the token must not be revoked.
 		 *
 		 * @actions
 		 * @param {String} token - JWT token
@@ -164,7 +216,7 @@ module.exports = {
 			visibility: "public",
 			cache: {
 				keys: ["token"],
-				ttl: 60 * 60 // 1 hour
+				ttl: 60 // 1 minute
 			},
 			params: {
 				token: "string"
@@ -174,13 +226,63 @@ module.exports = {
 				if (!decoded.id)
 					throw new MoleculerClientError("Invalid token", 401, "INVALID_TOKEN");
 
-				const user = await this.resolveEntities(ctx, decoded, { transform: false });
+				const user = await this.resolveEntities(
+					ctx,
+					{ id: decoded.id },
+					{ transform: false }
+				);
 				this.checkUser(user);
 
+				const session =
+					decoded.sid &&
+					(await ctx.call("v1.tokens.checkByID", {
+						type: C.TOKEN_TYPE_REFRESH,
+						id: decoded.sid,
+						owner: decoded.id
+					}));
+				if (!session)
+					throw new MoleculerClientError("Session is revoked", 401, "INVALID_TOKEN");
+
 				return await this.transformResult(null, user, {}, ctx);
 			}
 		},
 
+		/**
+		 * Get user by personal API key (for API GW authentication)
+		 *
+		 * @actions
+		 * @param {String} key - API key
+		 *
+		 * @returns {Object} Resolved user & the API key
+		 */
+		resolveApiKey: {
+			visibility: "public",
+			params: {
+				key: "string"
+			},
+			async handler(ctx) {
+				const apiKey = await ctx.call("v1.tokens.check", {
+					type: C.TOKEN_TYPE_API_KEY,
+					token: ctx.params.key,
+					isUsed: true
+				});
+				if (!apiKey)
+					throw new MoleculerClientError("Invalid API key", 401, "INVALID_TOKEN");
+
+				const user = await this.resolveEntities(
+					ctx,
+					{ id: apiKey.owner },
+					{ transform: false }
+				);
+				this.checkUser(user);
+
+				return {
+					user: await this.transformResult(null, user, {}, ctx),
+					apiKey: _.pick(apiKey, ["id", "name", "scopes"])
+				};
+			}
+		},
+
 		/**
 		 * Get current user entity.
 		 *
@@ -296,7 +398,7 @@ module.exports = {
 				if (user.verified) {
 					// Send welcome email
 					this.sendMail(ctx, user, "welcome");
-					user.token = await this.getToken(user);
+					Object.assign(user, await this.createSession(ctx, user));
 				} else {
 					const token = await this.generateToken(
 						C.TOKEN_TYPE_VERIFICATION,
@@ -358,9 +460,7 @@ module.exports = {
 				// No need to wait it.
 				this.sendMail(ctx, user, "welcome");
 
-				return {
-					token: await this.getToken(user)
-				};
+				return await this.createSession(ctx, user);
 			}
 		},
 
@@ -445,11 +545,14 @@ module.exports = {
 			params: {
 				email: { type: "string", optional: false },
 				password: { type: "string", optional: true },
-				token: { type: "string", optional: true, convert: true }
+				token: { type: "string", optional: true, convert: true },
+				recoveryCode: { type: "string", optional: true },
+				webauthnResponse: { type: "object", optional: true }
 			},
 			rest: "POST /login",
 			graphql: {
-				mutation: "login(email: String!, password: String, token: String): LoginResponse!"
+				mutation:
+					"login(email: String!, password: String, token: String, recoveryCode: String, webauthnResponse: JSON): LoginResponse!"
 			},
 			async handler(ctx) {
 				// Get user by email
@@ -506,27 +609,27 @@ module.exports = {
 				}
 
 				// Check Two-factor authentication
-				if (_user.totp && _user.totp.enabled) {
-					if (!ctx.params.token) {
-						throw new MoleculerClientError(
-							"Two-factor authentication is enabled. Please give the 2FA code.",
-							400,
-							"ERR_MISSING_2FA_CODE"
-						);
-					}
-
-					if (!(await this.verify2FA(_user.totp.secret, ctx.params.token))) {
-						throw new MoleculerClientError(
-							"Invalid 2FA token.",
-							400,
-							"TWOFACTOR_INVALID_TOKEN"
-						);
-					}
+				const passed2Fa = await this.check2Fa(ctx, _user, user, {
+					token: ctx.params.token,
+					recoveryCode: ctx.params.recoveryCode,
+					webauthnResponse: ctx.params.webauthnResponse
+				});
+				if (!passed2Fa) {
+					throw new MoleculerClientError(
+						"Two-factor authentication is enabled. Please give the 2FA code.",
+						400,
+						"ERR_MISSING_2FA_CODE",
+						{
+							webauthnOptions: await this.generateWebAuthnLoginOptions(
+								ctx,
+								_user,
+								user
+							)
+						}
+					);
 				}
 
-				return {
-					token: await this.getToken(user)
-				};
+				return await this.createSession(ctx, user);
 			}
 		},
 
@@ -556,13 +659,13 @@ module.exports = {
 							);
 
 						// Same user
-						user.token = await this.getToken(user);
+						Object.assign(user, await this.createSession(ctx, user));
 						return user;
 					} else {
 						// Not found linked account. Create the link
 						user = await this.link(ctx, ctx.meta.userID, provider, profile);
 
-						user.token = await this.getToken(user);
+						Object.assign(user, await this.createSession(ctx, user));
 						return user;
 					}
 				} else {
@@ -603,7 +706,7 @@ module.exports = {
 							user = await this.link(ctx, user.id, provider, profile);
 						}
 
-						user.token = await this.getToken(user);
+						Object.assign(user, await this.createSession(ctx, user));
 
 						return user;
 					}
@@ -626,7 +729,7 @@ module.exports = {
 
 					user = await this.link(ctx, user.id, provider, profile);
 
-					user.token = await this.getToken(user);
+					Object.assign(user, await this.createSession(ctx, user));
 
 					return user;
 				}
@@ -639,11 +742,14 @@ module.exports = {
 		passwordless: {
 			description: "Login with passwordless token (magic-link)",
 			params: {
-				token: { type: "string" }
+				token: { type: "string" },
+				totpToken: { type: "string", optional: true, convert: true },
+				recoveryCode: { type: "string", optional: true },
+				webauthnResponse: { type: "object", optional: true }
 			},
 			rest: "POST /passwordless",
 			graphql: {
-				mutation: `passwordlessLogin(token: String!): LoginResponse!`
+				mutation: `passwordlessLogin(token: String!, totpToken: String, recoveryCode: String, webauthnResponse: JSON): LoginResponse!`
 			},
 			async handler(ctx) {
 				if (!this.config["accounts.passwordless.enabled"])
@@ -664,11 +770,30 @@ module.exports = {
 						"INVALID_TOKEN"
 					);
 
-				const user = await this.resolveEntities(ctx, { id: token.owner });
+				const _user = await this.resolveEntities(
+					ctx,
+					{ id: token.owner },
+					{ transform: false }
+				);
+				this.checkUser(_user, { noVerification: true });
+				const user = await this.transformResult(null, _user, {}, ctx);
 
-				// Check status
-				if (user.status !== 1) {
-					throw new MoleculerClientError("Account is disabled.", 400, "ACCOUNT_DISABLED");
+				// Check Two-factor authentication. The token is kept for the next attempt.
+				const passed2Fa = await this.check2Fa(ctx, _user, user, {
+					token: ctx.params.totpToken,
+					recoveryCode: ctx.params.recoveryCode,
+					webauthnResponse: ctx.params.webauthnResponse
+				});
+				if (!passed2Fa) {
+					// The options are given only if the user has security keys
+					const webauthnOptions = await this.generateWebAuthnLoginOptions(
+						ctx,
+						_user,
+						user
+					);
+					return webauthnOptions
+						? { twoFactorRequired: true, webauthnOptions }
+						: { twoFactorRequired: true };
 				}
 
 				// Verified account if not
@@ -689,9 +814,7 @@ module.exports = {
 					token: ctx.params.token
 				});
 
-				return {
-					token: await this.getToken(user)
-				};
+				return await this.createSession(ctx, user);
 			}
 		},
 
@@ -732,11 +855,14 @@ module.exports = {
 			description: "Reset forgotten password",
 			params: {
 				token: { type: "string" },
-				password: FIELDS.password
+				password: FIELDS.password,
+				totpToken: { type: "string", optional: true, convert: true },
+				recoveryCode: { type: "string", optional: true },
+				webauthnResponse: { type: "object", optional: true }
 			},
 			rest: "POST /reset-password",
 			graphql: {
-				mutation: `resetPassword(token: String! password: String!): LoginResponse!`
+				mutation: `resetPassword(token: String! password: String!, totpToken: String, recoveryCode: String, webauthnResponse: JSON): LoginResponse!`
 			},
 			async handler(ctx) {
 				const token = await ctx.call("v1.tokens.check", {
@@ -751,8 +877,32 @@ module.exports = {
 					);
 				}
 
-				let user = await this.resolveEntities(ctx, { id: token.owner });
-				this.checkUser(user, { noVerification: true });
+				const _user = await this.resolveEntities(
+					ctx,
+					{ id: token.owner },
+					{ transform: false }
+				);
+				this.checkUser(_user, { noVerification: true });
+				let user = await this.transformResult(null, _user, {}, ctx);
+
+				// Check Two-factor authentication before changing the password.
+				// The token is kept for the next attempt.
+				const passed2Fa = await this.check2Fa(ctx, _user, user, {
+					token: ctx.params.totpToken,
+					recoveryCode: ctx.params.recoveryCode,
+					webauthnResponse: ctx.params.webauthnResponse
+				});
+				if (!passed2Fa) {
+					// The options are given only if the user has security keys
+					const webauthnOptions = await this.generateWebAuthnLoginOptions(
+						ctx,
+						_user,
+						user
+					);
+					return webauthnOptions
+						? { twoFactorRequired: true, webauthnOptions }
+						: { twoFactorRequired: true };
+				}
 
 				// Change the password
 				user = await this.updateEntity(
@@ -772,12 +922,13 @@ module.exports = {
 					token: ctx.params.token
 				});
 
+				// Log out the other sessions which may be used with the old password
+				await this.revokeSessions(ctx, user.id);
+
 				// Send password-changed email
 				this.sendMail(ctx, user, "password-changed");
 
-				return {
-					token: await this.getToken(user)
-				};
+				return await this.createSession(ctx, user);
 			}
 		},
 
@@ -797,6 +948,7 @@ module.exports = {
 			},
 
 			async handler(ctx) {
+				this.checkNotApiKey(ctx);
 				const id = ctx.params.id ? ctx.params.id : ctx.meta.userID;
 				if (!id) throw new MoleculerClientError("Missing user ID.", 400, "MISSING_USER_ID");
 
@@ -810,6 +962,8 @@ module.exports = {
 		unlink: {
 			description: "Unlink account from a social account",
 			permissions: [C.ROLE_AUTHENTICATED],
+			// It changes the account despite the GET method
+			apiKeyScope: C.API_KEY_SCOPE_WRITE,
 			rest: "GET /unlink",
 			params: {
 				id: { type: "string", optional: true },
@@ -820,6 +974,7 @@ module.exports = {
 			},
 
 			async handler(ctx) {
+				this.checkNotApiKey(ctx);
 				const id = ctx.params.id ? ctx.params.id : ctx.meta.userID;
 				if (!id) throw new MoleculerClientError("Missing user ID.", 400, "MISSING_USER_ID");
 
@@ -828,16 +983,18 @@ module.exports = {
 		},
 
 		/**
-		 * Enable Two-Factor authentication (2FA)
+		 * Initialize Two-Factor authentication (2FA). It generates a new secret
+		 * but the 2FA is enabled only after `confirm2Fa`.
 		 */
-		enable2Fa: {
-			description: "Enable Two-Factor authentication (2FA)",
+		init2Fa: {
+			description: "Initialize Two-Factor authentication (2FA)",
 			permissions: [C.ROLE_AUTHENTICATED],
-			rest: "POST /enable2fa",
+			rest: "POST /init2fa",
 			graphql: {
-				mutation: `accountEnable2FA: Enable2FAResponse!`
+				mutation: `accountInit2FA: Init2FAResponse!`
 			},
 			async handler(ctx) {
+				this.checkNotApiKey(ctx);
 				const _user = await this.resolveEntities(
 					ctx,
 					{ id: ctx.meta.userID },
@@ -845,8 +1002,15 @@ module.exports = {
 				);
 				this.checkUser(_user);
 
+				if (_user.totp && _user.totp.enabled)
+					throw new MoleculerClientError(
+						"Two-factor authentication is already enabled.",
+						400,
+						"TWOFACTOR_ALREADY_ENABLED"
+					);
+
 				// Generate a TOTP secret and send back otpauthURL & secret
-				const secret = speakeasy.generateSecret({ length: 10 });
+				const secret = new OTPAuth.Secret({ size: 20 });
 				await this.updateEntity(
 					ctx,
 					{
@@ -859,11 +1023,7 @@ module.exports = {
 					{ permissive: true }
 				);
 
-				const otpauthURL = speakeasy.otpauthURL({
-					secret: secret.ascii,
-					label: _user.email,
-					issuer: this.configObj.site.name
-				});
+				const otpauthURL = this.createTOTP(secret.base32, _user.email).toString();
 
 				return {
 					secret: secret.base32,
@@ -873,19 +1033,21 @@ module.exports = {
 		},
 
 		/**
-		 * Finalize Two-Factor authentication (2FA)
+		 * Confirm Two-Factor authentication (2FA) with a token of the
+		 * initialized secret. It returns the recovery codes.
 		 */
-		finalize2Fa: {
-			description: "Finalize Two-Factor authentication (2FA)",
+		confirm2Fa: {
+			description: "Confirm Two-Factor authentication (2FA)",
 			permissions: [C.ROLE_AUTHENTICATED],
 			params: {
-				token: { type: "string", optional: true, convert: true }
+				token: { type: "string", convert: true }
 			},
-			rest: "POST /finalize2Fa",
+			rest: "POST /confirm2fa",
 			graphql: {
-				mutation: `accountFinalize2FA(token: String): Boolean!`
+				mutation: `accountConfirm2FA(token: String!): Confirm2FAResponse!`
 			},
 			async handler(ctx) {
+				this.checkNotApiKey(ctx);
 				const _user = await this.resolveEntities(
 					ctx,
 					{ id: ctx.meta.userID },
@@ -893,6 +1055,20 @@ module.exports = {
 				);
 				this.checkUser(_user);
 
+				if (!_user.totp || !_user.totp.secret)
+					throw new MoleculerClientError(
+						"Two-factor authentication is not initialized.",
+						400,
+						"TWOFACTOR_NOT_INITIALIZED"
+					);
+
+				if (_user.totp.enabled)
+					throw new MoleculerClientError(
+						"Two-factor authentication is already enabled.",
+						400,
+						"TWOFACTOR_ALREADY_ENABLED"
+					);
+
 				// Verify the token with secret
 				if (!(await this.verify2FA(_user.totp.secret, ctx.params.token))) {
 					throw new MoleculerClientError(
@@ -902,35 +1078,42 @@ module.exports = {
 					);
 				}
 
+				const { codes, hashes } = await this.generateRecoveryCodes();
+
 				await this.updateEntity(
 					ctx,
 					{
 						id: ctx.meta.userID,
 						totp: {
-							enabled: true
+							enabled: true,
+							recoveryCodes: hashes
 						}
 					},
 					{ permissive: true }
 				);
 
-				return true;
+				this.send2FaNotice(ctx, _user, "enabled");
+
+				return { recoveryCodes: codes };
 			}
 		},
 
 		/**
-		 * Disable Two-Factor authentication (2FA)
+		 * Regenerate the recovery codes of Two-Factor authentication (2FA).
+		 * The previous codes are invalidated.
 		 */
-		disable2Fa: {
-			description: "Disable Two-Factor authentication (2FA)",
+		regenerate2FaRecoveryCodes: {
+			description: "Regenerate the recovery codes of Two-Factor authentication (2FA)",
 			permissions: [C.ROLE_AUTHENTICATED],
 			params: {
 				token: { type: "string", convert: true }
 			},
-			rest: "GET /disable2fa",
+			rest: "POST /regenerate2fa-recovery-codes",
 			graphql: {
-				mutation: `accountDisable2FA(token: String!): Boolean!`
+				mutation: `accountRegenerate2FARecoveryCodes(token: String!): Confirm2FAResponse!`
 			},
 			async handler(ctx) {
+				this.checkNotApiKey(ctx);
 				const _user = await this.resolveEntities(
 					ctx,
 					{ id: ctx.meta.userID },
@@ -945,8 +1128,7 @@ module.exports = {
 						"TWOFACTOR_NOT_ENABLED"
 					);
 
-				const secret = _user.totp.secret;
-				if (!(await this.verify2FA(secret, ctx.params.token))) {
+				if (!(await this.verify2FA(_user.totp.secret, ctx.params.token))) {
 					throw new MoleculerClientError(
 						"Invalid token.",
 						400,
@@ -954,140 +1136,742 @@ module.exports = {
 					);
 				}
 
+				const { codes, hashes } = await this.generateRecoveryCodes();
+
 				await this.updateEntity(
 					ctx,
 					{
 						id: ctx.meta.userID,
 						totp: {
-							enabled: false,
-							secret: null
+							recoveryCodes: hashes
 						}
 					},
 					{ permissive: true }
 				);
 
-				return true;
+				this.send2FaNotice(ctx, _user, "recoveryCodesRegenerated");
+
+				return { recoveryCodes: codes };
 			}
 		},
 
 		/**
-		 * Generate a Two-Factor authentication token (TOTP)
-		 * For tests
+		 * Disable Two-Factor authentication (2FA)
 		 */
-		generate2FaToken: {
-			visibility: "protected",
+		disable2Fa: {
+			description: "Disable Two-Factor authentication (2FA)",
+			permissions: [C.ROLE_AUTHENTICATED],
 			params: {
-				id: "string"
+				token: { type: "string", convert: true }
+			},
+			// It changes the account despite the GET method
+			apiKeyScope: C.API_KEY_SCOPE_WRITE,
+			rest: "GET /disable2fa",
+			graphql: {
+				mutation: `accountDisable2FA(token: String!): Boolean!`
 			},
 			async handler(ctx) {
-				const user = await this.resolveEntities(ctx, ctx.params, { transform: false });
-				this.checkUser(user);
+				this.checkNotApiKey(ctx);
+				const _user = await this.resolveEntities(
+					ctx,
+					{ id: ctx.meta.userID },
+					{ transform: false }
+				);
+				this.checkUser(_user);
 
-				if (!user.totp || !user.totp.secret) {
+				if (!_user.totp || !_user.totp.enabled)
 					throw new MoleculerClientError(
 						"Two-factor authentication is not enabled.",
 						400,
 						"TWOFACTOR_NOT_ENABLED"
 					);
+
+				const secret = _user.totp.secret;
+				if (!(await this.verify2FA(secret, ctx.params.token))) {
+					throw new MoleculerClientError(
+						"Invalid token.",
+						400,
+						"TWOFACTOR_INVALID_TOKEN"
+					);
 				}
 
-				const secret = user.totp.secret;
-				const token = this.generate2FaToken(secret);
+				// The recovery codes are kept for the security keys
+				const hasKeys = this.getWebAuthnCredentials(_user).length > 0;
+				await this.updateEntity(
+					ctx,
+					{
+						id: ctx.meta.userID,
+						totp: {
+							enabled: false,
+							secret: null,
+							recoveryCodes: hasKeys ? _user.totp.recoveryCodes : null
+						}
+					},
+					{ permissive: true }
+				);
 
-				return { token };
-			}
-		}
-	},
+				this.send2FaNotice(ctx, _user, "disabled");
 
-	/**
-	 * Events
-	 */
-	events: {},
+				return true;
+			}
+		},
 
-	/**
-	 * Methods
-	 */
-	methods: {
 		/**
-		 * Check the user fields (verified, status)
-		 * @param {Object} user
-		 * @param {Object?} opts
+		 * List the registered WebAuthn security keys of the logged in user
 		 */
-		checkUser(user, opts = {}) {
-			if (!user) {
-				throw new MoleculerClientError(
-					"Account is not registered.",
-					400,
-					"ACCOUNT_NOT_FOUND"
+		webauthnKeys: {
+			description: "List the registered WebAuthn security keys",
+			permissions: [C.ROLE_AUTHENTICATED],
+			rest: "GET /webauthn",
+			graphql: {
+				query: `accountWebAuthnKeys: [WebAuthnKey]!`
+			},
+			async handler(ctx) {
+				this.checkNotApiKey(ctx);
+				const _user = await this.resolveEntities(
+					ctx,
+					{ id: ctx.meta.userID },
+					{ transform: false }
 				);
-			}
+				this.checkUser(_user);
 
-			if (!opts.noVerification && !user.verified) {
-				throw new MoleculerClientError(
-					"Please activate your account.",
-					400,
-					"ACCOUNT_NOT_VERIFIED"
+				return this.getWebAuthnCredentials(_user).map(credential =>
+					this.transformWebAuthnKey(credential)
 				);
 			}
-
-			if (user.status !== 1) {
-				throw new MoleculerClientError("Account is disabled.", 400, "ACCOUNT_DISABLED");
-			}
-		},
-
-		/**
-		 * Generate a JWT login for user.
-		 * @param {Object} user
-		 * @returns {String}
-		 */
-		async getToken(user) {
-			return await this.generateJWT({ id: user.id.toString() });
 		},
 
 		/**
-		 * Generate a JWT token from user entity.
-		 *
-		 * @param {Object} payload
-		 * @param {String|Number} [expiresIn]
+		 * Generate the options of a WebAuthn security key registration.
+		 * The response of the authenticator should be sent to `webauthnRegister`.
 		 */
-		generateJWT(payload, expiresIn) {
-			return new this.Promise((resolve, reject) => {
-				return jwt.sign(
-					payload,
-					process.env.JWT_SECRET,
-					{ expiresIn: expiresIn || this.config["accounts.jwt.expiresIn"] },
-					(err, token) => {
-						if (err) {
-							this.logger.warn("JWT token generation error:", err);
-							return reject(
-								new MoleculerRetryableError(
-									"Unable to generate token",
-									500,
-									"UNABLE_GENERATE_TOKEN"
-								)
-							);
-						}
+		webauthnRegisterOptions: {
+			description: "Generate WebAuthn security key registration options",
+			permissions: [C.ROLE_AUTHENTICATED],
+			rest: "POST /webauthn/register-options",
+			graphql: {
+				mutation: `accountWebAuthnRegisterOptions: JSON!`
+			},
+			async handler(ctx) {
+				this.checkNotApiKey(ctx);
+				const _user = await this.resolveEntities(
+					ctx,
+					{ id: ctx.meta.userID },
+					{ transform: false }
+				);
+				this.checkUser(_user);
 
-						resolve(token);
+				const { rpID } = this.getWebAuthnRelyingParty();
+				const options = await generateRegistrationOptions({
+					rpName: this.configObj.site.name,
+					rpID,
+					userID: ctx.meta.userID,
+					userName: _user.email,
+					userDisplayName: _user.fullName,
+					attestationType: "none",
+					excludeCredentials: this.getWebAuthnCredentials(_user).map(credential => ({
+						id: Buffer.from(credential.id, "base64url"),
+						type: "public-key",
+						transports: credential.transports
+					})),
+					authenticatorSelection: {
+						residentKey: "preferred",
+						userVerification: "preferred"
 					}
+				});
+
+				await this.updateEntity(
+					ctx,
+					{ id: ctx.meta.userID, webauthnChallenge: options.challenge },
+					{ permissive: true }
 				);
-			});
+
+				return options;
+			}
 		},
 
 		/**
-		 * Verify a JWT token and return the decoded payload
-		 *
-		 * @param {String} token
+		 * Verify the response of the authenticator and register the security key.
+		 * Recovery codes are generated if the user has no ones yet.
 		 */
-		verifyJWT(token) {
-			return new this.Promise((resolve, reject) => {
-				jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-					if (err) {
-						this.logger.warn("JWT verifying error:", err);
-						return reject(
-							new MoleculerClientError("Invalid token", 401, "INVALID_TOKEN")
-						);
-					}
+		webauthnRegister: {
+			description: "Register a WebAuthn security key",
+			permissions: [C.ROLE_AUTHENTICATED],
+			params: {
+				name: { type: "string", empty: false, max: 50, trim: true },
+				response: { type: "object" }
+			},
+			rest: "POST /webauthn/register",
+			graphql: {
+				mutation: `accountWebAuthnRegister(name: String!, response: JSON!): WebAuthnRegisterResponse!`
+			},
+			async handler(ctx) {
+				this.checkNotApiKey(ctx);
+				const _user = await this.resolveEntities(
+					ctx,
+					{ id: ctx.meta.userID },
+					{ transform: false }
+				);
+				this.checkUser(_user);
+
+				if (!_user.webauthnChallenge)
+					throw new MoleculerClientError(
+						"WebAuthn registration is not initialized.",
+						400,
+						"WEBAUTHN_NOT_INITIALIZED"
+					);
+
+				const { rpID, origin } = this.getWebAuthnRelyingParty();
+				let verification;
+				try {
+					verification = await verifyRegistrationResponse({
+						response: ctx.params.response,
+						expectedChallenge: _user.webauthnChallenge,
+						expectedOrigin: origin,
+						expectedRPID: rpID
+					});
+				} catch (err) {
+					this.logger.warn("WebAuthn registration verifying error:", err.message);
+				}
+
+				if (!verification || !verification.verified) {
+					throw new MoleculerClientError(
+						"Invalid WebAuthn response.",
+						400,
+						"WEBAUTHN_INVALID_RESPONSE"
+					);
+				}
+
+				const { credentialID, credentialPublicKey, counter } =
+					verification.registrationInfo;
+				const credential = {
+					id: Buffer.from(credentialID).toString("base64url"),
+					name: ctx.params.name,
+					publicKey: Buffer.from(credentialPublicKey).toString("base64url"),
+					counter,
+					transports: _.get(ctx.params.response, "response.transports", []),
+					createdAt: Date.now(),
+					lastUsedAt: null
+				};
+
+				const changes = {
+					id: ctx.meta.userID,
+					webauthnCredentials: [...this.getWebAuthnCredentials(_user), credential],
+					webauthnChallenge: null
+				};
+
+				let recoveryCodes = null;
+				if (!_user.totp || !_user.totp.recoveryCodes) {
+					const { codes, hashes } = await this.generateRecoveryCodes();
+					changes.totp = { recoveryCodes: hashes };
+					recoveryCodes = codes;
+				}
+
+				await this.updateEntity(ctx, changes, { permissive: true });
+
+				this.send2FaNotice(ctx, _user, "securityKeyAdded");
+
+				return { key: this.transformWebAuthnKey(credential), recoveryCodes };
+			}
+		},
+
+		/**
+		 * Remove a registered WebAuthn security key
+		 */
+		webauthnRemove: {
+			description: "Remove a WebAuthn security key",
+			permissions: [C.ROLE_AUTHENTICATED],
+			params: {
+				id: { type: "string" }
+			},
+			rest: "DELETE /webauthn/:id",
+			graphql: {
+				mutation: `accountWebAuthnRemove(id: String!): Boolean!`
+			},
+			async handler(ctx) {
+				this.checkNotApiKey(ctx);
+				const _user = await this.resolveEntities(
+					ctx,
+					{ id: ctx.meta.userID },
+					{ transform: false }
+				);
+				this.checkUser(_user);
+
+				const credentials = this.getWebAuthnCredentials(_user);
+				if (!credentials.find(credential => credential.id == ctx.params.id))
+					throw new MoleculerClientError(
+						"Security key is not found.",
+						404,
+						"WEBAUTHN_KEY_NOT_FOUND"
+					);
+
+				const webauthnCredentials = credentials.filter(
+					credential => credential.id != ctx.params.id
+				);
+				const changes = { id: ctx.meta.userID, webauthnCredentials };
+
+				// The recovery codes are useless without any second factor
+				if (webauthnCredentials.length == 0 && !(_user.totp && _user.totp.enabled)) {
+					changes.totp = { recoveryCodes: null };
+				}
+
+				await this.updateEntity(ctx, changes, { permissive: true });
+
+				this.send2FaNotice(ctx, _user, "securityKeyRemoved");
+
+				return true;
+			}
+		},
+
+		/**
+		 * List the personal API keys of the logged in user
+		 */
+		apiKeys: {
+			description: "List the personal API keys",
+			permissions: [C.ROLE_AUTHENTICATED],
+			rest: "GET /api-keys",
+			graphql: {
+				query: `accountApiKeys: [ApiKey]!`
+			},
+			async handler(ctx) {
+				this.checkNotApiKey(ctx);
+
+				return ctx.call("v1.tokens.listByOwner", {
+					type: C.TOKEN_TYPE_API_KEY,
+					owner: ctx.meta.userID
+				});
+			}
+		},
+
+		/**
+		 * Create a personal API key. The key is returned only in this response.
+		 */
+		createApiKey: {
+			description: "Create a personal API key",
+			permissions: [C.ROLE_AUTHENTICATED],
+			params: {
+				name: { type: "string", empty: false, max: 100, trim: true },
+				expiry: { type: "number", integer: true, optional: true, convert: true },
+				scopes: {
+					type: "array",
+					items: { type: "enum", values: C.API_KEY_SCOPES },
+					min: 1,
+					default: () => [...C.API_KEY_SCOPES]
+				}
+			},
+			rest: "POST /api-keys",
+			graphql: {
+				mutation: `accountCreateApiKey(name: String!, expiry: Long, scopes: [String!]): ApiKey!`
+			},
+			async handler(ctx) {
+				this.checkNotApiKey(ctx);
+
+				const { name, expiry, scopes } = ctx.params;
+				if (expiry != null && expiry <= Date.now())
+					throw new MoleculerClientError(
+						"The expiry of the API key must be in the future.",
+						422,
+						"INVALID_EXPIRY"
+					);
+
+				const res = await ctx.call("v1.tokens.generate", {
+					type: C.TOKEN_TYPE_API_KEY,
+					owner: ctx.meta.userID,
+					name,
+					expiry,
+					scopes: _.uniq(scopes)
+				});
+
+				return _.pick(res, ["id", "name", "scopes", "expiry", "createdAt", "token"]);
+			}
+		},
+
+		/**
+		 * Revoke a personal API key
+		 */
+		revokeApiKey: {
+			description: "Revoke a personal API key",
+			permissions: [C.ROLE_AUTHENTICATED],
+			params: {
+				id: { type: "string" }
+			},
+			rest: "DELETE /api-keys/:id",
+			graphql: {
+				mutation: `accountRevokeApiKey(id: String!): Boolean!`
+			},
+			async handler(ctx) {
+				this.checkNotApiKey(ctx);
+
+				const removed = await ctx.call("v1.tokens.removeByID", {
+					type: C.TOKEN_TYPE_API_KEY,
+					id: ctx.params.id,
+					owner: ctx.meta.userID
+				});
+				if (!removed)
+					throw new MoleculerClientError(
+						"API key is not found.",
+						404,
+						"API_KEY_NOT_FOUND"
+					);
+
+				return true;
+			}
+		},
+
+		/**
+		 * Get a new access token with the refresh token of a login session.
+		 * The refresh token is rotated, the old one can't be used anymore.
+		 * Reusing a rotated refresh token revokes the whole login session.
+		 */
+		refreshToken: {
+			description: "Refresh the access token of a login session",
+			params: {
+				refreshToken: { type: "string" }
+			},
+			rest: "POST /refresh-token",
+			graphql: {
+				mutation: `accountRefreshToken(refreshToken: String!): LoginResponse!`
+			},
+			async handler(ctx) {
+				const session = await ctx.call("v1.tokens.rotate", {
+					type: C.TOKEN_TYPE_REFRESH,
+					token: ctx.params.refreshToken,
+					expiry: this.getSessionExpiry()
+				});
+				if (!session) {
+					// The session may have been revoked because of a reused refresh token
+					await this.cleanTokenCache();
+					throw new MoleculerClientError("Invalid refresh token", 401, "INVALID_TOKEN");
+				}
+
+				const _user = await this.resolveEntities(
+					ctx,
+					{ id: session.owner },
+					{ transform: false }
+				);
+				this.checkUser(_user);
+				const user = await this.transformResult(null, _user, {}, ctx);
+
+				return {
+					token: await this.getToken(user, session.id),
+					refreshToken: session.token
+				};
+			}
+		},
+
+		/**
+		 * List the login sessions of the logged in user
+		 */
+		sessions: {
+			description: "List the login sessions",
+			permissions: [C.ROLE_AUTHENTICATED],
+			rest: "GET /sessions",
+			graphql: {
+				query: `accountSessions: [Session]!`
+			},
+			async handler(ctx) {
+				this.checkNotApiKey(ctx);
+				const sessionID = await this.getSessionID(ctx);
+				const sessions = await ctx.call("v1.tokens.listByOwner", {
+					type: C.TOKEN_TYPE_REFRESH,
+					owner: ctx.meta.userID
+				});
+
+				return sessions.map(session => ({
+					..._.pick(session, ["id", "device", "ip", "createdAt", "lastUsedAt", "expiry"]),
+					current: session.id == sessionID
+				}));
+			}
+		},
+
+		/**
+		 * Revoke a login session of the logged in user
+		 */
+		revokeSession: {
+			description: "Revoke a login session",
+			permissions: [C.ROLE_AUTHENTICATED],
+			params: {
+				id: { type: "string" }
+			},
+			rest: "DELETE /sessions/:id",
+			graphql: {
+				mutation: `accountRevokeSession(id: String!): Boolean!`
+			},
+			async handler(ctx) {
+				this.checkNotApiKey(ctx);
+				const removed = await ctx.call("v1.tokens.removeByID", {
+					type: C.TOKEN_TYPE_REFRESH,
+					id: ctx.params.id,
+					owner: ctx.meta.userID
+				});
+				if (!removed)
+					throw new MoleculerClientError(
+						"Session is not found.",
+						404,
+						"SESSION_NOT_FOUND"
+					);
+
+				await this.cleanTokenCache();
+
+				return true;
+			}
+		},
+
+		/**
+		 * Log out the current session of the logged in user
+		 */
+		logout: {
+			description: "Log out the current session",
+			permissions: [C.ROLE_AUTHENTICATED],
+			rest: "POST /logout",
+			graphql: {
+				mutation: `accountLogout: Boolean!`
+			},
+			async handler(ctx) {
+				this.checkNotApiKey(ctx);
+				const sessionID = await this.getSessionID(ctx);
+				if (!sessionID) return false;
+
+				await ctx.call("v1.tokens.removeByID", {
+					type: C.TOKEN_TYPE_REFRESH,
+					id: sessionID,
+					owner: ctx.meta.userID
+				});
+				await this.cleanTokenCache();
+
+				return true;
+			}
+		},
+
+		/**
+		 * Log out all login sessions of the logged in user.
+		 * It returns the number of the revoked sessions.
+		 */
+		logoutEverywhere: {
+			description: "Log out all login sessions",
+			permissions: [C.ROLE_AUTHENTICATED],
+			params: {
+				keepCurrent: { type: "boolean", default: false, convert: true }
+			},
+			rest: "POST /logout-everywhere",
+			graphql: {
+				mutation: `accountLogoutEverywhere(keepCurrent: Boolean): Int!`
+			},
+			async handler(ctx) {
+				this.checkNotApiKey(ctx);
+				const except = ctx.params.keepCurrent ? await this.getSessionID(ctx) : null;
+				return this.revokeSessions(ctx, ctx.meta.userID, except);
+			}
+		},
+
+		/**
+		 * Generate a Two-Factor authentication token (TOTP)
+		 * For tests
+		 */
+		generate2FaToken: {
+			visibility: "protected",
+			params: {
+				id: "string"
+			},
+			async handler(ctx) {
+				const user = await this.resolveEntities(ctx, ctx.params, { transform: false });
+				this.checkUser(user);
+
+				if (!user.totp || !user.totp.secret) {
+					throw new MoleculerClientError(
+						"Two-factor authentication is not enabled.",
+						400,
+						"TWOFACTOR_NOT_ENABLED"
+					);
+				}
+
+				const secret = user.totp.secret;
+				const token = await this.generate2FaToken(secret);
+
+				return { token };
+			}
+		}
+	},
+
+	/**
+	 * Events
+	 */
+	events: {},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+		/**
+		 * Check the user fields (verified, status)
+		 * @param {Object} user
+		 * @param {Object?} opts
+		 */
+		checkUser(user, opts = {}) {
+			if (!user) {
+				throw new MoleculerClientError(
+					"Account is not registered.",
+					400,
+					"ACCOUNT_NOT_FOUND"
+				);
+			}
+
+			if (!opts.noVerification && !user.verified) {
+				throw new MoleculerClientError(
+					"Please activate your account.",
+					400,
+					"ACCOUNT_NOT_VERIFIED"
+				);
+			}
+
+			if (user.status !== 1) {
+				throw new MoleculerClientError("Account is disabled.", 400, "ACCOUNT_DISABLED");
+			}
+		},
+
+		/**
+		 * Check that the request is not authenticated with an API key.
+		 * The API keys can't be used to manage the credentials (API keys,
+		 * 2FA, security keys, social links) & the login sessions.
+		 *
+		 * @param {Context} ctx
+		 */
+		checkNotApiKey(ctx) {
+			if (ctx.meta.apiKey) {
+				throw new MoleculerClientError(
+					"This operation is not allowed with an API key.",
+					403,
+					"ERR_API_KEY_NOT_ALLOWED"
+				);
+			}
+		},
+
+		/**
+		 * Create a login session for user. The session is stored as a refresh
+		 * token and the short-lived JWT access token refers to it.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} user
+		 * @returns {Object} `{ token, refreshToken }`
+		 */
+		async createSession(ctx, user) {
+			const client = ctx.meta.client || {};
+			const session = await ctx.call("v1.tokens.generate", {
+				type: C.TOKEN_TYPE_REFRESH,
+				owner: user.id.toString(),
+				expiry: this.getSessionExpiry(),
+				device: client.userAgent ? client.userAgent.slice(0, 255) : undefined,
+				ip: client.ip
+			});
+
+			return {
+				token: await this.getToken(user, session.id),
+				refreshToken: session.token
+			};
+		},
+
+		/**
+		 * Get the expiry of a new or refreshed login session.
+		 * @returns {Number}
+		 */
+		getSessionExpiry() {
+			return Date.now() + this.config["accounts.session.expiresDays"] * 24 * 60 * 60 * 1000;
+		},
+
+		/**
+		 * Get the login session ID from the JWT of the request.
+		 *
+		 * @param {Context} ctx
+		 * @returns {String?}
+		 */
+		async getSessionID(ctx) {
+			if (!ctx.meta.token) return null;
+
+			const decoded = await this.verifyJWT(ctx.meta.token);
+			return decoded.sid || null;
+		},
+
+		/**
+		 * Revoke the login sessions of user.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} userID
+		 * @param {String?} except ID of the kept session
+		 * @returns {Number} Count of revoked sessions
+		 */
+		async revokeSessions(ctx, userID, except) {
+			const count = await ctx.call("v1.tokens.removeByOwner", {
+				type: C.TOKEN_TYPE_REFRESH,
+				owner: userID,
+				except: except || undefined
+			});
+			await this.cleanTokenCache();
+
+			return count;
+		},
+
+		/**
+		 * Clear the cached JWT resolving in order to reject the revoked sessions at once.
+		 */
+		async cleanTokenCache() {
+			if (this.broker.cacher)
+				await this.broker.cacher.clean(`${this.fullName}.resolveToken:**`);
+		},
+
+		/**
+		 * Generate a JWT access token for user.
+		 * @param {Object} user
+		 * @param {String} sessionID
+		 * @returns {String}
+		 */
+		async getToken(user, sessionID) {
+			return await this.generateJWT({ id: user.id.toString(), sid: sessionID });
+		},
+
+		/**
+		 * Generate a JWT token from user entity.
+		 *
+		 * @param {Object} payload
+		 * @param {String|Number} [expiresIn]
+		 */
+		generateJWT(payload, expiresIn) {
+			return new this.Promise((resolve, reject) => {
+				return jwt.sign(
+					payload,
+					process.env.JWT_SECRET,
+					{ expiresIn: expiresIn || this.config["accounts.jwt.expiresIn"] },
+					(err, token) => {
+						if (err) {
+							this.logger.warn("JWT token generation error:", err);
+							return reject(
+								new MoleculerRetryableError(
+									"Unable to generate token",
+									500,
+									"UNABLE_GENERATE_TOKEN"
+								)
+							);
+						}
+
+						resolve(token);
+					}
+				);
+			});
+		},
+
+		/**
+		 * Verify a JWT token and return the decoded payload
+		 *
+		 * @param {String} token
+		 */
+		verifyJWT(token) {
+			return new this.Promise((resolve, reject) => {
+				jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+					if (err) {
+						this.logger.warn("JWT verifying error:", err);
+						return reject(
+							new MoleculerClientError("Invalid token", 401, "INVALID_TOKEN")
+						);
+					}
 
 					resolve(decoded);
 				});
@@ -1229,12 +2013,7 @@ module.exports = {
 		 * @returns {Promise<Boolean>}
 		 */
 		async verify2FA(secret, token) {
-			return speakeasy.totp.verify({
-				secret,
-				encoding: "base32",
-				token,
-				window: 2
-			});
+			return this.createTOTP(secret).validate({ token, window: 2 }) != null;
 		},
 
 		/**
@@ -1244,10 +2023,288 @@ module.exports = {
 		 * @returns {Promise<String>}
 		 */
 		async generate2FaToken(secret) {
-			return speakeasy.totp({
-				secret,
-				encoding: "base32"
+			return this.createTOTP(secret).generate();
+		},
+
+		/**
+		 * Create a TOTP instance
+		 *
+		 * @param {String} secret Base32 encoded secret
+		 * @param {String?} label
+		 * @returns {OTPAuth.TOTP}
+		 */
+		createTOTP(secret, label) {
+			return new OTPAuth.TOTP({
+				issuer: this.configObj.site.name,
+				label,
+				secret: OTPAuth.Secret.fromBase32(secret)
+			});
+		},
+
+		/**
+		 * Get the WebAuthn relying party ID & origin from the site URL
+		 *
+		 * @returns {Object}
+		 */
+		getWebAuthnRelyingParty() {
+			const url = new URL(this.config["site.url"]);
+			return { rpID: url.hostname, origin: url.origin };
+		},
+
+		/**
+		 * Get the registered WebAuthn credentials of the user
+		 *
+		 * @param {Object} _user Raw user entity
+		 * @returns {Array<Object>}
+		 */
+		getWebAuthnCredentials(_user) {
+			return _user.webauthnCredentials || [];
+		},
+
+		/**
+		 * Transform a WebAuthn credential to a response without the key material
+		 *
+		 * @param {Object} credential
+		 * @returns {Object}
+		 */
+		transformWebAuthnKey(credential) {
+			return _.pick(credential, ["id", "name", "createdAt", "lastUsedAt"]);
+		},
+
+		/**
+		 * Generate WebAuthn authentication options if the user has security keys.
+		 * The challenge is stored for the verification.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} _user Raw user entity
+		 * @param {Object} user
+		 * @returns {Promise<Object?>}
+		 */
+		async generateWebAuthnLoginOptions(ctx, _user, user) {
+			const credentials = this.getWebAuthnCredentials(_user);
+			if (credentials.length == 0) return null;
+
+			const { rpID } = this.getWebAuthnRelyingParty();
+			const options = await generateAuthenticationOptions({
+				rpID,
+				allowCredentials: credentials.map(credential => ({
+					id: Buffer.from(credential.id, "base64url"),
+					type: "public-key",
+					transports: credential.transports
+				})),
+				userVerification: "preferred"
 			});
+
+			await this.updateEntity(
+				ctx,
+				{ id: user.id, webauthnChallenge: options.challenge },
+				{ permissive: true }
+			);
+
+			return options;
+		},
+
+		/**
+		 * Verify a WebAuthn authentication response of the user
+		 * and update the sign counter of the used credential.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} _user Raw user entity
+		 * @param {Object} user
+		 * @param {Object} response
+		 */
+		async verifyWebAuthnLogin(ctx, _user, user, response) {
+			const credentials = this.getWebAuthnCredentials(_user);
+			const credential = credentials.find(credential => credential.id == response.id);
+
+			let verification;
+			if (credential && _user.webauthnChallenge) {
+				const { rpID, origin } = this.getWebAuthnRelyingParty();
+				try {
+					verification = await verifyAuthenticationResponse({
+						response,
+						expectedChallenge: _user.webauthnChallenge,
+						expectedOrigin: origin,
+						expectedRPID: rpID,
+						authenticator: {
+							credentialID: Buffer.from(credential.id, "base64url"),
+							credentialPublicKey: Buffer.from(credential.publicKey, "base64url"),
+							counter: credential.counter,
+							transports: credential.transports
+						}
+					});
+				} catch (err) {
+					this.logger.warn("WebAuthn authentication verifying error:", err.message);
+				}
+			}
+
+			if (!verification || !verification.verified) {
+				throw new MoleculerClientError(
+					"Invalid WebAuthn response.",
+					400,
+					"WEBAUTHN_INVALID_RESPONSE"
+				);
+			}
+
+			await this.updateEntity(
+				ctx,
+				{
+					id: user.id,
+					webauthnCredentials: credentials.map(item =>
+						item.id == credential.id
+							? {
+									...item,
+									counter: verification.authenticationInfo.newCounter,
+									lastUsedAt: Date.now()
+							  }
+							: item
+					),
+					webauthnChallenge: null
+				},
+				{ permissive: true }
+			);
+		},
+
+		/**
+		 * Check the Two-Factor authentication of the user before issuing a JWT.
+		 * The user can give a TOTP token, a recovery code or a WebAuthn response.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} _user Raw user entity
+		 * @param {Object} user
+		 * @param {Object} params
+		 * @param {String?} params.token TOTP token
+		 * @param {String?} params.recoveryCode
+		 * @param {Object?} params.webauthnResponse
+		 * @returns {Promise<Boolean>} `false` if 2FA is enabled but no second factor is given
+		 */
+		async check2Fa(ctx, _user, user, { token, recoveryCode, webauthnResponse }) {
+			const totpEnabled = _user.totp && _user.totp.enabled;
+			if (!totpEnabled && this.getWebAuthnCredentials(_user).length == 0) return true;
+
+			if (recoveryCode) {
+				// Single-use recovery code instead of the TOTP token
+				await this.useRecoveryCode(
+					ctx,
+					user,
+					_user.totp && _user.totp.recoveryCodes,
+					recoveryCode
+				);
+				return true;
+			}
+
+			if (webauthnResponse) {
+				// Security key instead of the TOTP token
+				await this.verifyWebAuthnLogin(ctx, _user, user, webauthnResponse);
+				return true;
+			}
+
+			if (!token) return false;
+
+			if (!totpEnabled || !(await this.verify2FA(_user.totp.secret, token))) {
+				throw new MoleculerClientError(
+					"Invalid 2FA token.",
+					400,
+					"TWOFACTOR_INVALID_TOKEN"
+				);
+			}
+
+			return true;
+		},
+
+		/**
+		 * Generate single-use recovery codes for Two-Factor authentication.
+		 * Only the hashes of the codes are stored.
+		 *
+		 * @returns {Promise<Object>} Plain codes & hashes
+		 */
+		async generateRecoveryCodes() {
+			const codes = _.times(RECOVERY_CODE_COUNT, () => {
+				const code = crypto.randomBytes(5).toString("hex");
+				return `${code.slice(0, 5)}-${code.slice(5)}`;
+			});
+
+			const hashes = await this.Promise.all(
+				codes.map(code => this.hashPassword(this.normalizeRecoveryCode(code)))
+			);
+
+			return { codes, hashes };
+		},
+
+		/**
+		 * Normalize a recovery code entered by the user
+		 *
+		 * @param {String} code
+		 * @returns {String}
+		 */
+		normalizeRecoveryCode(code) {
+			return code.toLowerCase().replace(/[^0-9a-f]/g, "");
+		},
+
+		/**
+		 * Check a recovery code of the user and remove it
+		 * because the codes are single-use.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} user
+		 * @param {Array<String>?} hashes Hashes of the recovery codes of the user
+		 * @param {String} recoveryCode
+		 */
+		async useRecoveryCode(ctx, user, hashes, recoveryCode) {
+			const code = this.normalizeRecoveryCode(recoveryCode);
+			if (!hashes) hashes = [];
+
+			let hash = null;
+			for (const h of hashes) {
+				if (await bcrypt.compare(code, h)) {
+					hash = h;
+					break;
+				}
+			}
+
+			// Remove the code only if it hasn't been used in the meantime,
+			// so a recovery code can't be used by parallel requests.
+			let count = 0;
+			if (hash) {
+				const adapter = await this.getAdapter(ctx);
+				count = await adapter.updateMany(
+					{ email: user.email, "totp.recoveryCodes": hash },
+					{ $pull: { "totp.recoveryCodes": hash } },
+					{ raw: true }
+				);
+			}
+
+			if (count == 0) {
+				throw new MoleculerClientError(
+					"Invalid recovery code.",
+					400,
+					"TWOFACTOR_INVALID_RECOVERY_CODE"
+				);
+			}
+
+			// The login doesn't fail if the notice can't be sent (`sendMail` logs the error)
+			this.sendMail(ctx, user, "two-factor-changed", {
+				change: "recoveryCodeUsed",
+				recoveryCodesLeft: hashes.length - 1
+			}).catch(() => false);
+		},
+
+		/**
+		 * Send a notice email about the change of Two-Factor authentication settings.
+		 * The change is saved already, so the errors are only logged.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} _user Raw user entity
+		 * @param {String} change
+		 */
+		async send2FaNotice(ctx, _user, change) {
+			try {
+				const user = await this.transformResult(null, _user, {}, ctx);
+				return await this.sendMail(ctx, user, "two-factor-changed", { change });
+			} catch (err) {
+				this.logger.error("Unable to send the 2FA notice.", err);
+				return false;
+			}
 		},
 
 		/**
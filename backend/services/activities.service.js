@@ -2,9 +2,50 @@
 
 const _ = require("lodash");
 
+const C = require("../constants");
 const DbService = require("../mixins/db.mixin");
+const CacheCleaner = require("../mixins/cache-cleaner.mixin");
+const PurgeMixin = require("../mixins/purge.mixin");
+const MemberCheckMixin = require("../mixins/member-check.mixin");
 //const ConfigLoader = require("../mixins/config.mixin");
-//const { MoleculerRetryableError, MoleculerClientError } = require("moleculer").Errors;
+const { MoleculerClientError } = require("moleculer").Errors;
+
+// Similar to https://developers.trello.com/reference#action-types
+const ACTIVITY_TYPES = [
+	"createBoard",
+	"updateBoard",
+	"archiveBoard",
+	"unarchiveBoard",
+	"addMemberToBoard",
+	"removeMemberFromBoard",
+	"transferBoard",
+	"removeBoard",
+	"restoreBoard",
+
+	"createList",
+	"updateList",
+	"archiveList",
+	"unarchiveList",
+	"removeList",
+	"restoreList",
+	"moveListToBoard",
+	"moveListFromBoard",
+
+	"createCard",
+	"updateCard",
+	"moveCard",
+	"moveCardToBoard",
+	"moveCardFromBoard",
+	"archiveCard",
+	"unarchiveCard",
+	"addMemberToCard",
+	"removeMemberFromCard",
+	"removeCard",
+	"restoreCard"
+];
+
+// These fields changes don't generate activities
+const IGNORED_FIELDS = ["position", "createdAt", "updatedAt", "deletedAt", "archivedAt"];
 
 /**
  * Activities service (board, card, ...etc)
@@ -14,50 +55,500 @@ module.exports = {
 	version: 1,
 
 	mixins: [
-		DbService({})
-		//CacheCleaner(["cache.clean.cards", "cache.clean.activities", "cache.clean.accounts"]),
+		DbService({
+			cache: {
+				additionalKeys: ["board", "list", "card", "#userID"]
+			}
+		}),
+		CacheCleaner([
+			"cache.clean.v1.activities",
+			"cache.clean.v1.boards",
+			"cache.clean.v1.lists",
+			"cache.clean.v1.cards",
+			"cache.clean.v1.accounts"
+		]),
+		MemberCheckMixin,
+		PurgeMixin({ parents: { boards: "board", lists: "list", cards: "card" } })
 		//ConfigLoader([])
 	],
 
 	/**
 	 * Service dependencies
 	 */
-	dependencies: [],
+	dependencies: [
+		{ name: "boards", version: 1 },
+		{ name: "lists", version: 1 },
+		{ name: "cards", version: 1 }
+	],
 
 	/**
 	 * Service settings
 	 */
 	settings: {
-		/*fields: [
-			"_id",
-			"board",
-			"list",
-			"card",
-
-			"type", // Similar to https://developers.trello.com/reference#action-types
-			"params",
-			"text",
-
-			"isSystem",
-			"createdAt",
-			"createdBy",
-		]*/
+		rest: true,
+
+		graphql: {
+			entityName: "Activity",
+
+			type: `
+				type ActivityListResponse {
+					total: Int!
+					page: Int!
+					pageSize: Int!
+					totalPages: Int!
+					rows: [Activity]!
+				}
+			`
+		},
+
+		fields: {
+			id: {
+				type: "string",
+				primaryKey: true,
+				secure: true,
+				columnName: "_id"
+			},
+			board: {
+				type: "string",
+				required: true,
+				populate: {
+					action: "v1.boards.resolve",
+					params: {
+						fields: ["id", "title", "slug"],
+						scope: false
+					}
+				},
+				graphql: { type: "Board", inputType: "String" }
+			},
+			list: {
+				type: "string",
+				populate: {
+					action: "v1.lists.resolve",
+					params: {
+						fields: ["id", "title"],
+						scope: false
+					}
+				},
+				graphql: { type: "List", inputType: "String" }
+			},
+			card: {
+				type: "string",
+				populate: {
+					action: "v1.cards.resolve",
+					params: {
+						fields: ["id", "title"],
+						scope: false
+					}
+				},
+				graphql: { type: "Card", inputType: "String" }
+			},
+			type: {
+				type: "enum",
+				values: ACTIVITY_TYPES,
+				required: true,
+				graphql: { type: "String" }
+			},
+			params: { type: "object", graphql: { type: "JSON" } },
+			text: { type: "string" },
+			isSystem: { type: "boolean", default: false },
+			createdBy: {
+				type: "string",
+				populate: {
+					action: "v1.accounts.resolve",
+					params: {
+						fields: ["id", "username", "fullName", "avatar"]
+					}
+				},
+				graphql: { type: "Member", inputType: "String" }
+			},
+			createdAt: {
+				type: "number",
+				readonly: true,
+				onCreate: () => Date.now(),
+				graphql: { type: "Long" }
+			}
+		},
+
+		indexes: [
+			{ fields: ["board", "createdAt"] },
+			{ fields: ["list", "createdAt"] },
+			{ fields: ["card", "createdAt"] }
+		],
+
+		scopes: {
+			// Return activities of a given board, list or card where the logged in user is a board member.
+			async board(query, ctx, params) {
+				// Adapter init
+				if (!ctx) return query;
+
+				let boardID = params.board;
+				if (params.card) {
+					const card = await ctx.call("v1.cards.resolve", {
+						id: params.card,
+						fields: ["id", "board"],
+						scope: false,
+						throwIfNotExist: false
+					});
+					if (!card) throw this.noPermissionError("card", params.card);
+
+					query.card = params.card;
+					boardID = card.board;
+				} else if (params.list) {
+					const list = await ctx.call("v1.lists.resolve", {
+						id: params.list,
+						fields: ["id", "board"],
+						scope: false,
+						throwIfNotExist: false
+					});
+					if (!list) throw this.noPermissionError("list", params.list);
+
+					query.list = params.list;
+					boardID = list.board;
+				}
+
+				if (boardID) {
+					const board = await ctx.call("v1.boards.resolve", {
+						id: boardID,
+						throwIfNotExist: false
+					});
+					if (!board) throw this.noPermissionError("board", boardID);
+
+					query.board = boardID;
+					return query;
+				}
+
+				if (["list", "find", "count"].includes(ctx.action.rawName)) {
+					throw new MoleculerClientError(
+						`Board, list or card is required`,
+						422,
+						"VALIDATION_ERROR",
+						[{ type: "required", field: "board" }]
+					);
+				}
+
+				return query;
+			}
+		},
+
+		defaultScopes: ["board"]
 	},
 
 	/**
 	 * Actions
 	 */
-	actions: {},
+	actions: {
+		create: false,
+		list: {
+			permissions: [],
+			params: {
+				board: { type: "string", optional: true },
+				list: { type: "string", optional: true },
+				card: { type: "string", optional: true }
+			},
+			graphql: {
+				query: [
+					`boardActivities(board: String!, page: Int, pageSize: Int, sort: String = "-createdAt", populate: [String]): ActivityListResponse`,
+					`cardActivities(card: String!, page: Int, pageSize: Int, sort: String = "-createdAt", populate: [String]): ActivityListResponse`
+				]
+			}
+		},
+
+		find: {
+			rest: "GET /find",
+			permissions: [],
+			params: {
+				board: { type: "string", optional: true },
+				list: { type: "string", optional: true },
+				card: { type: "string", optional: true }
+			}
+		},
+
+		count: {
+			rest: "GET /count",
+			permissions: [],
+			params: {
+				board: { type: "string", optional: true },
+				list: { type: "string", optional: true },
+				card: { type: "string", optional: true }
+			}
+		},
+
+		get: {
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_MEMBER]
+		},
+
+		update: false,
+		replace: false,
+		remove: false
+	},
 
 	/**
 	 * Events
 	 */
-	events: {},
+	events: {
+		"boards.created"(ctx) {
+			return this.storeActivities(ctx, "board", "created");
+		},
+		"boards.updated"(ctx) {
+			return this.storeActivities(ctx, "board", "updated");
+		},
+		"boards.removed"(ctx) {
+			return this.storeActivities(ctx, "board", "removed");
+		},
+		"boards.restored"(ctx) {
+			return this.storeActivities(ctx, "board", "restored");
+		},
+
+		"lists.created"(ctx) {
+			return this.storeActivities(ctx, "list", "created");
+		},
+		"lists.updated"(ctx) {
+			return this.storeActivities(ctx, "list", "updated");
+		},
+		"lists.removed"(ctx) {
+			return this.storeActivities(ctx, "list", "removed");
+		},
+		"lists.restored"(ctx) {
+			return this.storeActivities(ctx, "list", "restored");
+		},
+
+		"cards.created"(ctx) {
+			return this.storeActivities(ctx, "card", "created");
+		},
+		"cards.updated"(ctx) {
+			return this.storeActivities(ctx, "card", "updated");
+		},
+		"cards.removed"(ctx) {
+			return this.storeActivities(ctx, "card", "removed");
+		},
+		"cards.restored"(ctx) {
+			return this.storeActivities(ctx, "card", "restored");
+		},
+
+		async "boards.cleared"(ctx) {
+			try {
+				await this.clearEntities(ctx);
+			} catch (err) {
+				this.logger.error("Unable to clear activities", err);
+			}
+		}
+	},
 
 	/**
 	 * Methods
 	 */
-	methods: {},
+	methods: {
+		/**
+		 * Store the activities of a changed board, list or card entity.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} entityType "board", "list" or "card"
+		 * @param {String} changeType "created", "updated", "removed" or "restored"
+		 */
+		async storeActivities(ctx, entityType, changeType) {
+			const { data, oldData } = ctx.params;
+			try {
+				const activities = this.collectActivities(entityType, changeType, data, oldData);
+				if (entityType != "board" && oldData && oldData.board != data.board) {
+					await this.moveActivitiesToBoard(ctx, entityType, data.id, data.board);
+				}
+
+				if (activities.length == 0) return;
+
+				const base = {
+					board: entityType == "board" ? data.id : data.board,
+					list: entityType == "list" ? data.id : data.list,
+					card: entityType == "card" ? data.id : undefined,
+					createdBy: ctx.meta.userID,
+					isSystem: !ctx.meta.userID
+				};
+
+				await this.createEntities(
+					ctx,
+					activities.map(activity => ({ ...base, ...activity })),
+					{ permissive: true }
+				);
+			} catch (err) {
+				this.logger.error(`Unable to store activities of ${entityType} '${data.id}'`, err);
+			}
+		},
+
+		/**
+		 * Move the previous activities of a list or card to the new board
+		 * of the entity, so its history goes with it.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} entityType "list" or "card"
+		 * @param {String} id
+		 * @param {String} boardID
+		 */
+		async moveActivitiesToBoard(ctx, entityType, id, boardID) {
+			const adapter = await this.getAdapter(ctx);
+			await adapter.updateMany({ [entityType]: id }, { board: boardID });
+			if (this.broker.cacher) await this.broker.cacher.clean(`${this.fullName}.**`);
+		},
+
+		/**
+		 * Collect the activities (type, params, text) from an entity change.
+		 *
+		 * @param {String} entityType
+		 * @param {String} changeType
+		 * @param {Object} data
+		 * @param {Object?} oldData
+		 * @returns {Array<Object>}
+		 */
+		collectActivities(entityType, changeType, data, oldData) {
+			const entityName = _.capitalize(entityType);
+			const title = data.title;
+
+			if (changeType == "created") {
+				return [
+					{
+						type: `create${entityName}`,
+						params: { title },
+						text: `created the ${entityType} '${title}'`
+					}
+				];
+			}
+
+			if (changeType == "removed") {
+				return [
+					{
+						type: `remove${entityName}`,
+						params: { title },
+						text: `removed the ${entityType} '${title}'`
+					}
+				];
+			}
+
+			if (changeType == "restored") {
+				return [
+					{
+						type: `restore${entityName}`,
+						params: { title },
+						text: `restored the ${entityType} '${title}'`
+					}
+				];
+			}
+
+			// Without the previous state we can't see what has been changed.
+			if (!oldData) {
+				return [
+					{
+						type: `update${entityName}`,
+						params: { title },
+						text: `updated the ${entityType} '${title}'`
+					}
+				];
+			}
+
+			const res = [];
+			let changed = _.union(Object.keys(data), Object.keys(oldData)).filter(
+				field => !IGNORED_FIELDS.includes(field) && !_.isEqual(data[field], oldData[field])
+			);
+
+			if (changed.includes("archived")) {
+				const type = data.archived ? "archive" : "unarchive";
+				res.push({
+					type: `${type}${entityName}`,
+					params: { title },
+					text: `${type}d the ${entityType} '${title}'`
+				});
+			}
+
+			if (changed.includes("members")) {
+				const added = _.difference(data.members || [], oldData.members || []);
+				const removed = _.difference(oldData.members || [], data.members || []);
+				if (added.length > 0) {
+					res.push({
+						type: `addMemberTo${entityName}`,
+						params: { title, members: added },
+						text: `added ${added.length} member(s) to the ${entityType} '${title}'`
+					});
+				}
+				if (removed.length > 0) {
+					res.push({
+						type: `removeMemberFrom${entityName}`,
+						params: { title, members: removed },
+						text: `removed ${removed.length} member(s) from the ${entityType} '${title}'`
+					});
+				}
+			}
+
+			if (entityType == "board" && changed.includes("owner")) {
+				res.push({
+					type: "transferBoard",
+					params: { title, from: oldData.owner, to: data.owner },
+					text: `transferred the ownership of the board '${title}'`
+				});
+			}
+
+			if (entityType != "board" && changed.includes("board")) {
+				// The cards moved together with their list get only the activity of the list
+				if (entityType == "list" || changed.includes("list")) {
+					res.push(
+						{
+							type: `move${entityName}ToBoard`,
+							params: { title, fromBoard: oldData.board, toBoard: data.board },
+							text: `moved the ${entityType} '${title}' to another board`,
+							// It's stored on the original board
+							board: oldData.board,
+							...(entityType == "card" ? { list: oldData.list } : {})
+						},
+						{
+							type: `move${entityName}FromBoard`,
+							params: { title, fromBoard: oldData.board, toBoard: data.board },
+							text: `moved the ${entityType} '${title}' from another board`
+						}
+					);
+				}
+				changed = _.difference(changed, ["board", "list", "number", "labels"]);
+			}
+
+			if (entityType == "card" && changed.includes("list")) {
+				res.push({
+					type: "moveCard",
+					params: { title, fromList: oldData.list, toList: data.list },
+					text: `moved the card '${title}' to another list`
+				});
+			}
+
+			changed = _.difference(changed, ["archived", "members", "owner", "list"]);
+			if (changed.length > 0) {
+				res.push({
+					type: `update${entityName}`,
+					params: { title, fields: changed },
+					text: `updated the ${changed.join(", ")} of the ${entityType} '${title}'`
+				});
+			}
+
+			return res;
+		},
+
+		/**
+		 * The `board` scope can't be disabled because it checks the permissions.
+		 */
+		async checkScopeAuthority(ctx, name) {
+			return name != "board";
+		},
+
+		/**
+		 * Create a "no permission" error for the given entity.
+		 *
+		 * @param {String} entityType
+		 * @param {String} id
+		 * @returns {MoleculerClientError}
+		 */
+		noPermissionError(entityType, id) {
+			return new MoleculerClientError(
+				`You have no right for the ${entityType} '${id}'`,
+				403,
+				"ERR_NO_PERMISSION",
+				{ [entityType]: id }
+			);
+		}
+	},
 
 	/**
 	 * Service created lifecycle event handler
@@ -1,6 +1,7 @@
 "use strict";
 
 const ApiGateway = require("moleculer-web");
+const { UnAuthorizedError, ERR_INVALID_TOKEN } = ApiGateway.Errors;
 const _ = require("lodash");
 const helmet = require("helmet");
 const history = require("connect-history-api-fallback");
@@ -62,6 +63,12 @@ module.exports = {
 						BearerAuth: {
 							type: "http",
 							scheme: "bearer"
+						},
+						ApiKeyAuth: {
+							type: "apiKey",
+							in: "header",
+							name: "Authorization",
+							description: "Personal API key in `ApiKey <key>` format"
 						}
 					}
 				}
@@ -89,6 +96,10 @@ module.exports = {
 	settings: {
 		port: process.env.PORT || 4000,
 
+		// Use the `X-Forwarded-For` header for the client IP. Enable it only
+		// behind a reverse proxy which sets the header (e.g. Traefik).
+		trustProxy: process.env.TRUST_PROXY === "true",
+
 		use: [
 			helmet({
 				// It needs that GraphQL Playground and OpenAPI UI work
@@ -96,6 +107,21 @@ module.exports = {
 			})
 		],
 
+		io: {
+			namespaces: {
+				"/": {
+					// Authenticate the socket with JWT token at handshake
+					authorization: true,
+					events: {
+						call: {
+							// Join & leave board rooms
+							whitelist: ["v1.boards.joinRoom", "v1.boards.leaveRoom"]
+						}
+					}
+				}
+			}
+		},
+
 		routes: [
 			/**
 			 * API routes
@@ -108,6 +134,12 @@ module.exports = {
 					"v1.boards.**",
 					"v1.lists.**",
 					"v1.cards.**",
+					"v1.card.checklists.**",
+					"v1.card.attachments.**",
+					"v1.card.comments.**",
+					"v1.invitations.**",
+					"v1.activities.**",
+					"v1.search.**",
 					"maildev.**"
 				],
 
@@ -145,6 +177,38 @@ module.exports = {
 		]
 	},
 
+	events: {
+		"boards.created"(ctx) {
+			this.pushBoardEvent(ctx.eventName, ctx.params, board => board.id);
+		},
+		"boards.updated"(ctx) {
+			this.pushBoardEvent(ctx.eventName, ctx.params, board => board.id);
+		},
+		"boards.removed"(ctx) {
+			this.pushBoardEvent(ctx.eventName, ctx.params, board => board.id);
+		},
+
+		"lists.created"(ctx) {
+			this.pushBoardEvent(ctx.eventName, ctx.params, list => list.board);
+		},
+		"lists.updated"(ctx) {
+			this.pushBoardEvent(ctx.eventName, ctx.params, list => list.board);
+		},
+		"lists.removed"(ctx) {
+			this.pushBoardEvent(ctx.eventName, ctx.params, list => list.board);
+		},
+
+		"cards.created"(ctx) {
+			this.pushBoardEvent(ctx.eventName, ctx.params, card => card.board);
+		},
+		"cards.updated"(ctx) {
+			this.pushBoardEvent(ctx.eventName, ctx.params, card => card.board);
+		},
+		"cards.removed"(ctx) {
+			this.pushBoardEvent(ctx.eventName, ctx.params, card => card.board);
+		}
+	},
+
 	methods: {
 		/**
 		 * Authenticate from request
@@ -161,17 +225,51 @@ module.exports = {
 			const auth = req.headers["authorization"];
 			if (auth && auth.startsWith("Bearer ")) token = auth.slice(7);
 
-			// Get JWT token from cookie
-			if (!token && req.headers.cookie) {
-				const cookies = cookie.parse(req.headers.cookie);
-				token = cookies["jwt-token"];
+			ctx.meta.roles = [C.ROLE_EVERYONE];
+
+			// Client info for the login sessions
+			const forwardedFor = this.settings.trustProxy && req.headers["x-forwarded-for"];
+			ctx.meta.client = {
+				ip: forwardedFor
+					? forwardedFor.split(",")[0].trim()
+					: req.socket && req.socket.remoteAddress,
+				userAgent: req.headers["user-agent"]
+			};
+
+			// Personal API key from Authorization header
+			if (auth && auth.startsWith("ApiKey ")) {
+				const { user, apiKey } = await ctx.call("v1.accounts.resolveApiKey", {
+					key: auth.slice(7)
+				});
+
+				this.logger.debug("User authenticated via API key.", {
+					username: user.username,
+					id: user.id,
+					apiKey: apiKey.id
+				});
+
+				ctx.meta.roles.push(C.ROLE_AUTHENTICATED);
+				if (Array.isArray(user.roles)) ctx.meta.roles.push(...user.roles);
+				ctx.meta.apiKey = apiKey;
+				ctx.meta.userID = user.id;
+				return _.pick(user, ["id", "email", "username", "fullName", "avatar"]);
 			}
 
-			ctx.meta.roles = [C.ROLE_EVERYONE];
+			// Get JWT token from cookie
+			if (!token) token = this.getTokenFromCookie(req.headers);
 
 			if (token) {
 				// Verify JWT token
-				const user = await ctx.call("v1.accounts.resolveToken", { token });
+				let user;
+				try {
+					user = await ctx.call("v1.accounts.resolveToken", { token });
+				} catch (err) {
+					// Expired access token or revoked session. The request continues
+					// as anonymous in order to be able to login or refresh the token.
+					if (err.type != "INVALID_TOKEN") throw err;
+					this.logger.debug("Invalid JWT token.", err.message);
+					return null;
+				}
 				if (user) {
 					this.logger.debug("User authenticated via JWT.", {
 						username: user.username,
@@ -192,6 +290,92 @@ module.exports = {
 			//return this.Promise.reject(new UnAuthorizedError());
 		},
 
+		/**
+		 * Authenticate the socket connection with the JWT token in the
+		 * handshake `auth` data or in the cookie. Anonymous connections are allowed,
+		 * but they can't join to board rooms.
+		 *
+		 * @param {Socket} socket
+		 * @returns {Promise<Object?>}
+		 */
+		async socketAuthorize(socket) {
+			const token =
+				(socket.handshake.auth && socket.handshake.auth.token) ||
+				this.getTokenFromCookie(socket.handshake.headers);
+			if (!token) return null;
+
+			const user = await this.broker.call("v1.accounts.resolveToken", { token });
+			if (!user) throw new UnAuthorizedError(ERR_INVALID_TOKEN);
+
+			this.logger.debug("Socket authenticated via JWT.", {
+				username: user.username,
+				id: user.id
+			});
+
+			// Personal room in order to reach all sockets of the user
+			socket.join(`user:${user.id}`);
+
+			return _.pick(user, ["id", "email", "username", "fullName", "avatar", "roles"]);
+		},
+
+		/**
+		 * Set the meta of socket calls (the same as for the REST calls).
+		 *
+		 * @param {Socket} socket
+		 * @returns {Object}
+		 */
+		socketGetMeta(socket) {
+			const user = socket.client.user;
+			const meta = {
+				$socketId: socket.id,
+				$rooms: Array.from(socket.rooms.keys()),
+				user,
+				roles: [C.ROLE_EVERYONE]
+			};
+
+			if (user) {
+				meta.roles.push(C.ROLE_AUTHENTICATED);
+				if (Array.isArray(user.roles)) meta.roles.push(...user.roles);
+				meta.userID = user.id;
+			}
+			return meta;
+		},
+
+		/**
+		 * Get the JWT token from the cookie header.
+		 *
+		 * @param {Object} headers
+		 * @returns {String?}
+		 */
+		getTokenFromCookie(headers) {
+			if (!headers || !headers.cookie) return null;
+
+			const cookies = cookie.parse(headers.cookie);
+			return cookies["jwt-token"];
+		},
+
+		/**
+		 * Push the changed entity to the sockets in the board room.
+		 *
+		 * @param {String} event
+		 * @param {Object} payload
+		 * @param {Function} getBoardID
+		 */
+		pushBoardEvent(event, payload, getBoardID) {
+			if (!this.io) return;
+
+			const { data, oldData } = payload;
+			const boards = _.uniq([data, oldData].filter(Boolean).map(getBoardID)).filter(Boolean);
+			boards.forEach(boardID => this.io.to(`board:${boardID}`).emit(event, data));
+
+			// Kick the removed members out from the board room
+			if (event == "boards.updated" && oldData) {
+				_.difference(oldData.members, data.members).forEach(userID =>
+					this.io.in(`user:${userID}`).socketsLeave(`board:${data.id}`)
+				);
+			}
+		},
+
 		async signInSocialUser(params, cb) {
 			try {
 				cb(null, await this.broker.call("v1.accounts.socialLogin", params));
@@ -8,10 +8,41 @@ const { inspect } = require("util");
 
 const DbService = require("../mixins/db.mixin");
 const CacheCleaner = require("../mixins/cache-cleaner.mixin");
+const PurgeMixin = require("../mixins/purge.mixin");
+const RestoreMixin = require("../mixins/restore.mixin");
+const SearchMixin = require("../mixins/search.mixin");
 const MemberCheckMixin = require("../mixins/member-check.mixin");
 //const ConfigLoader = require("../mixins/config.mixin");
 const { MoleculerClientError } = require("moleculer").Errors;
 
+const BUILTIN_TEMPLATES = require("../templates/boards");
+
+// Version of the board export format
+const EXPORT_VERSION = 1;
+
+// Services of the exported board entities
+const EXPORT_SERVICES = {
+	lists: "v1.lists",
+	cards: "v1.cards",
+	checklists: "v1.card.checklists",
+	comments: "v1.card.comments"
+};
+
+// Label colors of Trello
+const TRELLO_COLORS = {
+	green: "#61bd4f",
+	yellow: "#f2d600",
+	orange: "#ff9f1a",
+	red: "#eb5a46",
+	purple: "#c377e0",
+	blue: "#0079bf",
+	sky: "#00c2e0",
+	lime: "#51e898",
+	pink: "#ff78cb",
+	black: "#344563"
+};
+const TRELLO_DEFAULT_COLOR = "#b3bac5";
+
 const OPENAPI_RESPONSE_200 = {
 	description: `Updated board`,
 	content: {
@@ -34,10 +65,15 @@ module.exports = {
 		DbService({
 			cache: {
 				additionalKeys: ["#userID"]
-			}
+			},
+			// Activities service needs the previous state of entity
+			entityChangedOldEntity: true
 		}),
 		CacheCleaner(["cache.clean.v1.lists", "cache.clean.v1.boards", "cache.clean.v1.accounts"]),
-		MemberCheckMixin
+		MemberCheckMixin,
+		PurgeMixin(),
+		RestoreMixin(),
+		SearchMixin({ fields: ["title"] })
 		//ConfigLoader([])
 	],
 
@@ -53,7 +89,14 @@ module.exports = {
 		rest: true,
 
 		graphql: {
-			entityName: "Board"
+			entityName: "Board",
+
+			type: `
+				type BoardItems {
+					lists: [List]!
+					cards: [Card]!
+				}
+			`
 		},
 
 		fields: {
@@ -98,8 +141,30 @@ module.exports = {
 				trim: true,
 				openapi: { example: "My board description" }
 			},
+			key: {
+				type: "string",
+				trim: true,
+				set: ({ value }) => (value ? value.toUpperCase() : value),
+				default({ params }) {
+					return this.generateBoardKey(params.title);
+				},
+				validate: "validateKey",
+				// The boards created before the card numbers have no stored key
+				get({ value, entity }) {
+					return value || this.generateBoardKey(entity.title);
+				},
+				description: "Prefix of the card numbers, e.g. `KT` for `KT-142`",
+				openapi: { example: "KT" }
+			},
+			// Counter of the per-board card numbers
+			cardCounter: { type: "number", readonly: true, hidden: "byDefault", default: 0 },
 			position: { type: "number", integer: true, default: 0 },
 			public: { type: "boolean", default: false },
+			template: {
+				type: "boolean",
+				default: false,
+				description: "The board can be used as a template of new boards"
+			},
 			//stars: { type: "number", integer: true, min: 0, default: 0 },
 			//starred: { type: "boolean", virtual: true, get: (value, entity, field, ctx) => ctx.call("v1.stars.has", { type: "board", entity: entity.id, user: ctx.meta.userID })},
 			labels: {
@@ -134,6 +199,24 @@ module.exports = {
 				},
 				graphql: { type: "[Member]", inputType: "String" }
 			},
+			// Board-level roles of members. Members without entry are editors.
+			memberRoles: {
+				type: "array",
+				readonly: true,
+				default: () => [],
+				items: {
+					type: "object",
+					properties: {
+						member: { type: "string", required: true },
+						role: {
+							type: "enum",
+							values: C.BOARD_ROLES,
+							required: true,
+							graphql: { type: "String" }
+						}
+					}
+				}
+			},
 			lists: {
 				type: "array",
 				items: { type: "string", empty: false },
@@ -182,8 +265,19 @@ module.exports = {
 			// List public boards
 			public(query, ctx) {
 				query.public = true;
+				query.template = { $ne: true };
 				delete query.members;
 				return query;
+			},
+
+			// List the templates of the logged in user & the public templates
+			templates(query, ctx) {
+				query.template = true;
+				if (ctx && ctx.meta.userID) {
+					delete query.members;
+					query.$or = [{ members: ctx.meta.userID }, { public: true }];
+				}
+				return query;
 			}
 		},
 
@@ -214,7 +308,7 @@ module.exports = {
 		},
 		update: {
 			needEntity: true,
-			permissions: [C.ROLE_BOARD_MEMBER]
+			permissions: [C.ROLE_BOARD_EDITOR]
 		},
 		replace: false,
 		remove: {
@@ -228,12 +322,13 @@ module.exports = {
 			rest: "POST /:id/members",
 			params: {
 				id: "string",
-				members: "string[]"
+				members: "string[]",
+				role: { type: "enum", values: C.BOARD_ROLES, optional: true }
 			},
 			needEntity: true,
-			permissions: [C.ROLE_BOARD_OWNER],
+			permissions: [C.ROLE_BOARD_ADMIN],
 			graphql: {
-				mutation: `boardAddMembers(id: String!, members: [String!]!): Board!`
+				mutation: `boardAddMembers(id: String!, members: [String!]!, role: String): Board!`
 			},
 			openapi: {
 				responses: {
@@ -241,15 +336,18 @@ module.exports = {
 				}
 			},
 			async handler(ctx) {
-				const newMembers = _.uniq(
-					[].concat(ctx.locals.entity.members || [], ctx.params.members)
-				);
+				const { id, members, role } = ctx.params;
+				const board = ctx.locals.entity;
+				const newMembers = _.uniq([].concat(board.members || [], members));
 
 				return this.updateEntity(
 					ctx,
 					{
-						...ctx.params,
+						id,
 						members: newMembers,
+						memberRoles: role
+							? this.setMemberRoles(board, members, role)
+							: board.memberRoles || [],
 						scope: false
 					},
 					{ permissive: true }
@@ -265,7 +363,7 @@ module.exports = {
 				members: "string[]"
 			},
 			needEntity: true,
-			permissions: [C.ROLE_BOARD_OWNER],
+			permissions: [C.ROLE_BOARD_ADMIN],
 			graphql: {
 				mutation: `boardRemoveMembers(id: String!, members: [String!]!): Board!`
 			},
@@ -275,8 +373,18 @@ module.exports = {
 				}
 			},
 			async handler(ctx) {
-				const newMembers = ctx.locals.entity.members.filter(
-					m => !ctx.params.members.includes(m)
+				const board = ctx.locals.entity;
+				if (ctx.params.members.includes(board.owner))
+					throw new MoleculerClientError(
+						"The board owner can't be removed from the members.",
+						400,
+						"OWNER_CANT_BE_REMOVED",
+						{ board: ctx.params.id, owner: board.owner }
+					);
+
+				const newMembers = board.members.filter(m => !ctx.params.members.includes(m));
+				const newMemberRoles = (board.memberRoles || []).filter(
+					item => !ctx.params.members.includes(item.member)
 				);
 
 				return this.updateEntity(
@@ -284,6 +392,92 @@ module.exports = {
 					{
 						id: ctx.params.id,
 						members: newMembers,
+						memberRoles: newMemberRoles,
+						scope: false
+					},
+					{ permissive: true }
+				);
+			}
+		},
+
+		setMemberRole: {
+			description: "Set the board-level role of a member",
+			rest: "PUT /:id/members/:member/role",
+			params: {
+				id: "string",
+				member: "string",
+				role: { type: "enum", values: C.BOARD_ROLES }
+			},
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_ADMIN],
+			graphql: {
+				mutation: `boardSetMemberRole(id: String!, member: String!, role: String!): Board!`
+			},
+			openapi: {
+				responses: {
+					200: OPENAPI_RESPONSE_200
+				}
+			},
+			async handler(ctx) {
+				const { id, member, role } = ctx.params;
+				const board = ctx.locals.entity;
+
+				if (!board.members.includes(member))
+					throw new MoleculerClientError(
+						"The user is not a member of the board.",
+						400,
+						"MEMBER_NOT_FOUND",
+						{ board: id, member }
+					);
+
+				if (board.owner == member)
+					throw new MoleculerClientError(
+						"The role of the board owner can't be changed.",
+						400,
+						"OWNER_ROLE_CANT_BE_CHANGED",
+						{ board: id, member }
+					);
+
+				return this.updateEntity(
+					ctx,
+					{
+						id,
+						memberRoles: this.setMemberRoles(board, [member], role),
+						scope: false
+					},
+					{ permissive: true }
+				);
+			}
+		},
+
+		/**
+		 * Add a member to the board without owner permission.
+		 * It's called when an invitation is accepted.
+		 */
+		join: {
+			visibility: "protected",
+			params: {
+				id: "string",
+				member: "string",
+				role: { type: "enum", values: C.BOARD_ROLES, optional: true }
+			},
+			async handler(ctx) {
+				const { id, member, role } = ctx.params;
+				const board = await this.resolveEntities(
+					ctx,
+					{ id, scope: ["-membership"] },
+					{ throwIfNotExist: true }
+				);
+				if (board.members.includes(member)) return board;
+
+				return this.updateEntity(
+					ctx,
+					{
+						id,
+						members: [...board.members, member],
+						memberRoles: role
+							? this.setMemberRoles(board, [member], role)
+							: board.memberRoles || [],
 						scope: false
 					},
 					{ permissive: true }
@@ -395,6 +589,375 @@ module.exports = {
 					{ permissive: true }
 				);
 			}
+		},
+
+		restore: {
+			description: "Restore the removed board with its lists & cards",
+			rest: "POST /:id/restore",
+			params: {
+				id: "string"
+			},
+			needEntity: true,
+			scopes: ["-notDeleted", "-notArchived"],
+			permissions: [C.ROLE_BOARD_OWNER],
+			graphql: {
+				mutation: `boardRestore(id: String!): Board!`
+			},
+			openapi: {
+				responses: {
+					200: OPENAPI_RESPONSE_200
+				}
+			},
+			async handler(ctx) {
+				const deletedAt = await this.getDeletedAt(ctx, ctx.params.id);
+				if (!deletedAt)
+					throw new MoleculerClientError(
+						"Board is not deleted",
+						400,
+						"BOARD_NOT_DELETED",
+						{
+							board: ctx.params.id
+						}
+					);
+
+				return this.restoreEntity(ctx, ctx.params.id, deletedAt);
+			}
+		},
+
+		/**
+		 * List the removed lists & cards of the board. The cards of removed
+		 * lists are not listed, they are restored with their list.
+		 */
+		trash: {
+			description: "List the removed lists & cards of the board",
+			rest: "GET /:id/trash",
+			params: {
+				id: "string"
+			},
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_MEMBER],
+			graphql: {
+				query: `boardTrash(id: String!): BoardItems!`
+			},
+			async handler(ctx) {
+				return this.findBoardItems(ctx, ctx.params.id, {
+					query: { deletedAt: { $ne: null } },
+					scope: ["-notDeleted", "-notArchived"],
+					timeField: "deletedAt"
+				});
+			}
+		},
+
+		/**
+		 * List the archived lists & cards of the board. The cards of archived
+		 * lists are not listed, they are unarchived with their list.
+		 */
+		archived: {
+			description: "List the archived lists & cards of the board",
+			rest: "GET /:id/archived",
+			params: {
+				id: "string"
+			},
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_MEMBER],
+			graphql: {
+				query: `boardArchived(id: String!): BoardItems!`
+			},
+			async handler(ctx) {
+				return this.findBoardItems(ctx, ctx.params.id, {
+					query: { archived: true },
+					scope: ["-notArchived"],
+					timeField: "archivedAt"
+				});
+			}
+		},
+
+		/**
+		 * List the available board templates.
+		 */
+		templates: {
+			description: "List the board templates of the user & the public templates",
+			rest: "GET /templates",
+			permissions: [C.ROLE_AUTHENTICATED],
+			graphql: {
+				query: `boardTemplates: [Board]!`
+			},
+			async handler(ctx) {
+				return this.findEntities(ctx, {
+					sort: "title",
+					scope: ["templates", "notArchived", "notDeleted"]
+				});
+			}
+		},
+
+		/**
+		 * Create a new board from an existing board or template with its lists.
+		 * The cards, labels & checklists are copied, as well (it can be disabled).
+		 */
+		duplicate: {
+			description: "Duplicate the board (or create a board from a template)",
+			rest: "POST /:id/duplicate",
+			params: {
+				id: "string",
+				title: { type: "string", optional: true },
+				description: { type: "string", optional: true },
+				key: { type: "string", optional: true },
+				public: { type: "boolean", optional: true },
+				template: { type: "boolean", default: false },
+				cards: { type: "boolean", default: true },
+				labels: { type: "boolean", default: true },
+				checklists: { type: "boolean", default: true }
+			},
+			needEntity: true,
+			scopes: ["-membership"],
+			permissions: [C.ROLE_AUTHENTICATED],
+			graphql: {
+				mutation: `boardDuplicate(id: String!, title: String, description: String, key: String, public: Boolean, template: Boolean, cards: Boolean, labels: Boolean, checklists: Boolean): Board!`
+			},
+			openapi: {
+				responses: {
+					200: {
+						description: `Created board`,
+						content: {
+							"application/json": {
+								schema: {
+									$ref: `#/components/schemas/Board`
+								}
+							}
+						}
+					}
+				}
+			},
+			async handler(ctx) {
+				const source = ctx.locals.entity;
+				// Everybody can use the public templates, other boards only the members.
+				if (
+					!ctx.meta.$repl &&
+					!(source.template && source.public) &&
+					!source.members.includes(ctx.meta.userID)
+				)
+					throw new MoleculerClientError(
+						"You have no right for the board",
+						403,
+						"ERR_NO_PERMISSION",
+						{ board: source.id }
+					);
+
+				return this.duplicateBoard(ctx, source, ctx.params);
+			}
+		},
+
+		/**
+		 * Export the board with the lists, cards, checklists & comments
+		 * into a versioned JSON document (the deleted items are skipped).
+		 */
+		export: {
+			description: "Export the board into a JSON document",
+			rest: "GET /:id/export",
+			params: {
+				id: "string"
+			},
+			needEntity: true,
+			scopes: ["-notArchived"],
+			permissions: [C.ROLE_BOARD_MEMBER],
+			async handler(ctx) {
+				const board = ctx.locals.entity;
+				const res = {
+					version: EXPORT_VERSION,
+					exportedAt: Date.now(),
+					board: _.pick(board, [
+						"id",
+						"title",
+						"description",
+						"key",
+						"public",
+						"labels",
+						"options"
+					])
+				};
+				for (const [name, service] of Object.entries(EXPORT_SERVICES)) {
+					res[name] = await ctx.call(`${service}.exportEntities`, { board: board.id });
+				}
+
+				// The comment authors may not be members of the board which the
+				// export is imported into, so their names are exported, too.
+				const authorIDs = _.uniq(res.comments.map(comment => comment.author));
+				if (authorIDs.length > 0) {
+					const authors = await ctx.call("v1.accounts.resolve", {
+						id: authorIDs,
+						fields: ["id", "fullName"],
+						mapping: true,
+						throwIfNotExist: false
+					});
+					res.comments.forEach(comment => {
+						const author = authors[comment.author];
+						if (!comment.authorName && author) comment.authorName = author.fullName;
+					});
+				}
+
+				ctx.meta.$responseHeaders = {
+					"Content-Disposition": `attachment; filename="${board.slug || board.id}.json"`
+				};
+
+				return res;
+			}
+		},
+
+		/**
+		 * Import an exported board. The board is created with new IDs and
+		 * the logged in user is the owner of it.
+		 */
+		import: {
+			description: "Import a board from an exported JSON document",
+			rest: "POST /import",
+			params: {
+				version: { type: "number", integer: true, positive: true },
+				board: {
+					type: "object",
+					props: {
+						title: { type: "string", empty: false }
+					}
+				},
+				lists: { type: "array", items: "object", optional: true },
+				cards: { type: "array", items: "object", optional: true },
+				checklists: { type: "array", items: "object", optional: true },
+				comments: { type: "array", items: "object", optional: true }
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			openapi: {
+				responses: {
+					200: {
+						description: `Imported board`,
+						content: {
+							"application/json": {
+								schema: {
+									$ref: `#/components/schemas/Board`
+								}
+							}
+						}
+					}
+				}
+			},
+			async handler(ctx) {
+				if (ctx.params.version > EXPORT_VERSION)
+					throw new MoleculerClientError(
+						"The version of the exported board is not supported",
+						422,
+						"UNSUPPORTED_EXPORT_VERSION",
+						{ version: ctx.params.version, supported: EXPORT_VERSION }
+					);
+
+				return this.importBoard(ctx, ctx.params);
+			}
+		},
+
+		/**
+		 * Import a board from a Trello JSON export. The Trello members can't be
+		 * mapped to accounts (except the logged in user by username), so they
+		 * are returned in the `unmappedMembers` property.
+		 */
+		importTrello: {
+			description: "Import a board from a Trello JSON export",
+			rest: "POST /import/trello",
+			params: {
+				name: { type: "string", empty: false },
+				lists: { type: "array", items: "object" },
+				cards: { type: "array", items: "object" },
+				labels: { type: "array", items: "object", optional: true },
+				checklists: { type: "array", items: "object", optional: true },
+				actions: { type: "array", items: "object", optional: true },
+				members: { type: "array", items: "object", optional: true }
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			openapi: {
+				responses: {
+					200: {
+						description: `Imported board & the unmapped Trello members`,
+						content: {
+							"application/json": {
+								schema: {
+									type: "object",
+									properties: {
+										board: { $ref: `#/components/schemas/Board` },
+										unmappedMembers: {
+											type: "array",
+											items: { type: "object" }
+										}
+									}
+								}
+							}
+						}
+					}
+				}
+			},
+			async handler(ctx) {
+				const account = await ctx.call("v1.accounts.resolve", {
+					id: ctx.meta.userID,
+					fields: ["id", "username"],
+					throwIfNotExist: true
+				});
+
+				const { data, unmappedMembers } = this.convertTrelloBoard(ctx.params, account);
+				const board = await this.importBoard(ctx, data);
+
+				return { board, unmappedMembers };
+			}
+		},
+
+		/**
+		 * Join the socket to the room of the board in order to receive the changes.
+		 * It's called via Socket.IO.
+		 */
+		joinRoom: {
+			params: {
+				id: "string"
+			},
+			needEntity: true,
+			scopes: ["-notArchived"],
+			permissions: [C.ROLE_BOARD_MEMBER],
+			async handler(ctx) {
+				ctx.meta.$join = `board:${ctx.params.id}`;
+				return true;
+			}
+		},
+
+		/**
+		 * Leave the room of the board. It's called via Socket.IO.
+		 */
+		leaveRoom: {
+			params: {
+				id: "string"
+			},
+			permissions: [],
+			async handler(ctx) {
+				ctx.meta.$leave = `board:${ctx.params.id}`;
+				return true;
+			}
+		},
+
+		/**
+		 * Allocate the next card number of the board. The counter is incremented
+		 * atomically in the database so parallel card creations get different numbers.
+		 */
+		nextCardNumber: {
+			visibility: "protected",
+			params: {
+				id: "string"
+			},
+			async handler(ctx) {
+				const adapter = await this.getAdapter(ctx);
+				const board = await adapter.updateById(
+					this.decodeID(ctx.params.id),
+					{ $inc: { cardCounter: 1 } },
+					{ raw: true }
+				);
+				if (!board)
+					throw new MoleculerClientError("Board is not found", 404, "BOARD_NOT_FOUND", {
+						board: ctx.params.id
+					});
+
+				return board.cardCounter;
+			}
 		}
 	},
 
@@ -407,6 +970,372 @@ module.exports = {
 	 * Methods
 	 */
 	methods: {
+		/**
+		 * Find the lists & cards of the board which match the query (e.g. removed
+		 * or archived ones). Only the cards of the active lists are returned
+		 * because the cards of the matched lists belong to their list.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} boardID
+		 * @param {Object} opts
+		 * @param {Object} opts.query Query of lists & cards
+		 * @param {Array<String>} opts.scope Scopes of lists & cards
+		 * @param {String} opts.timeField Timestamp field for sorting (descending)
+		 * @returns {Promise<Object>} `{ lists, cards }`
+		 */
+		async findBoardItems(ctx, boardID, { query, scope, timeField }) {
+			const sort = `-${timeField}`;
+
+			const lists = await ctx.call("v1.lists.find", {
+				board: boardID,
+				query,
+				sort,
+				fields: ["id", "title", "board", timeField],
+				scope
+			});
+
+			const activeLists = await ctx.call("v1.lists.find", {
+				board: boardID,
+				fields: ["id"]
+			});
+			const cards = _.flatten(
+				await this.Promise.all(
+					activeLists.map(list =>
+						ctx.call("v1.cards.find", {
+							list: list.id,
+							query,
+							sort,
+							fields: ["id", "title", "number", "board", "list", timeField],
+							scope
+						})
+					)
+				)
+			);
+
+			return { lists, cards: _.orderBy(cards, timeField, "desc") };
+		},
+
+		/**
+		 * Create a copy of the board with its active lists. The cards are copied
+		 * with `v1.cards.transferListCards`, so the labels are mapped by name.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} source
+		 * @param {Object} opts
+		 * @returns {Promise<Object>} Created board
+		 */
+		async duplicateBoard(ctx, source, opts) {
+			let board = await this.createEntity(ctx, {
+				..._.pick(source, ["description", "options"]),
+				..._.pick(opts, ["description", "key", "public"]),
+				title: opts.title || source.title,
+				template: opts.template
+			});
+
+			if (opts.labels) {
+				board = await this.updateEntity(
+					ctx,
+					{ id: board.id, labels: _.cloneDeep(source.labels), scope: false },
+					{ permissive: true }
+				);
+			}
+
+			const lists = await ctx.call("v1.lists.find", {
+				board: source.id,
+				query: { board: source.id },
+				sort: "position",
+				scope: ["-board"]
+			});
+			for (const list of lists) {
+				const newList = await ctx.call("v1.lists.create", {
+					..._.pick(list, ["title", "description", "color", "position"]),
+					board: board.id
+				});
+				if (opts.cards) {
+					await ctx.call("v1.cards.transferListCards", {
+						from: list.id,
+						to: newList.id,
+						copy: true,
+						checklists: opts.checklists
+					});
+				}
+			}
+
+			return board;
+		},
+
+		/**
+		 * Create a board from an exported document. The references of the
+		 * entities are remapped to the new IDs. The card members & checklist
+		 * assignees are dropped, except the logged in user. The comments of
+		 * other authors are imported as the comments of the logged in user
+		 * with the name of the original author.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} data Exported board
+		 * @returns {Promise<Object>} Created board
+		 */
+		async importBoard(ctx, data) {
+			const userID = ctx.meta.userID;
+			let board = await this.createEntity(
+				ctx,
+				_.pick(data.board, ["title", "description", "key", "public", "options"])
+			);
+			if (data.board.labels) {
+				board = await this.updateEntity(
+					ctx,
+					{ id: board.id, labels: data.board.labels, scope: false },
+					{ permissive: true }
+				);
+			}
+
+			const importEntities = async (name, entities) => {
+				const created = await ctx.call(`${EXPORT_SERVICES[name]}.importEntities`, {
+					entities: entities.map(entity => ({ ...entity, board: board.id }))
+				});
+				return new Map(entities.map((entity, i) => [entity.id, created[i].id]));
+			};
+
+			const listIDs = await importEntities("lists", data.lists || []);
+
+			// The cards keep their numbers. The cards without number get
+			// new numbers after them in the original order.
+			const cards = _.sortBy(
+				(data.cards || []).filter(card => listIDs.has(card.list)),
+				"number"
+			);
+			const lastNumber = _.max(cards.map(card => card.number)) || 0;
+			if (lastNumber > 0) {
+				const adapter = await this.getAdapter(ctx);
+				await adapter.updateById(
+					this.decodeID(board.id),
+					{ $max: { cardCounter: lastNumber } },
+					{ raw: true }
+				);
+			}
+			const cardIDs = await importEntities(
+				"cards",
+				cards.map(card => ({
+					...card,
+					list: listIDs.get(card.list),
+					members: (card.members || []).filter(member => member == userID)
+				}))
+			);
+
+			await importEntities(
+				"checklists",
+				(data.checklists || [])
+					.filter(checklist => cardIDs.has(checklist.card))
+					.map(checklist => ({
+						...checklist,
+						card: cardIDs.get(checklist.card),
+						items: (checklist.items || []).map(item => ({
+							..._.omit(item, ["id"]),
+							assignee: item.assignee == userID ? item.assignee : undefined
+						}))
+					}))
+			);
+
+			await importEntities(
+				"comments",
+				(data.comments || [])
+					.filter(comment => cardIDs.has(comment.card))
+					.map(comment => ({
+						...comment,
+						card: cardIDs.get(comment.card),
+						author: comment.author == userID ? userID : undefined,
+						authorName: comment.author == userID ? undefined : comment.authorName
+					}))
+			);
+
+			// Archive the cards before the lists, so the archiving of lists
+			// doesn't overwrite the archiving time of cards.
+			await ctx.call("v1.cards.archiveEntities", {
+				entities: cards
+					.filter(card => card.archived)
+					.map(card => ({ id: cardIDs.get(card.id), archivedAt: card.archivedAt }))
+			});
+			await ctx.call("v1.lists.archiveEntities", {
+				entities: (data.lists || [])
+					.filter(list => list.archived)
+					.map(list => ({ id: listIDs.get(list.id), archivedAt: list.archivedAt }))
+			});
+
+			return board;
+		},
+
+		/**
+		 * Convert a Trello board export to the format of the board export,
+		 * so it can be imported with `importBoard`. The Trello member who has
+		 * the same username as the account is mapped to the account.
+		 *
+		 * @param {Object} trello Trello board export
+		 * @param {Object} account Account of the importer user
+		 * @returns {Object} `{ data, unmappedMembers }`
+		 */
+		convertTrelloBoard(trello, account) {
+			const parseDate = value => (value ? Date.parse(value) || undefined : undefined);
+
+			const memberIDs = new Map();
+			const unmappedMembers = [];
+			(trello.members || []).forEach(member => {
+				if (member.username && member.username == account.username) {
+					memberIDs.set(member.id, account.id);
+				} else {
+					unmappedMembers.push(_.pick(member, ["id", "username", "fullName"]));
+				}
+			});
+
+			const labels = [];
+			const labelIDs = new Map();
+			(trello.labels || []).forEach(label => {
+				const color = label.color ? label.color.replace(/_(dark|light)$/, "") : null;
+				const id = this.generateNextLabelID(labels);
+				labels.push({
+					id,
+					name: label.name || _.capitalize(color || "label"),
+					color: TRELLO_COLORS[color] || TRELLO_DEFAULT_COLOR
+				});
+				labelIDs.set(label.id, id);
+			});
+
+			const data = {
+				version: EXPORT_VERSION,
+				board: {
+					title: trello.name,
+					description: trello.desc || undefined,
+					labels
+				},
+				lists: trello.lists.map(list => ({
+					id: list.id,
+					title: list.name,
+					position: list.pos,
+					archived: !!list.closed
+				})),
+				cards: trello.cards.map(card => ({
+					id: card.id,
+					list: card.idList,
+					title: card.name,
+					description: card.desc || undefined,
+					position: card.pos,
+					startDate: parseDate(card.start),
+					dueDate: parseDate(card.due),
+					labels: (card.idLabels || [])
+						.filter(id => labelIDs.has(id))
+						.map(id => labelIDs.get(id)),
+					members: (card.idMembers || [])
+						.filter(id => memberIDs.has(id))
+						.map(id => memberIDs.get(id)),
+					archived: !!card.closed,
+					archivedAt: card.closed ? parseDate(card.dateLastActivity) : undefined
+				})),
+				checklists: (trello.checklists || []).map(checklist => ({
+					card: checklist.idCard,
+					title: checklist.name,
+					position: checklist.pos,
+					items: _.sortBy(checklist.checkItems || [], "pos").map(item => ({
+						text: item.name,
+						checked: item.state == "complete",
+						assignee: memberIDs.get(item.idMember),
+						dueDate: parseDate(item.due)
+					}))
+				})),
+				// The actions are in reverse chronological order
+				comments: (trello.actions || [])
+					.filter(
+						action =>
+							action.type == "commentCard" && action.data.card && action.data.text
+					)
+					.reverse()
+					.map(action => ({
+						card: action.data.card.id,
+						author: memberIDs.get(action.idMemberCreator),
+						authorName: action.memberCreator
+							? action.memberCreator.fullName
+							: undefined,
+						body: action.data.text,
+						createdAt: parseDate(action.date)
+					}))
+			};
+
+			return { data, unmappedMembers };
+		},
+
+		/**
+		 * Create the built-in board templates of the administrator.
+		 */
+		async createBuiltinTemplates() {
+			const [admin] = await this.broker.call(
+				"v1.accounts.find",
+				{ query: { roles: C.ROLE_ADMINISTRATOR }, limit: 1, fields: ["id"] },
+				{ meta: { $repl: true } }
+			);
+			if (!admin) {
+				this.logger.warn("No administrator account, the board templates are not created.");
+				return;
+			}
+
+			const opts = { meta: { userID: admin.id, $repl: true } };
+			for (const tpl of BUILTIN_TEMPLATES) {
+				let board = await this.broker.call(
+					"v1.boards.create",
+					{
+						..._.pick(tpl, ["title", "description", "key"]),
+						public: true,
+						template: true
+					},
+					opts
+				);
+				board = await this.broker.call(
+					"v1.boards.update",
+					{ id: board.id, labels: tpl.labels },
+					opts
+				);
+
+				for (const [i, list] of (tpl.lists || []).entries()) {
+					const { id } = await this.broker.call(
+						"v1.lists.create",
+						{ board: board.id, title: list.title, position: i + 1 },
+						opts
+					);
+					for (const [j, card] of (list.cards || []).entries()) {
+						await this.broker.call(
+							"v1.cards.create",
+							{
+								..._.pick(card, ["title", "description"]),
+								list: id,
+								position: j + 1,
+								// The unknown label names of the template are skipped
+								labels: (card.labels || [])
+									.map(name => board.labels.find(label => label.name == name))
+									.filter(Boolean)
+									.map(label => label.id)
+							},
+							opts
+						);
+					}
+				}
+			}
+
+			this.logger.info(`Generated ${BUILTIN_TEMPLATES.length} board templates.`);
+		},
+
+		/**
+		 * Seed an empty collection with the built-in board templates.
+		 */
+		async seedDB() {
+			// The tests expect an empty collection
+			if (process.env.TEST_E2E || process.env.TEST_INT) return;
+
+			// The lists & cards services depend on this service, so they can't
+			// be called before this service is started. The administrator is
+			// looked up in the accounts service.
+			this.broker
+				.waitForServices(["v1.accounts", "v1.lists", "v1.cards"])
+				.then(() => this.createBuiltinTemplates())
+				.catch(err => this.logger.error("Unable to create the board templates", err));
+		},
+
 		/**
 		 * Generate an incremental number for labels.
 		 *
@@ -420,6 +1349,48 @@ module.exports = {
 			return max + 1;
 		},
 
+		/**
+		 * Set the role of the given members. It returns a new `memberRoles` array.
+		 * The board owner is skipped because the owner is always an admin.
+		 *
+		 * @param {Object} board
+		 * @param {Array<String>} members
+		 * @param {String} role
+		 * @returns {Array<Object>}
+		 */
+		setMemberRoles(board, members, role) {
+			members = members.filter(member => member != board.owner);
+			return [
+				...(board.memberRoles || []).filter(item => !members.includes(item.member)),
+				...members.map(member => ({ member, role }))
+			];
+		},
+
+		/**
+		 * Generate a card number prefix from the board title.
+		 * E.g. "KanTab development" -> "KD", "Backend" -> "BAC"
+		 *
+		 * @param {String} title
+		 * @returns {String}
+		 */
+		generateBoardKey(title) {
+			const words = (title || "").toUpperCase().match(/[A-Z0-9]+/g) || [];
+			let key = words.length > 1 ? words.map(w => w[0]).join("") : words.join("");
+			key = key.slice(0, words.length > 1 ? 5 : 3);
+
+			// It must start with a letter & contain at least 2 characters
+			if (!/^[A-Z]/.test(key)) key = "B" + key;
+			return key.padEnd(2, "B");
+		},
+
+		/**
+		 * Validate the `key` property of board.
+		 */
+		validateKey({ value }) {
+			if (/^[A-Z][A-Z0-9]{1,9}$/.test(value)) return true;
+			return "The key must be 2-10 uppercase letters or digits and start with a letter.";
+		},
+
 		async checkScopeAuthority(ctx, name, operation) {
 			if (operation == "remove") return !["membership", "notDeleted"].includes(name);
 
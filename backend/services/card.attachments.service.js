@@ -1,10 +1,17 @@
 "use strict";
 
-const _ = require("lodash");
-
+const C = require("../constants");
 const DbService = require("../mixins/db.mixin");
+const CacheCleaner = require("../mixins/cache-cleaner.mixin");
+const PurgeMixin = require("../mixins/purge.mixin");
+const RestoreMixin = require("../mixins/restore.mixin");
+const MemberCheckMixin = require("../mixins/member-check.mixin");
+const BoardValidatorsMixin = require("../mixins/board-validators.mixin");
+const StorageMixin = require("../mixins/storage.mixin");
 //const ConfigLoader = require("../mixins/config.mixin");
-//const { MoleculerRetryableError, MoleculerClientError } = require("moleculer").Errors;
+const { MoleculerClientError } = require("moleculer").Errors;
+
+const MAX_FILE_SIZE = 20 * 1024 * 1024; // 20MB
 
 /**
  * Card attachment service
@@ -16,54 +23,409 @@ module.exports = {
 	mixins: [
 		DbService({
 			cache: {
-				additionalKeys: ["#userID"]
+				additionalKeys: ["card", "#userID"]
 			}
-		})
-		//CacheCleaner(["cache.clean.cards", "cache.clean.card.attachments", "cache.clean.accounts"]),
+		}),
+		CacheCleaner([
+			"cache.clean.v1.card.attachments",
+			"cache.clean.v1.cards",
+			"cache.clean.v1.boards",
+			"cache.clean.v1.accounts"
+		]),
+		MemberCheckMixin,
+		BoardValidatorsMixin,
+		StorageMixin(),
+		PurgeMixin({ parents: { cards: "card" } }),
+		RestoreMixin({ parents: { cards: "card" } })
 		//ConfigLoader([])
 	],
 
 	/**
 	 * Service dependencies
 	 */
-	dependencies: [],
+	dependencies: [
+		{ name: "boards", version: 1 },
+		{ name: "cards", version: 1 }
+	],
 
 	/**
 	 * Service settings
 	 */
 	settings: {
-		/*fields: [
-			"_id",
-			"board",
-			"card",
-			"createdBy",
-
-			"type",
-			"title",
-			"description",
-			"url",
-			"size",
-
-			"options",
-			"createdAt",
-			"updatedAt"
-		]*/
+		rest: "/v1/cards/:card/attachments",
+
+		graphql: {
+			entityName: "Attachment"
+		},
+
+		fields: {
+			id: {
+				type: "string",
+				primaryKey: true,
+				secure: true,
+				columnName: "_id"
+			},
+			board: {
+				type: "string",
+				readonly: true,
+				populate: {
+					action: "v1.boards.resolve",
+					params: {
+						fields: ["id", "title", "slug", "description"]
+					}
+				},
+				graphql: { type: "Board", inputType: "String" }
+			},
+			card: {
+				type: "string",
+				readonly: true,
+				populate: {
+					action: "v1.cards.resolve",
+					params: {
+						fields: ["id", "title"]
+					}
+				},
+				validate: "validateCard",
+				graphql: { type: "Card", inputType: "String" }
+			},
+			title: {
+				type: "string",
+				required: true,
+				trim: true,
+				empty: false,
+				openapi: { example: "screenshot.png" }
+			},
+			description: { type: "string", trim: true },
+			type: { type: "string", readonly: true, openapi: { example: "image/png" } },
+			size: { type: "number", readonly: true },
+			// Key of the file in the storage
+			key: { type: "string", readonly: true, hidden: "byDefault" },
+			url: {
+				type: "string",
+				virtual: true,
+				get({ entity }) {
+					return `/api/v1/cards/${entity.card}/attachments/${this.encodeID(
+						entity._id
+					)}/download`;
+				}
+			},
+			createdBy: {
+				type: "string",
+				readonly: true,
+				onCreate: ({ ctx }) => ctx.meta.userID,
+				populate: {
+					action: "v1.accounts.resolve",
+					params: {
+						fields: ["id", "username", "fullName", "avatar"]
+					}
+				},
+				graphql: { type: "Member", inputType: "String" }
+			},
+			options: { type: "object" },
+			...C.TIMESTAMP_FIELDS
+		},
+
+		scopes: {
+			// Return attachments of a given card where the logged in user is a board member.
+			async card(query, ctx, params) {
+				// Adapter init
+				if (!ctx) return query;
+
+				if (params.card) {
+					const board = await this.getBoardOfCard(ctx, params.card);
+					if (board) {
+						query.card = params.card;
+						return query;
+					}
+					throw this.noPermissionError(params.card);
+				}
+				if (ctx.action.params.card && !ctx.action.params.card.optional) {
+					throw new MoleculerClientError(`Card is required`, 422, "VALIDATION_ERROR", [
+						{ type: "required", field: "card" }
+					]);
+				}
+
+				return query;
+			},
+
+			// List the not deleted attachments
+			notDeleted: { deletedAt: null }
+		},
+
+		defaultScopes: ["card", "notDeleted"]
 	},
 
 	/**
 	 * Actions
 	 */
-	actions: {},
+	actions: {
+		create: false,
+		list: {
+			permissions: [],
+			params: {
+				card: { type: "string" }
+			}
+		},
+
+		find: {
+			rest: "GET /find",
+			permissions: [],
+			params: {
+				card: { type: "string" }
+			}
+		},
+
+		count: {
+			rest: "GET /count",
+			permissions: [],
+			params: {
+				card: { type: "string" }
+			}
+		},
+
+		get: {
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_MEMBER]
+		},
+
+		update: {
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_EDITOR]
+		},
+
+		replace: false,
+
+		remove: {
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_EDITOR]
+		},
+
+		/**
+		 * Upload a file to a card as attachment. It's called by the API gateway
+		 * with the file stream in `ctx.params` (multipart form).
+		 */
+		upload: {
+			rest: {
+				method: "POST",
+				path: "/",
+				type: "multipart",
+				busboyConfig: {
+					limits: { files: 1, fileSize: MAX_FILE_SIZE }
+				}
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			async handler(ctx) {
+				const stream = ctx.params;
+				const cardID = ctx.meta.$params ? ctx.meta.$params.card : null;
+
+				let board;
+				try {
+					if (!cardID)
+						throw new MoleculerClientError(
+							`Card is required`,
+							422,
+							"VALIDATION_ERROR",
+							[{ type: "required", field: "card" }]
+						);
+
+					// The files can't be uploaded to the deleted or archived cards
+					board = await this.getBoardOfCard(ctx, cardID, true);
+					if (!this.checkBoardRole(board, ctx.meta.userID, C.BOARD_ROLE_EDITOR))
+						throw this.noPermissionError(cardID);
+				} catch (err) {
+					// Drain the file stream
+					stream.resume();
+					throw err;
+				}
+
+				const { filename, mimetype } = ctx.meta;
+				const key = this.generateStorageKey(`${board.id}/${cardID}`, filename);
+				const { size } = await this.storageSave(key, stream, { mimetype });
+
+				try {
+					return await this.createEntity(
+						ctx,
+						{
+							board: board.id,
+							card: cardID,
+							title: (ctx.meta.$multipart && ctx.meta.$multipart.title) || filename,
+							type: mimetype || "application/octet-stream",
+							size,
+							key
+						},
+						{ permissive: true }
+					);
+				} catch (err) {
+					await this.storageRemove(key);
+					throw err;
+				}
+			}
+		},
+
+		/**
+		 * Download the file of an attachment. The files are never served directly,
+		 * so the board membership is always checked.
+		 */
+		download: {
+			rest: "GET /:id/download",
+			params: {
+				id: "string"
+			},
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_MEMBER],
+			async handler(ctx) {
+				const attachment = await this.resolveEntities(ctx, {
+					id: ctx.locals.entity.id,
+					fields: ["id", "title", "type", "key"],
+					scope: false
+				});
+
+				const stream = await this.storageGet(attachment.key);
+
+				ctx.meta.$responseType = attachment.type;
+				ctx.meta.$responseHeaders = {
+					"Content-Disposition": this.getContentDisposition(attachment.title)
+				};
+
+				return stream;
+			}
+		}
+	},
 
 	/**
 	 * Events
 	 */
-	events: {},
+	events: {
+		async "cards.removed"(ctx) {
+			const card = ctx.params.data;
+			try {
+				const attachments = await this.findEntities(ctx, {
+					query: { card: card.id, deletedAt: null },
+					fields: ["id"],
+					scope: false
+				});
+				await this.Promise.all(
+					attachments.map(attachment =>
+						this.removeEntity(ctx, { id: attachment.id, scope: false })
+					)
+				);
+			} catch (err) {
+				this.logger.error(`Unable to delete attachments of card '${card.id}'`, err);
+			}
+		},
+
+		// The attachments follow the card to another board
+		async "cards.updated"(ctx) {
+			const { data: card, oldData } = ctx.params;
+			if (!oldData || card.board == oldData.board) return;
+
+			try {
+				const attachments = await this.findEntities(ctx, {
+					query: { card: card.id },
+					fields: ["id"],
+					scope: false
+				});
+				await this.Promise.all(
+					attachments.map(attachment =>
+						this.updateEntity(
+							ctx,
+							{ id: attachment.id, board: card.board, scope: false },
+							{ permissive: true }
+						)
+					)
+				);
+			} catch (err) {
+				this.logger.error(`Unable to move attachments of card '${card.id}'`, err);
+			}
+		},
+
+		async "boards.cleared"(ctx) {
+			try {
+				await this.clearEntities(ctx);
+			} catch (err) {
+				this.logger.error("Unable to clear attachments", err);
+			}
+		}
+	},
 
 	/**
 	 * Methods
 	 */
-	methods: {},
+	methods: {
+		/**
+		 * Remove the files of the purged attachments from the storage.
+		 * (called from Purge mixin)
+		 *
+		 * @param {Context} ctx
+		 * @param {Array<Object>} docs Raw attachment entities
+		 */
+		async beforePurge(ctx, docs) {
+			for (const doc of docs) {
+				try {
+					await this.storageRemove(doc.key);
+				} catch (err) {
+					this.logger.warn(`Unable to remove file '${doc.key}' from the storage`, err);
+				}
+			}
+		},
+
+		/**
+		 * Get the `Content-Disposition` header of a downloaded file. The
+		 * `filename*` parameter has the original UTF-8 name (RFC 5987), the
+		 * `filename` has an ASCII fallback for the old clients.
+		 *
+		 * @param {String} filename
+		 * @returns {String}
+		 */
+		getContentDisposition(filename) {
+			const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, "_");
+			const encoded = encodeURIComponent(filename).replace(
+				/['()*]/g,
+				c => "%" + c.charCodeAt(0).toString(16).toUpperCase()
+			);
+			return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+		},
+
+		/**
+		 * Get the board of the card if the logged in user has access to it.
+		 * With `activeOnly`, the deleted & archived cards are not resolved.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} cardID
+		 * @param {Boolean?} activeOnly
+		 * @returns {Promise<Object?>}
+		 */
+		async getBoardOfCard(ctx, cardID, activeOnly = false) {
+			const card = await ctx.call("v1.cards.resolve", {
+				id: cardID,
+				fields: ["id", "board"],
+				// The default scopes of cards filter the deleted & archived ones
+				scope: activeOnly ? undefined : false,
+				throwIfNotExist: false
+			});
+			if (!card) return null;
+
+			return ctx.call("v1.boards.resolve", {
+				id: card.board,
+				throwIfNotExist: false
+			});
+		},
+
+		/**
+		 * Create a "no permission" error for the given card.
+		 *
+		 * @param {String} cardID
+		 * @returns {MoleculerClientError}
+		 */
+		noPermissionError(cardID) {
+			return new MoleculerClientError(
+				`You have no right for the card '${cardID}'`,
+				403,
+				"ERR_NO_PERMISSION",
+				{ card: cardID }
+			);
+		}
+	},
 
 	/**
 	 * Service created lifecycle event handler
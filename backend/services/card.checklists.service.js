@@ -1,10 +1,30 @@
 "use strict";
 
 const _ = require("lodash");
+const crypto = require("crypto");
 
+const C = require("../constants");
 const DbService = require("../mixins/db.mixin");
+const CacheCleaner = require("../mixins/cache-cleaner.mixin");
+const PurgeMixin = require("../mixins/purge.mixin");
+const RestoreMixin = require("../mixins/restore.mixin");
+const BoardExportMixin = require("../mixins/board-export.mixin");
+const MemberCheckMixin = require("../mixins/member-check.mixin");
+const NextPositionMixin = require("../mixins/next-position.mixin");
+const BoardValidatorsMixin = require("../mixins/board-validators.mixin");
 //const ConfigLoader = require("../mixins/config.mixin");
-//const { MoleculerRetryableError, MoleculerClientError } = require("moleculer").Errors;
+const { MoleculerClientError } = require("moleculer").Errors;
+
+const OPENAPI_RESPONSE_200 = {
+	description: `Updated checklist`,
+	content: {
+		"application/json": {
+			schema: {
+				$ref: `#/components/schemas/Checklist`
+			}
+		}
+	}
+};
 
 /**
  * Card checklist service
@@ -16,52 +36,512 @@ module.exports = {
 	mixins: [
 		DbService({
 			cache: {
-				additionalKeys: ["#userID"]
+				additionalKeys: ["card", "#userID"]
 			}
+		}),
+		CacheCleaner([
+			"cache.clean.v1.card.checklists",
+			"cache.clean.v1.cards",
+			"cache.clean.v1.boards",
+			"cache.clean.v1.accounts"
+		]),
+		MemberCheckMixin,
+		NextPositionMixin,
+		BoardValidatorsMixin,
+		PurgeMixin({ parents: { cards: "card" } }),
+		RestoreMixin({ parents: { cards: "card" } }),
+		BoardExportMixin({
+			fields: ["card", "title", "position", "items"]
 		})
-		//CacheCleaner(["cache.clean.cards", "cache.clean.card.checklists", "cache.clean.accounts"]),
 		//ConfigLoader([])
 	],
 
 	/**
 	 * Service dependencies
 	 */
-	dependencies: [],
+	dependencies: [
+		{ name: "boards", version: 1 },
+		{ name: "cards", version: 1 }
+	],
 
 	/**
 	 * Service settings
 	 */
 	settings: {
-		/*fields: [
-			"_id",
-			"board",
-			"card",
-			"createdBy",
-
-			"title",
-			"description",
-			"position",
-
-			"options",
-			"createdAt",
-			"updatedAt"
-		]*/
+		rest: "/v1/cards/:card/checklists",
+
+		graphql: {
+			entityName: "Checklist"
+		},
+
+		fields: {
+			id: {
+				type: "string",
+				primaryKey: true,
+				secure: true,
+				columnName: "_id"
+			},
+			board: {
+				type: "string",
+				immutable: true,
+				populate: {
+					action: "v1.boards.resolve",
+					params: {
+						fields: ["id", "title", "slug", "description"]
+					}
+				},
+				validate: "validateBoard",
+				default({ ctx }) {
+					// Set the board from card.
+					return ctx
+						.call("v1.cards.resolve", { id: ctx.params.card, fields: ["board"] })
+						.then(card => card.board);
+				},
+				graphql: { type: "Board", inputType: "String" }
+			},
+			card: {
+				type: "string",
+				required: true,
+				immutable: true,
+				populate: {
+					action: "v1.cards.resolve",
+					params: {
+						fields: ["id", "title"]
+					}
+				},
+				validate: "validateCard",
+				graphql: { type: "Card", inputType: "String" }
+			},
+			title: {
+				type: "string",
+				required: true,
+				trim: true,
+				empty: false,
+				openapi: { example: "Todo" }
+			},
+			position: {
+				type: "number",
+				graphql: { type: "Float" },
+				default({ ctx }) {
+					return this.getNextPosition(ctx);
+				}
+			},
+			items: {
+				type: "array",
+				default: () => [],
+				items: {
+					type: "object",
+					properties: {
+						id: {
+							type: "string",
+							set({ value }) {
+								return value || this.generateItemID();
+							}
+						},
+						text: { type: "string", required: true, trim: true },
+						checked: { type: "boolean", default: false },
+						assignee: { type: "string" },
+						dueDate: { type: "number", graphql: { type: "Long" } }
+					}
+				}
+			},
+			createdBy: {
+				type: "string",
+				readonly: true,
+				onCreate: ({ ctx }) => ctx.meta.userID,
+				populate: {
+					action: "v1.accounts.resolve",
+					params: {
+						fields: ["id", "username", "fullName", "avatar"]
+					}
+				},
+				graphql: { type: "Member", inputType: "String" }
+			},
+			options: { type: "object" },
+			...C.TIMESTAMP_FIELDS
+		},
+
+		scopes: {
+			// Return checklists of a given card where the logged in user is a board member.
+			async card(query, ctx, params) {
+				// Adapter init
+				if (!ctx) return query;
+
+				if (params.card) {
+					const card = await ctx.call("v1.cards.resolve", {
+						id: params.card,
+						fields: ["id", "board"],
+						scope: false,
+						throwIfNotExist: false
+					});
+					const board = card
+						? await ctx.call("v1.boards.resolve", {
+								id: card.board,
+								throwIfNotExist: false
+						  })
+						: null;
+					if (board) {
+						query.card = params.card;
+						return query;
+					}
+					throw new MoleculerClientError(
+						`You have no right for the card '${params.card}'`,
+						403,
+						"ERR_NO_PERMISSION",
+						{ card: params.card }
+					);
+				}
+				if (ctx.action.params.card && !ctx.action.params.card.optional) {
+					throw new MoleculerClientError(`Card is required`, 422, "VALIDATION_ERROR", [
+						{ type: "required", field: "card" }
+					]);
+				}
+
+				return query;
+			},
+
+			// List the not deleted checklists
+			notDeleted: { deletedAt: null }
+		},
+
+		defaultScopes: ["card", "notDeleted"]
 	},
 
 	/**
 	 * Actions
 	 */
-	actions: {},
+	actions: {
+		create: {
+			permissions: [C.ROLE_BOARD_EDITOR]
+		},
+		list: {
+			permissions: [],
+			params: {
+				card: { type: "string" }
+			}
+		},
+
+		find: {
+			rest: "GET /find",
+			permissions: [],
+			params: {
+				card: { type: "string" }
+			}
+		},
+
+		count: {
+			rest: "GET /count",
+			permissions: [],
+			params: {
+				card: { type: "string" }
+			}
+		},
+
+		get: {
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_MEMBER]
+		},
+
+		update: {
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_EDITOR]
+		},
+
+		replace: false,
+
+		remove: {
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_EDITOR]
+		},
+
+		toggleItem: {
+			description: "Toggle the checked state of a checklist item",
+			rest: "POST /:id/items/:itemId/toggle",
+			params: {
+				id: "string",
+				itemId: "string",
+				checked: { type: "boolean", optional: true }
+			},
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_EDITOR],
+			graphql: {
+				mutation: `checklistToggleItem(id: String!, itemId: String!, checked: Boolean): Checklist!`
+			},
+			openapi: {
+				responses: {
+					200: OPENAPI_RESPONSE_200
+				}
+			},
+			async handler(ctx) {
+				const checklist = ctx.locals.entity;
+				const item = (checklist.items || []).find(item => item.id == ctx.params.itemId);
+				if (!item)
+					throw new MoleculerClientError(
+						"Checklist item is not found",
+						404,
+						"CHECKLIST_ITEM_NOT_FOUND",
+						{ checklist: checklist.id, item: ctx.params.itemId }
+					);
+
+				const checked = ctx.params.checked != null ? ctx.params.checked : !item.checked;
+
+				return this.updateEntity(
+					ctx,
+					{
+						id: checklist.id,
+						items: checklist.items.map(it =>
+							it.id == item.id ? { ...it, checked } : it
+						),
+						scope: false
+					},
+					{ permissive: true }
+				);
+			}
+		},
+
+		reorderItems: {
+			description: "Reorder the items of a checklist",
+			rest: "POST /:id/items/reorder",
+			params: {
+				id: "string",
+				items: "string[]"
+			},
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_EDITOR],
+			graphql: {
+				mutation: `checklistReorderItems(id: String!, items: [String!]!): Checklist!`
+			},
+			openapi: {
+				responses: {
+					200: OPENAPI_RESPONSE_200
+				}
+			},
+			async handler(ctx) {
+				const checklist = ctx.locals.entity;
+				const items = checklist.items || [];
+				const order = _.uniq(ctx.params.items);
+				if (
+					order.length != items.length ||
+					_.xor(
+						order,
+						items.map(item => item.id)
+					).length > 0
+				)
+					throw new MoleculerClientError(
+						"The new order must contain all items of the checklist",
+						400,
+						"CHECKLIST_ITEMS_MISMATCH",
+						{ checklist: checklist.id, items: ctx.params.items }
+					);
+
+				return this.updateEntity(
+					ctx,
+					{
+						id: checklist.id,
+						items: order.map(id => items.find(item => item.id == id)),
+						scope: false
+					},
+					{ permissive: true }
+				);
+			}
+		},
+
+		/**
+		 * Copy the checklists of a card to another card. The assignees who
+		 * are not members of the board of the target card are dropped.
+		 */
+		copyToCard: {
+			visibility: "protected",
+			params: {
+				card: "string",
+				toCard: "string"
+			},
+			async handler(ctx) {
+				const checklists = await this.findEntities(ctx, {
+					query: { card: ctx.params.card, deletedAt: null },
+					sort: "position",
+					scope: false
+				});
+				if (checklists.length == 0) return [];
+
+				const board = await this.getBoardOfCard(ctx, ctx.params.toCard);
+				return this.createEntities(
+					ctx,
+					checklists.map(checklist => ({
+						board: board.id,
+						card: ctx.params.toCard,
+						title: checklist.title,
+						position: checklist.position,
+						items: (checklist.items || []).map(item => ({
+							..._.omit(item, ["id"]),
+							assignee: board.members.includes(item.assignee)
+								? item.assignee
+								: undefined
+						}))
+					})),
+					{ permissive: true }
+				);
+			}
+		},
+
+		progress: {
+			description: "Get the checklist progress (done/total items) of a card",
+			params: {
+				card: "string"
+			},
+			permissions: [],
+			async handler(ctx) {
+				const checklists = await this.findEntities(ctx, {
+					card: ctx.params.card,
+					fields: ["items"]
+				});
+
+				return this.calcProgress(checklists);
+			}
+		},
+
+		/**
+		 * Get the checklist progresses of more cards with a single query
+		 * (for the `checklistProgress` populate of cards). The progresses are
+		 * returned in the order of the cards.
+		 */
+		progressOfCards: {
+			visibility: "protected",
+			params: {
+				cards: "string[]"
+			},
+			async handler(ctx) {
+				const checklists = await this.findEntities(ctx, {
+					query: { card: { $in: ctx.params.cards }, deletedAt: null },
+					fields: ["card", "items"],
+					scope: false
+				});
+
+				const byCard = _.groupBy(checklists, "card");
+				return ctx.params.cards.map(card => this.calcProgress(byCard[card] || []));
+			}
+		}
+	},
 
 	/**
 	 * Events
 	 */
-	events: {},
+	events: {
+		async "cards.removed"(ctx) {
+			const card = ctx.params.data;
+			try {
+				const checklists = await this.findEntities(ctx, {
+					query: { card: card.id, deletedAt: null },
+					fields: ["id"],
+					scope: false
+				});
+				await this.Promise.all(
+					checklists.map(checklist =>
+						this.removeEntity(ctx, { id: checklist.id, scope: false })
+					)
+				);
+			} catch (err) {
+				this.logger.error(`Unable to delete checklists of card '${card.id}'`, err);
+			}
+		},
+
+		// The checklists follow the card to another board
+		async "cards.updated"(ctx) {
+			const { data: card, oldData } = ctx.params;
+			if (!oldData || card.board == oldData.board) return;
+
+			try {
+				const checklists = await this.findEntities(ctx, {
+					query: { card: card.id },
+					scope: false
+				});
+				if (checklists.length == 0) return;
+
+				const { members } = await this.getBoardOfCard(ctx, card.id);
+				await this.Promise.all(
+					checklists.map(checklist =>
+						this.updateEntity(
+							ctx,
+							{
+								id: checklist.id,
+								board: card.board,
+								items: (checklist.items || []).map(item =>
+									members.includes(item.assignee)
+										? item
+										: _.omit(item, ["assignee"])
+								),
+								scope: false
+							},
+							{ permissive: true }
+						)
+					)
+				);
+			} catch (err) {
+				this.logger.error(`Unable to move checklists of card '${card.id}'`, err);
+			}
+		},
+
+		async "boards.cleared"(ctx) {
+			try {
+				await this.clearEntities(ctx);
+			} catch (err) {
+				this.logger.error("Unable to clear checklists", err);
+			}
+		}
+	},
 
 	/**
 	 * Methods
 	 */
-	methods: {},
+	methods: {
+		/**
+		 * Calculate the progress (done/total items) of checklists.
+		 *
+		 * @param {Array<Object>} checklists
+		 * @returns {Object}
+		 */
+		calcProgress(checklists) {
+			return checklists.reduce(
+				(res, checklist) => {
+					(checklist.items || []).forEach(item => {
+						res.total++;
+						if (item.checked) res.done++;
+					});
+					return res;
+				},
+				{ done: 0, total: 0 }
+			);
+		},
+
+		/**
+		 * Get the board (with members) of the card.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} cardID
+		 * @returns {Promise<Object>}
+		 */
+		async getBoardOfCard(ctx, cardID) {
+			const card = await ctx.call("v1.cards.resolve", {
+				id: cardID,
+				fields: ["board"],
+				scope: false
+			});
+			return ctx.call("v1.boards.resolve", {
+				id: card.board,
+				fields: ["id", "members"],
+				scope: false
+			});
+		},
+
+		/**
+		 * Generate a unique ID for checklist items.
+		 *
+		 * @returns {String}
+		 */
+		generateItemID() {
+			return crypto.randomBytes(6).toString("hex");
+		}
+	},
 
 	/**
 	 * Service created lifecycle event handler
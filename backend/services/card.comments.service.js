@@ -0,0 +1,456 @@
+"use strict";
+
+const _ = require("lodash");
+
+const C = require("../constants");
+const DbService = require("../mixins/db.mixin");
+const CacheCleaner = require("../mixins/cache-cleaner.mixin");
+const PurgeMixin = require("../mixins/purge.mixin");
+const RestoreMixin = require("../mixins/restore.mixin");
+const BoardExportMixin = require("../mixins/board-export.mixin");
+const MemberCheckMixin = require("../mixins/member-check.mixin");
+const BoardValidatorsMixin = require("../mixins/board-validators.mixin");
+//const ConfigLoader = require("../mixins/config.mixin");
+const { MoleculerClientError } = require("moleculer").Errors;
+
+// Matches the `@username` mentions in the comment body
+const MENTION_REGEXP = /(?:^|[^\w@])@([\w.-]+)/g;
+
+/**
+ * Card comment service
+ */
+module.exports = {
+	name: "card.comments",
+	version: 1,
+
+	mixins: [
+		DbService({
+			cache: {
+				additionalKeys: ["card", "#userID"]
+			}
+		}),
+		CacheCleaner([
+			"cache.clean.v1.card.comments",
+			"cache.clean.v1.cards",
+			"cache.clean.v1.boards",
+			"cache.clean.v1.accounts"
+		]),
+		MemberCheckMixin,
+		BoardValidatorsMixin,
+		PurgeMixin({ parents: { cards: "card" } }),
+		RestoreMixin({ parents: { cards: "card" } }),
+		BoardExportMixin({
+			fields: ["card", "author", "authorName", "body", "createdAt"],
+			sort: "createdAt"
+		})
+		//ConfigLoader([])
+	],
+
+	/**
+	 * Service dependencies
+	 */
+	dependencies: [
+		{ name: "boards", version: 1 },
+		{ name: "cards", version: 1 }
+	],
+
+	/**
+	 * Service settings
+	 */
+	settings: {
+		rest: "/v1/cards/:card/comments",
+
+		graphql: {
+			entityName: "Comment"
+		},
+
+		fields: {
+			id: {
+				type: "string",
+				primaryKey: true,
+				secure: true,
+				columnName: "_id"
+			},
+			board: {
+				type: "string",
+				immutable: true,
+				populate: {
+					action: "v1.boards.resolve",
+					params: {
+						fields: ["id", "title", "slug", "description"]
+					}
+				},
+				validate: "validateBoard",
+				default({ ctx }) {
+					// Set the board from card.
+					return ctx
+						.call("v1.cards.resolve", { id: ctx.params.card, fields: ["board"] })
+						.then(card => card.board);
+				},
+				graphql: { type: "Board", inputType: "String" }
+			},
+			card: {
+				type: "string",
+				required: true,
+				immutable: true,
+				populate: {
+					action: "v1.cards.resolve",
+					params: {
+						fields: ["id", "title"]
+					}
+				},
+				validate: "validateCard",
+				graphql: { type: "Card", inputType: "String" }
+			},
+			author: {
+				type: "string",
+				readonly: true,
+				// The imported comments keep their author
+				onCreate: ({ ctx, value }) => value || ctx.meta.userID,
+				populate: {
+					action: "v1.accounts.resolve",
+					params: {
+						fields: ["id", "username", "fullName", "avatar"]
+					}
+				},
+				graphql: { type: "Member", inputType: "String" }
+			},
+			// Name of the original author of an imported comment who is not
+			// a member of the board. The importer is the `author` of these comments.
+			authorName: {
+				type: "string",
+				readonly: true,
+				description: "Name of the original author of an imported comment",
+				openapi: { example: "John Doe" }
+			},
+			body: {
+				type: "string",
+				required: true,
+				trim: true,
+				empty: false,
+				description: "Comment text in Markdown format",
+				openapi: { example: "Looks good to me, @john" }
+			},
+			mentions: {
+				type: "array",
+				items: { type: "string" },
+				readonly: true,
+				onCreate({ ctx, params }) {
+					return this.parseMentions(ctx, params.body, params.card);
+				},
+				onUpdate({ ctx, params, entity }) {
+					if (params.body == null) return entity.mentions;
+					return this.parseMentions(ctx, params.body, entity.card);
+				},
+				populate: {
+					action: "v1.accounts.resolve",
+					params: {
+						fields: ["id", "username", "fullName", "avatar"]
+					}
+				},
+				graphql: { type: "[Member]" }
+			},
+			edited: {
+				type: "boolean",
+				readonly: true,
+				onCreate: () => false,
+				onUpdate: ({ params, entity }) =>
+					entity.edited || (params.body != null && params.body != entity.body)
+			},
+			reactions: {
+				type: "array",
+				readonly: true,
+				onCreate: () => [],
+				items: {
+					type: "object",
+					properties: {
+						emoji: { type: "string" },
+						users: { type: "array", items: { type: "string" } }
+					}
+				}
+			},
+			...C.TIMESTAMP_FIELDS,
+			createdAt: {
+				...C.TIMESTAMP_FIELDS.createdAt,
+				// The imported comments keep their creation time
+				onCreate: ({ value }) => value || Date.now()
+			}
+		},
+
+		scopes: {
+			// Return comments of a given card where the logged in user is a board member.
+			async card(query, ctx, params) {
+				// Adapter init
+				if (!ctx) return query;
+
+				if (params.card) {
+					const card = await ctx.call("v1.cards.resolve", {
+						id: params.card,
+						fields: ["id", "board"],
+						scope: false,
+						throwIfNotExist: false
+					});
+					const board = card
+						? await ctx.call("v1.boards.resolve", {
+								id: card.board,
+								throwIfNotExist: false
+						  })
+						: null;
+					if (board) {
+						query.card = params.card;
+						return query;
+					}
+					throw new MoleculerClientError(
+						`You have no right for the card '${params.card}'`,
+						403,
+						"ERR_NO_PERMISSION",
+						{ card: params.card }
+					);
+				}
+				if (ctx.action.params.card && !ctx.action.params.card.optional) {
+					throw new MoleculerClientError(`Card is required`, 422, "VALIDATION_ERROR", [
+						{ type: "required", field: "card" }
+					]);
+				}
+
+				return query;
+			},
+
+			// List the not deleted comments
+			notDeleted: { deletedAt: null }
+		},
+
+		defaultScopes: ["card", "notDeleted"]
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+		create: {
+			permissions: [C.ROLE_BOARD_COMMENTER]
+		},
+		list: {
+			permissions: [],
+			params: {
+				card: { type: "string" }
+			}
+		},
+
+		find: {
+			rest: "GET /find",
+			permissions: [],
+			params: {
+				card: { type: "string" }
+			}
+		},
+
+		count: {
+			rest: "GET /count",
+			permissions: [],
+			params: {
+				card: { type: "string" }
+			}
+		},
+
+		get: {
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_MEMBER]
+		},
+
+		// Only the author can edit the comment
+		update: {
+			needEntity: true,
+			permissions: [ctx => ctx.service.isCommentAuthor(ctx)]
+		},
+
+		replace: false,
+
+		// The author or the board owner can delete the comment
+		remove: {
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_ADMIN, ctx => ctx.service.isCommentAuthor(ctx)]
+		},
+
+		react: {
+			description: "Add or remove a reaction of the logged in user",
+			rest: "POST /:id/react",
+			params: {
+				id: "string",
+				emoji: { type: "string", empty: false, max: 32 }
+			},
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_COMMENTER],
+			graphql: {
+				mutation: `commentReact(id: String!, emoji: String!): Comment!`
+			},
+			openapi: {
+				responses: {
+					200: {
+						description: `Updated comment`,
+						content: {
+							"application/json": {
+								schema: {
+									$ref: `#/components/schemas/Comment`
+								}
+							}
+						}
+					}
+				}
+			},
+			async handler(ctx) {
+				const comment = ctx.locals.entity;
+				const { emoji } = ctx.params;
+				const userID = ctx.meta.userID;
+
+				const reactions = _.cloneDeep(comment.reactions || []);
+				let reaction = reactions.find(r => r.emoji == emoji);
+				if (!reaction) {
+					reaction = { emoji, users: [] };
+					reactions.push(reaction);
+				}
+
+				if (reaction.users.includes(userID)) {
+					reaction.users = reaction.users.filter(u => u != userID);
+				} else {
+					reaction.users.push(userID);
+				}
+
+				return this.updateEntity(
+					ctx,
+					{
+						id: comment.id,
+						reactions: reactions.filter(r => r.users.length > 0),
+						scope: false
+					},
+					{ permissive: true }
+				);
+			}
+		}
+	},
+
+	/**
+	 * Events
+	 */
+	events: {
+		async "cards.removed"(ctx) {
+			const card = ctx.params.data;
+			try {
+				const comments = await this.findEntities(ctx, {
+					query: { card: card.id, deletedAt: null },
+					fields: ["id"],
+					scope: false
+				});
+				await this.Promise.all(
+					comments.map(comment =>
+						this.removeEntity(ctx, { id: comment.id, scope: false })
+					)
+				);
+			} catch (err) {
+				this.logger.error(`Unable to delete comments of card '${card.id}'`, err);
+			}
+		},
+
+		// The comments follow the card to another board
+		async "cards.updated"(ctx) {
+			const { data: card, oldData } = ctx.params;
+			if (!oldData || card.board == oldData.board) return;
+
+			try {
+				const comments = await this.findEntities(ctx, {
+					query: { card: card.id },
+					fields: ["id"],
+					scope: false
+				});
+				await this.Promise.all(
+					comments.map(comment =>
+						this.updateEntity(
+							ctx,
+							{ id: comment.id, board: card.board, scope: false },
+							{ permissive: true }
+						)
+					)
+				);
+			} catch (err) {
+				this.logger.error(`Unable to move comments of card '${card.id}'`, err);
+			}
+		},
+
+		async "boards.cleared"(ctx) {
+			try {
+				await this.clearEntities(ctx);
+			} catch (err) {
+				this.logger.error("Unable to clear comments", err);
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+		/**
+		 * Collect the mentioned board members from the comment body.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} body
+		 * @param {String} cardID
+		 * @returns {Promise<Array<String>>} IDs of mentioned accounts
+		 */
+		async parseMentions(ctx, body, cardID) {
+			const usernames = _.uniq(
+				Array.from((body || "").matchAll(MENTION_REGEXP), m => m[1].toLowerCase())
+			);
+			if (usernames.length == 0) return [];
+
+			const card = await ctx.call("v1.cards.resolve", {
+				id: cardID,
+				fields: ["board"],
+				scope: false
+			});
+			const board = await ctx.call("v1.boards.resolve", {
+				id: card.board,
+				fields: ["members"]
+			});
+			const members = await ctx.call("v1.accounts.resolve", {
+				id: board.members,
+				fields: ["id", "username"]
+			});
+
+			return members
+				.filter(
+					member => member.username && usernames.includes(member.username.toLowerCase())
+				)
+				.map(member => member.id);
+		},
+
+		/**
+		 * Check that the logged in user is the author of the comment.
+		 * (called from CheckPermission middleware)
+		 *
+		 * @param {Context} ctx
+		 * @returns {Promise<Boolean>}
+		 */
+		async isCommentAuthor(ctx) {
+			if (ctx.meta.$repl) return true;
+			if (!ctx.meta.userID) return false;
+
+			return ctx.locals.entity != null && ctx.locals.entity.author == ctx.meta.userID;
+		}
+	},
+
+	/**
+	 * Service created lifecycle event handler
+	 */
+	created() {},
+
+	/**
+	 * Service started lifecycle event handler
+	 */
+	started() {},
+
+	/**
+	 * Service stopped lifecycle event handler
+	 */
+	stopped() {}
+};
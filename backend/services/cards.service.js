@@ -1,14 +1,60 @@
 "use strict";
 
+const _ = require("lodash");
+const { Readable } = require("stream");
+
 const C = require("../constants");
 const DbService = require("../mixins/db.mixin");
 const CacheCleaner = require("../mixins/cache-cleaner.mixin");
+const PurgeMixin = require("../mixins/purge.mixin");
+const RestoreMixin = require("../mixins/restore.mixin");
+const BoardExportMixin = require("../mixins/board-export.mixin");
+const SearchMixin = require("../mixins/search.mixin");
 const MemberCheckMixin = require("../mixins/member-check.mixin");
 const NextPositionMixin = require("../mixins/next-position.mixin");
 const BoardValidatorsMixin = require("../mixins/board-validators.mixin");
-//const ConfigLoader = require("../mixins/config.mixin");
+const ConfigLoader = require("../mixins/config.mixin");
+const Cron = require("../mixins/cron.mixin");
 const { MoleculerClientError } = require("moleculer").Errors;
 
+// Columns of the CSV export
+const CSV_COLUMNS = [
+	"Number",
+	"Title",
+	"Description",
+	"List",
+	"Labels",
+	"Members",
+	"Start date",
+	"Due date",
+	"Archived",
+	"Created at",
+	"Updated at"
+];
+
+// Number of cards which are loaded in a round during CSV export
+const CSV_BATCH_SIZE = 100;
+
+const OPENAPI_RESPONSE_CSV = {
+	description: `Cards in CSV format`,
+	content: {
+		"text/csv": {
+			schema: { type: "string" }
+		}
+	}
+};
+
+const OPENAPI_RESPONSE_200 = {
+	description: `Updated card`,
+	content: {
+		"application/json": {
+			schema: {
+				$ref: `#/components/schemas/Card`
+			}
+		}
+	}
+};
+
 /**
  * Card of boards service
  */
@@ -20,18 +66,45 @@ module.exports = {
 		DbService({
 			cache: {
 				additionalKeys: ["list", "#userID"]
-			}
+			},
+			// Activities service needs the previous state of entity
+			entityChangedOldEntity: true
 		}),
 		CacheCleaner([
 			"cache.clean.v1.cards",
+			"cache.clean.v1.card.checklists",
+			"cache.clean.v1.card.attachments",
+			"cache.clean.v1.card.comments",
 			"cache.clean.v1.lists",
 			"cache.clean.v1.boards",
 			"cache.clean.v1.accounts"
 		]),
 		MemberCheckMixin,
 		NextPositionMixin,
-		BoardValidatorsMixin
-		//ConfigLoader([])
+		BoardValidatorsMixin,
+		ConfigLoader(["cards.**"]),
+		Cron,
+		PurgeMixin({ parents: { boards: "board", lists: "list" } }),
+		// The cards are removed with their lists, so they are restored with them, too.
+		RestoreMixin({ parents: { lists: "list" } }),
+		BoardExportMixin({
+			fields: [
+				"list",
+				"number",
+				"title",
+				"description",
+				"color",
+				"position",
+				"startDate",
+				"dueDate",
+				"labels",
+				"members",
+				"archived",
+				"archivedAt",
+				"options"
+			]
+		}),
+		SearchMixin({ fields: ["title", "description"] })
 	],
 
 	/**
@@ -90,6 +163,16 @@ module.exports = {
 				validate: "validateList",
 				graphql: { type: "List", inputType: "String" }
 			},
+			number: {
+				type: "number",
+				readonly: true,
+				// The imported cards keep their number
+				onCreate({ ctx, params, value }) {
+					return value || this.getNextCardNumber(ctx, params);
+				},
+				description: "Per-board sequential number of the card",
+				openapi: { example: 142 }
+			},
 			title: {
 				type: "string",
 				required: true,
@@ -111,6 +194,33 @@ module.exports = {
 					return this.getNextPosition(ctx);
 				}
 			},
+			startDate: {
+				type: "number",
+				nullable: true,
+				validate: "validateDates",
+				graphql: { type: "Long" }
+			},
+			dueDate: {
+				type: "number",
+				nullable: true,
+				validate: "validateDates",
+				graphql: { type: "Long" }
+			},
+			// Time of sent notifications. They are reset when the due date changes.
+			dueSoonNotifiedAt: {
+				type: "number",
+				readonly: true,
+				hidden: "byDefault",
+				onUpdate: ({ value, params, entity }) =>
+					params.dueDate !== undefined && params.dueDate != entity.dueDate ? null : value
+			},
+			overdueNotifiedAt: {
+				type: "number",
+				readonly: true,
+				hidden: "byDefault",
+				onUpdate: ({ value, params, entity }) =>
+					params.dueDate !== undefined && params.dueDate != entity.dueDate ? null : value
+			},
 			options: { type: "object" },
 			labels: {
 				type: "array",
@@ -130,7 +240,86 @@ module.exports = {
 				},
 				graphql: { type: "[Member]", inputType: "String" }
 			},
-			// attachments,
+			checklistProgress: {
+				type: "object",
+				readonly: true,
+				properties: {
+					done: { type: "number", graphql: { type: "Int" } },
+					total: { type: "number", graphql: { type: "Int" } }
+				},
+				graphql: { type: "ChecklistProgress" },
+				populate: {
+					action: "v1.card.checklists.progress",
+					handler(ctx, values, cards) {
+						return ctx.call("v1.card.checklists.progressOfCards", {
+							cards: cards.map(card => this.encodeID(card._id))
+						});
+					},
+					graphqlRootParams: { id: "card" }
+				}
+			},
+			attachments: {
+				type: "array",
+				items: { type: "string", empty: false },
+				readonly: true,
+				graphql: {
+					query: "attachments(page: Int, pageSize: Int, sort: String): AttachmentListResponse"
+				},
+				populate: {
+					action: "v1.card.attachments.list",
+					handler(ctx, values, cards) {
+						return this.Promise.all(
+							cards.map(async card => {
+								const res = await ctx.call("v1.card.attachments.list", {
+									card: this.encodeID(card._id)
+								});
+								return res.rows;
+							})
+						);
+					},
+					graphqlRootParams: { id: "card" }
+				}
+			},
+			comments: {
+				type: "array",
+				items: { type: "string", empty: false },
+				readonly: true,
+				graphql: {
+					query: "comments(page: Int, pageSize: Int, sort: String): CommentListResponse"
+				},
+				populate: {
+					action: "v1.card.comments.list",
+					handler(ctx, values, cards) {
+						return this.Promise.all(
+							cards.map(async card => {
+								const res = await ctx.call("v1.card.comments.list", {
+									card: this.encodeID(card._id)
+								});
+								return res.rows;
+							})
+						);
+					},
+					graphqlRootParams: { id: "card" }
+				}
+			},
+			commentCount: {
+				type: "number",
+				readonly: true,
+				graphql: { type: "Int" },
+				populate: {
+					action: "v1.card.comments.count",
+					handler(ctx, values, cards) {
+						return this.Promise.all(
+							cards.map(card =>
+								ctx.call("v1.card.comments.count", {
+									card: this.encodeID(card._id)
+								})
+							)
+						);
+					},
+					graphqlRootParams: { id: "card" }
+				}
+			},
 			...C.ARCHIVED_FIELDS,
 			...C.TIMESTAMP_FIELDS
 		},
@@ -165,24 +354,55 @@ module.exports = {
 						{ type: "required", field: "list" }
 					]);
 				}
+
+				return query;
+			},
+
+			// List the cards which are due in the next hours (`cards.dueSoon.hours` config)
+			dueSoon(query) {
+				const now = Date.now();
+				query.dueDate = { $gt: now, $lte: now + this.getDueSoonPeriod() };
+				return query;
+			},
+
+			// List the cards which are past their due date
+			overdue(query) {
+				query.dueDate = { $lte: Date.now() };
+				return query;
 			},
 
 			// List the non-archived cards
-			notArchived: { archived: false },
+			// (the cards created before the archiving feature have no `archived` field)
+			notArchived: { archived: { $ne: true } },
 
 			// List the not deleted cards
 			notDeleted: { deletedAt: null }
 		},
 
-		defaultScopes: ["list", "notArchived", "notDeleted"]
+		defaultScopes: ["list", "notArchived", "notDeleted"],
+
+		indexes: [{ fields: ["board", "number"] }]
 	},
 
+	/**
+	 * Cron jobs
+	 */
+	crons: [
+		{
+			name: "CheckCardDueDates",
+			cronTime: "0 */10 * * * *",
+			onTick: {
+				action: "v1.cards.checkDueDates"
+			}
+		}
+	],
+
 	/**
 	 * Actions
 	 */
 	actions: {
 		create: {
-			permissions: [C.ROLE_BOARD_MEMBER]
+			permissions: [C.ROLE_BOARD_EDITOR]
 		},
 		list: {
 			permissions: [],
@@ -214,14 +434,421 @@ module.exports = {
 
 		update: {
 			needEntity: true,
-			permissions: [C.ROLE_BOARD_MEMBER]
+			permissions: [C.ROLE_BOARD_EDITOR]
 		},
 
 		replace: false,
 
 		remove: {
 			needEntity: true,
-			permissions: [C.ROLE_BOARD_MEMBER]
+			permissions: [C.ROLE_BOARD_EDITOR]
+		},
+
+		archive: {
+			description: "Archive the card",
+			rest: "POST /:id/archive",
+			params: {
+				id: "string"
+			},
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_EDITOR],
+			graphql: {
+				mutation: `cardArchive(id: String!): Card!`
+			},
+			openapi: {
+				responses: {
+					200: OPENAPI_RESPONSE_200
+				}
+			},
+			async handler(ctx) {
+				if (ctx.locals.entity.archived)
+					throw new MoleculerClientError(
+						"Card is already archived",
+						400,
+						"CARD_ALREADY_ARCHIVED",
+						{ card: ctx.locals.entity.id }
+					);
+				return this.updateEntity(
+					ctx,
+					{
+						id: ctx.params.id,
+						archived: true,
+						archivedAt: Date.now(),
+						scope: false
+					},
+					{ permissive: true }
+				);
+			}
+		},
+
+		unarchive: {
+			description: "Unarchive the card",
+			rest: "POST /:id/unarchive",
+			params: {
+				id: "string"
+			},
+			needEntity: true,
+			scopes: ["-notArchived"],
+			permissions: [C.ROLE_BOARD_EDITOR],
+			graphql: {
+				mutation: `cardUnarchive(id: String!): Card!`
+			},
+			openapi: {
+				responses: {
+					200: OPENAPI_RESPONSE_200
+				}
+			},
+			async handler(ctx) {
+				const card = ctx.locals.entity;
+				if (!card.archived)
+					throw new MoleculerClientError(
+						"Card is not archived",
+						400,
+						"CARD_NOT_ARCHIVED",
+						{
+							card: card.id
+						}
+					);
+
+				// The list of the card must be unarchived first
+				const list = await ctx.call("v1.lists.resolve", {
+					id: card.list,
+					throwIfNotExist: false
+				});
+				if (!list)
+					throw new MoleculerClientError(
+						"List of the card is archived or deleted",
+						400,
+						"LIST_NOT_AVAILABLE",
+						{ card: card.id, list: card.list }
+					);
+
+				return this.updateEntity(
+					ctx,
+					{
+						id: card.id,
+						archived: false,
+						archivedAt: null,
+						scope: false
+					},
+					{ permissive: true }
+				);
+			}
+		},
+
+		restore: {
+			description: "Restore the removed card",
+			rest: "POST /:id/restore",
+			params: {
+				id: "string"
+			},
+			needEntity: true,
+			scopes: ["-notDeleted", "-notArchived"],
+			permissions: [C.ROLE_BOARD_EDITOR],
+			graphql: {
+				mutation: `cardRestore(id: String!): Card!`
+			},
+			openapi: {
+				responses: {
+					200: OPENAPI_RESPONSE_200
+				}
+			},
+			async handler(ctx) {
+				const card = ctx.locals.entity;
+				const deletedAt = await this.getDeletedAt(ctx, card.id);
+				if (!deletedAt)
+					throw new MoleculerClientError("Card is not deleted", 400, "CARD_NOT_DELETED", {
+						card: card.id
+					});
+
+				// The list of the card must be restored (or unarchived) first
+				const list = await ctx.call("v1.lists.resolve", {
+					id: card.list,
+					throwIfNotExist: false
+				});
+				if (!list)
+					throw new MoleculerClientError(
+						"List of the card is archived or deleted",
+						400,
+						"LIST_NOT_AVAILABLE",
+						{ card: card.id, list: card.list }
+					);
+
+				return this.restoreEntity(ctx, card.id, deletedAt);
+			}
+		},
+
+		/**
+		 * Export the cards (including the archived ones) of the list in CSV format.
+		 */
+		exportCsv: {
+			description: "Export the cards of the list in CSV format",
+			rest: "GET /csv",
+			params: {
+				board: "string",
+				list: "string"
+			},
+			permissions: [C.ROLE_BOARD_MEMBER],
+			openapi: {
+				responses: {
+					200: OPENAPI_RESPONSE_CSV
+				}
+			},
+			async handler(ctx) {
+				return this.exportCardsToCsv(ctx, ctx.params.board, ctx.params.list);
+			}
+		},
+
+		/**
+		 * Export the cards (including the archived ones) of the board in CSV format.
+		 */
+		exportBoardCsv: {
+			description: "Export the cards of the board in CSV format",
+			rest: {
+				method: "GET",
+				basePath: "/v1/boards/:board/cards",
+				path: "/csv"
+			},
+			params: {
+				board: "string"
+			},
+			permissions: [C.ROLE_BOARD_MEMBER],
+			openapi: {
+				responses: {
+					200: OPENAPI_RESPONSE_CSV
+				}
+			},
+			async handler(ctx) {
+				return this.exportCardsToCsv(ctx, ctx.params.board);
+			}
+		},
+
+		getByNumber: {
+			description: "Get a card by the per-board card number",
+			rest: {
+				method: "GET",
+				basePath: "/v1/boards/:board/cards",
+				path: "/number/:number"
+			},
+			params: {
+				board: "string",
+				number: { type: "number", integer: true, positive: true, convert: true },
+				fields: { type: "array", items: "string", optional: true },
+				populate: { type: "array", items: "string", optional: true }
+			},
+			permissions: [C.ROLE_BOARD_MEMBER],
+			graphql: {
+				query: `cardByNumber(board: String!, number: Int!, populate: [String]): Card`
+			},
+			async handler(ctx) {
+				const card = await this.findEntity(ctx, {
+					query: { board: ctx.params.board, number: ctx.params.number },
+					fields: ctx.params.fields,
+					populate: ctx.params.populate,
+					scope: ["-list", "-notArchived"]
+				});
+				if (!card)
+					throw new MoleculerClientError("Card is not found", 404, "CARD_NOT_FOUND", {
+						board: ctx.params.board,
+						number: ctx.params.number
+					});
+
+				return card;
+			}
+		},
+
+		move: {
+			description: "Move the card to another list of the same or another board",
+			rest: "POST /:id/move",
+			params: {
+				id: "string",
+				toList: "string",
+				position: { type: "number", optional: true }
+			},
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_EDITOR],
+			graphql: {
+				mutation: `cardMove(id: String!, toList: String!, position: Float): Card!`
+			},
+			openapi: {
+				responses: {
+					200: OPENAPI_RESPONSE_200
+				}
+			},
+			async handler(ctx) {
+				const { list, board } = await this.resolveTargetList(ctx, ctx.params.toList);
+				return this.transferCard(ctx, ctx.locals.entity, list, board, ctx.params.position);
+			}
+		},
+
+		copy: {
+			description: "Copy the card with its checklists to a list of the same or another board",
+			rest: "POST /:id/copy",
+			params: {
+				id: "string",
+				toList: "string",
+				title: { type: "string", optional: true },
+				position: { type: "number", optional: true }
+			},
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_MEMBER],
+			graphql: {
+				mutation: `cardCopy(id: String!, toList: String!, title: String, position: Float): Card!`
+			},
+			openapi: {
+				responses: {
+					200: {
+						description: `Created card`,
+						content: {
+							"application/json": {
+								schema: {
+									$ref: `#/components/schemas/Card`
+								}
+							}
+						}
+					}
+				}
+			},
+			async handler(ctx) {
+				const { list, board } = await this.resolveTargetList(ctx, ctx.params.toList);
+				return this.copyCard(ctx, ctx.locals.entity, list, board, {
+					title: ctx.params.title,
+					position: ctx.params.position
+				});
+			}
+		},
+
+		/**
+		 * Move (or copy) all cards of a list to another list of the same or another board.
+		 * It's used when the list is moved (or copied) to another board.
+		 */
+		transferListCards: {
+			visibility: "protected",
+			params: {
+				from: "string",
+				to: "string",
+				copy: { type: "boolean", default: false },
+				checklists: { type: "boolean", default: true }
+			},
+			async handler(ctx) {
+				const { from, to, copy, checklists } = ctx.params;
+				const list = await ctx.call("v1.lists.resolve", {
+					id: to,
+					fields: ["id", "board"],
+					scope: false,
+					throwIfNotExist: true
+				});
+				const board = await ctx.call("v1.boards.resolve", {
+					id: list.board,
+					fields: ["id", "members", "labels"],
+					scope: false,
+					throwIfNotExist: true
+				});
+
+				const cards = await this.findEntities(ctx, {
+					query: copy
+						? { list: from, archived: { $ne: true }, deletedAt: null }
+						: { list: from, deletedAt: null },
+					sort: "position",
+					scope: false
+				});
+				for (const card of cards) {
+					if (copy) {
+						await this.copyCard(ctx, card, list, board, {
+							position: card.position,
+							checklists
+						});
+					} else {
+						await this.transferCard(ctx, card, list, board, card.position);
+					}
+				}
+
+				return cards.length;
+			}
+		},
+
+		/**
+		 * Move the cards of a list to the end of another list of the board
+		 * (e.g. before removing the list). Returns the number of moved cards.
+		 */
+		moveListCards: {
+			visibility: "protected",
+			params: {
+				from: "string",
+				to: "string"
+			},
+			async handler(ctx) {
+				const { from, to } = ctx.params;
+				const cards = await this.findEntities(ctx, {
+					query: { list: from, deletedAt: null },
+					sort: "position",
+					fields: ["id"],
+					scope: false
+				});
+
+				let position = await this.getLastPosition(ctx, to);
+				for (const card of cards) {
+					position += 1;
+					await this.updateEntity(
+						ctx,
+						{ id: card.id, list: to, position, scope: false },
+						{ permissive: true }
+					);
+				}
+
+				return cards.length;
+			}
+		},
+
+		/**
+		 * Emit `cards.dueSoon` & `cards.overdue` events for the affected cards.
+		 * The events are emitted only once per card (until the due date changes).
+		 */
+		checkDueDates: {
+			visibility: "protected",
+			async handler(ctx) {
+				const now = Date.now();
+
+				const dueSoon = await this.findEntities(ctx, {
+					query: {
+						dueDate: { $gt: now, $lte: now + this.getDueSoonPeriod() },
+						dueSoonNotifiedAt: null,
+						archived: { $ne: true },
+						deletedAt: null
+					},
+					scope: false
+				});
+				for (const card of dueSoon) {
+					await this.updateEntity(
+						ctx,
+						{ id: card.id, dueSoonNotifiedAt: now, scope: false },
+						{ permissive: true }
+					);
+					ctx.emit("cards.dueSoon", { data: card });
+				}
+
+				const overdue = await this.findEntities(ctx, {
+					query: {
+						dueDate: { $lte: now },
+						overdueNotifiedAt: null,
+						archived: { $ne: true },
+						deletedAt: null
+					},
+					scope: false
+				});
+				for (const card of overdue) {
+					await this.updateEntity(
+						ctx,
+						{ id: card.id, overdueNotifiedAt: now, scope: false },
+						{ permissive: true }
+					);
+					ctx.emit("cards.overdue", { data: card });
+				}
+
+				this.logger.info(
+					`Found ${dueSoon.length} due soon and ${overdue.length} overdue card(s).`
+				);
+			}
 		}
 	},
 
@@ -229,11 +856,12 @@ module.exports = {
 	 * Events
 	 */
 	events: {
-		async "boards.removed"(ctx) {
-			const board = ctx.params.data;
+		// The cards of a removed board are removed with their lists.
+		async "lists.removed"(ctx) {
+			const list = ctx.params.data;
 			try {
 				const cards = await this.findEntities(ctx, {
-					query: { board: board.id },
+					query: { list: list.id, deletedAt: null },
 					fields: ["id"],
 					scope: false
 				});
@@ -241,7 +869,45 @@ module.exports = {
 					cards.map(card => this.removeEntity(ctx, { id: card.id, scope: false }))
 				);
 			} catch (err) {
-				this.logger.error(`Unable to delete cards of board '${board.id}'`, err);
+				this.logger.error(`Unable to delete cards of list '${list.id}'`, err);
+			}
+		},
+
+		// Archive & unarchive the cards with their list. At unarchiving, only the cards
+		// which were archived with the list (or later) are unarchived.
+		async "lists.updated"(ctx) {
+			const { data: list, oldData } = ctx.params;
+			if (!oldData || !!list.archived == !!oldData.archived) return;
+
+			try {
+				const cards = await this.findEntities(ctx, {
+					query: list.archived
+						? { list: list.id, archived: { $ne: true }, deletedAt: null }
+						: {
+								list: list.id,
+								archived: true,
+								archivedAt: { $gte: oldData.archivedAt },
+								deletedAt: null
+						  },
+					fields: ["id"],
+					scope: false
+				});
+				await this.Promise.all(
+					cards.map(card =>
+						this.updateEntity(
+							ctx,
+							{
+								id: card.id,
+								archived: list.archived,
+								archivedAt: list.archived ? list.archivedAt : null,
+								scope: false
+							},
+							{ permissive: true }
+						)
+					)
+				);
+			} catch (err) {
+				this.logger.error(`Unable to (un)archive cards of list '${list.id}'`, err);
 			}
 		},
 
@@ -257,7 +923,376 @@ module.exports = {
 	/**
 	 * Methods
 	 */
-	methods: {},
+	methods: {
+		/**
+		 * Validate the `startDate` & `dueDate` properties of card.
+		 */
+		validateDates({ params, entity }) {
+			const get = name =>
+				params[name] !== undefined ? params[name] : entity && entity[name];
+			const startDate = get("startDate");
+			const dueDate = get("dueDate");
+
+			if (startDate != null && dueDate != null && startDate > dueDate)
+				return "The start date must be before the due date.";
+
+			return true;
+		},
+
+		/**
+		 * Validate the `members` property of card. The members must be
+		 * members of the board of the card.
+		 */
+		async validateMembers({ ctx, value, params, entity }) {
+			if (!value || value.length == 0) return true;
+
+			let boardID = params.board || (entity && entity.board);
+			if (!boardID) {
+				const list = await ctx.call("v1.lists.resolve", {
+					id: params.list,
+					fields: ["board"]
+				});
+				boardID = list.board;
+			}
+			const board = await ctx.call("v1.boards.resolve", {
+				id: boardID,
+				fields: ["members"],
+				scope: false
+			});
+			const invalid = value.filter(member => !board.members.includes(member));
+			if (invalid.length > 0)
+				return `These users are not members of the board: ${invalid.join(", ")}`;
+
+			return true;
+		},
+
+		/**
+		 * Get the target list & board of a card moving or copying, and check
+		 * that the logged in user is an editor on the target board.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} listID
+		 * @returns {Promise<Object>} `{ list, board }`
+		 */
+		async resolveTargetList(ctx, listID) {
+			const list = await ctx.call("v1.lists.resolve", {
+				id: listID,
+				fields: ["id", "board"],
+				throwIfNotExist: false
+			});
+			if (!list)
+				throw new MoleculerClientError(
+					"The target list is not found",
+					404,
+					"LIST_NOT_FOUND",
+					{
+						list: listID
+					}
+				);
+
+			const board = await ctx.call("v1.boards.resolve", {
+				id: list.board,
+				fields: ["id", "owner", "members", "memberRoles", "labels"],
+				throwIfNotExist: false
+			});
+			if (
+				!board ||
+				(!ctx.meta.$repl &&
+					!this.checkBoardRole(board, ctx.meta.userID, C.BOARD_ROLE_EDITOR))
+			)
+				throw new MoleculerClientError(
+					"You have no right for the target board",
+					403,
+					"ERR_NO_PERMISSION",
+					{ board: list.board }
+				);
+
+			return { list, board };
+		},
+
+		/**
+		 * Move the card to a list. If the list is on another board, the card
+		 * gets a new number, the labels are remapped by name and the members
+		 * who are not on the target board are dropped.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} card
+		 * @param {Object} list Target list
+		 * @param {Object} board Target board (with `members` & `labels`)
+		 * @param {Number?} position
+		 * @returns {Promise<Object>} Updated card
+		 */
+		async transferCard(ctx, card, list, board, position) {
+			const changes = {
+				id: card.id,
+				list: list.id,
+				position:
+					position != null ? position : (await this.getLastPosition(ctx, list.id)) + 1,
+				scope: false
+			};
+
+			if (card.board != board.id) {
+				const fromBoard = await ctx.call("v1.boards.resolve", {
+					id: card.board,
+					fields: ["labels"],
+					scope: false
+				});
+				Object.assign(changes, {
+					board: board.id,
+					number: await ctx.call("v1.boards.nextCardNumber", { id: board.id }),
+					labels: this.remapLabels(card.labels, fromBoard.labels, board.labels),
+					members: (card.members || []).filter(member => board.members.includes(member))
+				});
+			}
+
+			return this.updateEntity(ctx, changes, { permissive: true });
+		},
+
+		/**
+		 * Copy the card with its checklists to a list (of the same or another board).
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} card
+		 * @param {Object} list Target list
+		 * @param {Object} board Target board (with `members` & `labels`)
+		 * @param {Object} opts
+		 * @param {String?} opts.title
+		 * @param {Number?} opts.position
+		 * @param {Boolean?} opts.checklists Copy the checklists, as well (default: true)
+		 * @returns {Promise<Object>} Created card
+		 */
+		async copyCard(ctx, card, list, board, { title, position, checklists = true } = {}) {
+			let labels = card.labels;
+			if (card.board != board.id) {
+				const fromBoard = await ctx.call("v1.boards.resolve", {
+					id: card.board,
+					fields: ["labels"],
+					scope: false
+				});
+				labels = this.remapLabels(card.labels, fromBoard.labels, board.labels);
+			}
+
+			const copy = await this.createEntity(
+				ctx,
+				{
+					..._.pick(card, ["description", "color", "startDate", "dueDate", "options"]),
+					title: title || card.title,
+					board: board.id,
+					list: list.id,
+					position:
+						position != null
+							? position
+							: (await this.getLastPosition(ctx, list.id)) + 1,
+					labels,
+					members: (card.members || []).filter(member => board.members.includes(member))
+				},
+				{ permissive: true }
+			);
+
+			if (checklists) {
+				await ctx.call("v1.card.checklists.copyToCard", { card: card.id, toCard: copy.id });
+			}
+
+			return copy;
+		},
+
+		/**
+		 * Create a CSV stream of the cards of the board (or a list of the board).
+		 * The cards are loaded in batches while the stream is read.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} boardID
+		 * @param {String?} listID
+		 * @returns {Promise<Readable>}
+		 */
+		async exportCardsToCsv(ctx, boardID, listID) {
+			const board = await ctx.call("v1.boards.resolve", {
+				id: boardID,
+				fields: ["id", "key", "slug", "labels"],
+				throwIfNotExist: true
+			});
+			const lists = await ctx.call("v1.lists.find", {
+				board: board.id,
+				fields: ["id", "title"],
+				scope: ["-notArchived"]
+			});
+			const listTitles = new Map(lists.map(list => [list.id, list.title]));
+			if (listID && !listTitles.has(listID))
+				throw new MoleculerClientError("List is not found", 404, "LIST_NOT_FOUND", {
+					board: board.id,
+					list: listID
+				});
+
+			const query = listID
+				? { list: listID }
+				: { board: board.id, list: { $in: Array.from(listTitles.keys()) } };
+
+			ctx.meta.$responseType = "text/csv; charset=utf-8";
+			ctx.meta.$responseHeaders = {
+				"Content-Disposition": `attachment; filename="${board.slug || board.id}${
+					listID ? "-" + listID : ""
+				}-cards.csv"`
+			};
+
+			return Readable.from(this.generateCsvLines(ctx, query, board, listTitles));
+		},
+
+		/**
+		 * Generate the CSV lines of the matched cards (with a header line).
+		 * The errors are logged & end the lines, as the headers are sent already.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} query
+		 * @param {Object} board Board of the cards (with `key` & `labels`)
+		 * @param {Map<String, String>} listTitles Titles of the lists by ID
+		 */
+		async *generateCsvLines(ctx, query, board, listTitles) {
+			const labelNames = new Map((board.labels || []).map(label => [label.id, label.name]));
+			const formatDate = value => (value ? new Date(value).toISOString() : "");
+
+			yield this.toCsvLine(CSV_COLUMNS);
+
+			try {
+				for (let offset = 0; ; offset += CSV_BATCH_SIZE) {
+					const cards = await this.findEntities(ctx, {
+						query,
+						sort: ["list", "position"],
+						offset,
+						limit: CSV_BATCH_SIZE,
+						scope: ["-list", "-notArchived"]
+					});
+					if (cards.length == 0) break;
+
+					const memberIDs = _.uniq(_.flatten(cards.map(card => card.members || [])));
+					const members =
+						memberIDs.length > 0
+							? await ctx.call("v1.accounts.resolve", {
+									id: memberIDs,
+									fields: ["id", "username"]
+							  })
+							: [];
+					const usernames = new Map(members.map(member => [member.id, member.username]));
+
+					for (const card of cards) {
+						yield this.toCsvLine([
+							card.number == null
+								? ""
+								: board.key
+								? `${board.key}-${card.number}`
+								: card.number,
+							card.title,
+							card.description,
+							listTitles.get(card.list),
+							(card.labels || []).map(id => labelNames.get(id)).filter(Boolean),
+							(card.members || []).map(id => usernames.get(id)).filter(Boolean),
+							formatDate(card.startDate),
+							formatDate(card.dueDate),
+							card.archived ? "yes" : "no",
+							formatDate(card.createdAt),
+							formatDate(card.updatedAt)
+						]);
+					}
+
+					if (cards.length < CSV_BATCH_SIZE) break;
+				}
+			} catch (err) {
+				// The response is already streaming, so just end it
+				this.logger.error(`Unable to export the cards of board '${board.id}'`, err);
+			}
+		},
+
+		/**
+		 * Convert the values to a CSV line. The arrays are joined by commas.
+		 * The values which can be interpreted as formulas by the spreadsheet
+		 * applications are prefixed with an apostrophe.
+		 *
+		 * @param {Array<any>} values
+		 * @returns {String}
+		 */
+		toCsvLine(values) {
+			return (
+				values
+					.map(value => {
+						if (value == null) return "";
+						if (Array.isArray(value)) value = value.join(", ");
+						value = String(value);
+						if (/^[=+\-@\t\r]/.test(value)) value = "'" + value;
+						if (/[",\r\n]/.test(value)) value = `"${value.replace(/"/g, '""')}"`;
+						return value;
+					})
+					.join(",") + "\r\n"
+			);
+		},
+
+		/**
+		 * Map the label IDs of a board to the labels of another board by name.
+		 * The labels which don't exist on the target board are dropped.
+		 *
+		 * @param {Array<Number>} labelIDs
+		 * @param {Array<Object>} fromLabels
+		 * @param {Array<Object>} toLabels
+		 * @returns {Array<Number>}
+		 */
+		remapLabels(labelIDs, fromLabels, toLabels) {
+			if (!labelIDs || labelIDs.length == 0) return [];
+
+			const toIDByName = new Map(
+				(toLabels || []).map(label => [label.name.toLowerCase(), label.id])
+			);
+			return _.uniq(
+				labelIDs
+					.map(id => (fromLabels || []).find(label => label.id == id))
+					.filter(label => label && toIDByName.has(label.name.toLowerCase()))
+					.map(label => toIDByName.get(label.name.toLowerCase()))
+			);
+		},
+
+		/**
+		 * Get the position of the last card in the list (0 if the list is empty).
+		 *
+		 * @param {Context} ctx
+		 * @param {String} listID
+		 * @returns {Promise<Number>}
+		 */
+		async getLastPosition(ctx, listID) {
+			const last = await this.findEntities(ctx, {
+				query: { list: listID, deletedAt: null },
+				sort: "-position",
+				limit: 1,
+				fields: ["position"],
+				scope: false
+			});
+			return last.length > 0 ? last[0].position : 0;
+		},
+
+		/**
+		 * Allocate the next per-board number for a new card.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} params Create params
+		 * @returns {Promise<Number>}
+		 */
+		async getNextCardNumber(ctx, params) {
+			let board = params.board;
+			if (!board) {
+				const list = await ctx.call("v1.lists.resolve", {
+					id: params.list,
+					fields: ["board"]
+				});
+				board = list.board;
+			}
+			return ctx.call("v1.boards.nextCardNumber", { id: board });
+		},
+
+		/**
+		 * Get the "due soon" period in milliseconds.
+		 *
+		 * @returns {Number}
+		 */
+		getDueSoonPeriod() {
+			return (this.config["cards.dueSoon.hours"] || 24) * 60 * 60 * 1000;
+		}
+	},
 
 	/**
 	 * Service created lifecycle event handler
@@ -38,10 +38,15 @@ module.exports = {
 			"accounts.verification.enabled": true,
 			"accounts.defaultRoles": [C.ROLE_USER],
 			"accounts.defaultPlan": "free",
-			"accounts.jwt.expiresIn": "30d",
+			"accounts.jwt.expiresIn": "15m", // access token
+			"accounts.session.expiresDays": 30, // refresh token
 			"accounts.two-factor.enabled": true,
 			"accounts.password.minimum": 6, // TODO
 
+			"cards.dueSoon.hours": 24,
+
+			"retention.deletedDays": 30,
+
 			"tokens.jwt.expires": 60, // TODO
 			"tokens.others.expires": 60 // TODO
 		},
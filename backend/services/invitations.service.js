@@ -0,0 +1,539 @@
+"use strict";
+
+const _ = require("lodash");
+
+const C = require("../constants");
+const DbService = require("../mixins/db.mixin");
+const CacheCleaner = require("../mixins/cache-cleaner.mixin");
+const PurgeMixin = require("../mixins/purge.mixin");
+const RestoreMixin = require("../mixins/restore.mixin");
+const MemberCheckMixin = require("../mixins/member-check.mixin");
+const BoardValidatorsMixin = require("../mixins/board-validators.mixin");
+const ConfigLoader = require("../mixins/config.mixin");
+const { MoleculerClientError } = require("moleculer").Errors;
+
+const INVITATION_EXPIRATION = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const STATUS_PENDING = "pending";
+const STATUS_ACCEPTED = "accepted";
+const STATUS_DECLINED = "declined";
+const STATUS_REVOKED = "revoked";
+
+const OPENAPI_RESPONSE_200 = {
+	description: `Updated invitation`,
+	content: {
+		"application/json": {
+			schema: {
+				$ref: `#/components/schemas/Invitation`
+			}
+		}
+	}
+};
+
+/**
+ * Board invitation service
+ */
+module.exports = {
+	name: "invitations",
+	version: 1,
+
+	mixins: [
+		DbService({
+			cache: {
+				additionalKeys: ["board", "#userID"]
+			}
+		}),
+		CacheCleaner([
+			"cache.clean.v1.invitations",
+			"cache.clean.v1.boards",
+			"cache.clean.v1.accounts"
+		]),
+		MemberCheckMixin,
+		BoardValidatorsMixin,
+		ConfigLoader(["site.**", "mail.**"]),
+		PurgeMixin({ parents: { boards: "board" } }),
+		RestoreMixin({ parents: { boards: "board" } })
+	],
+
+	/**
+	 * Service dependencies
+	 */
+	dependencies: [
+		{ name: "accounts", version: 1 },
+		{ name: "boards", version: 1 }
+	],
+
+	/**
+	 * Service settings
+	 */
+	settings: {
+		rest: true,
+
+		graphql: {
+			entityName: "Invitation"
+		},
+
+		fields: {
+			id: {
+				type: "string",
+				primaryKey: true,
+				secure: true,
+				columnName: "_id"
+			},
+			board: {
+				type: "string",
+				required: true,
+				immutable: true,
+				populate: {
+					action: "v1.boards.resolve",
+					params: {
+						// The invitee is not a member of the board yet
+						scope: false,
+						fields: ["id", "title", "slug", "description"]
+					}
+				},
+				validate: "validateBoard",
+				graphql: { type: "Board", inputType: "String" }
+			},
+			email: {
+				type: "email",
+				required: true,
+				immutable: true,
+				trim: true,
+				graphql: { type: "String" },
+				openapi: { example: "john.doe@kantab.io" }
+			},
+			// The invited account. It's set when the email is registered or
+			// when the invitee signs up later.
+			account: {
+				type: "string",
+				readonly: true,
+				populate: {
+					action: "v1.accounts.resolve",
+					params: {
+						fields: ["id", "username", "fullName", "avatar"]
+					}
+				},
+				graphql: { type: "Member", inputType: "String" }
+			},
+			// Board-level role of the invitee after joining
+			role: {
+				type: "enum",
+				values: C.BOARD_ROLES,
+				immutable: true,
+				default: C.BOARD_ROLE_EDITOR,
+				graphql: { type: "String" }
+			},
+			invitedBy: {
+				type: "string",
+				readonly: true,
+				onCreate: ({ ctx }) => ctx.meta.userID,
+				populate: {
+					action: "v1.accounts.resolve",
+					params: {
+						fields: ["id", "username", "fullName", "avatar"]
+					}
+				},
+				graphql: { type: "Member", inputType: "String" }
+			},
+			status: {
+				type: "enum",
+				values: [STATUS_PENDING, STATUS_ACCEPTED, STATUS_DECLINED, STATUS_REVOKED],
+				readonly: true,
+				default: STATUS_PENDING,
+				graphql: { type: "String" }
+			},
+			expiry: {
+				type: "number",
+				readonly: true,
+				onCreate: () => Date.now() + INVITATION_EXPIRATION,
+				graphql: { type: "Long" }
+			},
+			...C.TIMESTAMP_FIELDS
+		},
+
+		scopes: {
+			// Return invitations of a given board
+			board(query, ctx, params) {
+				// Adapter init
+				if (!ctx) return query;
+
+				if (params.board) {
+					query.board = params.board;
+				}
+				return query;
+			},
+
+			// List the pending & not expired invitations
+			pending(query) {
+				query.status = STATUS_PENDING;
+				query.expiry = { $gt: Date.now() };
+				return query;
+			},
+
+			// List the not deleted invitations
+			notDeleted: { deletedAt: null }
+		},
+
+		defaultScopes: ["board", "pending", "notDeleted"]
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+		create: false,
+		list: {
+			permissions: [C.ROLE_BOARD_ADMIN],
+			params: {
+				board: { type: "string" }
+			}
+		},
+		find: false,
+		count: false,
+		get: false,
+		update: false,
+		replace: false,
+		remove: false,
+
+		invite: {
+			description: "Invite a user to the board by email",
+			rest: "POST /",
+			params: {
+				board: "string",
+				email: "email",
+				role: { type: "enum", values: C.BOARD_ROLES, optional: true }
+			},
+			permissions: [C.ROLE_BOARD_ADMIN],
+			graphql: {
+				mutation: `invitationCreate(board: String!, email: String!, role: String): Invitation!`
+			},
+			openapi: {
+				responses: {
+					200: OPENAPI_RESPONSE_200
+				}
+			},
+			async handler(ctx) {
+				const { board: boardID, email, role } = ctx.params;
+				const board = await ctx.call("v1.boards.resolve", {
+					id: boardID,
+					fields: ["id", "title", "members"]
+				});
+
+				const [account] = await ctx.call("v1.accounts.find", {
+					query: { email },
+					fields: ["id"],
+					limit: 1
+				});
+				if (account && board.members.includes(account.id))
+					throw new MoleculerClientError(
+						"The user is already a member of the board.",
+						400,
+						"ALREADY_MEMBER",
+						{ board: boardID, email }
+					);
+
+				const found = await this.findEntity(ctx, { query: { board: boardID, email } });
+				if (found)
+					throw new MoleculerClientError(
+						"The user has already been invited to the board.",
+						400,
+						"INVITATION_EXISTS",
+						{ board: boardID, email }
+					);
+
+				const invitation = await this.createEntity(
+					ctx,
+					{ board: boardID, email, role, account: account ? account.id : null },
+					{ permissive: true }
+				);
+
+				const { token } = await ctx.call("v1.tokens.generate", {
+					type: C.TOKEN_TYPE_BOARD_INVITATION,
+					owner: invitation.id,
+					expiry: invitation.expiry
+				});
+
+				const invitedBy = await ctx.call("v1.accounts.resolve", {
+					id: ctx.meta.userID,
+					fields: ["id", "fullName"]
+				});
+				try {
+					await this.sendMail(ctx, email, "board-invitation", {
+						board,
+						invitedBy,
+						token
+					});
+				} catch (err) {
+					// Roll back, so the user can be invited again
+					await ctx.call("v1.tokens.remove", {
+						type: C.TOKEN_TYPE_BOARD_INVITATION,
+						token
+					});
+					await this.removeEntity(ctx, { id: invitation.id, scope: false });
+					throw err;
+				}
+
+				return invitation;
+			}
+		},
+
+		mine: {
+			description: "List the pending invitations of the logged in user",
+			rest: "GET /mine",
+			permissions: [C.ROLE_AUTHENTICATED],
+			graphql: {
+				query: `myInvitations: [Invitation]`
+			},
+			async handler(ctx) {
+				return this.findEntities(ctx, {
+					query: { account: ctx.meta.userID },
+					sort: "-createdAt"
+				});
+			}
+		},
+
+		accept: {
+			description: "Accept an invitation and join the board",
+			rest: "POST /accept",
+			params: {
+				id: { type: "string", optional: true },
+				token: { type: "string", optional: true }
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			graphql: {
+				mutation: `invitationAccept(id: String, token: String): Board!`
+			},
+			async handler(ctx) {
+				const invitation = await this.getInvitationOfUser(ctx);
+
+				const board = await ctx.call("v1.boards.join", {
+					id: invitation.board,
+					member: ctx.meta.userID,
+					role: invitation.role
+				});
+
+				await this.closeInvitation(ctx, invitation, STATUS_ACCEPTED);
+
+				return board;
+			}
+		},
+
+		decline: {
+			description: "Decline an invitation",
+			rest: "POST /decline",
+			params: {
+				id: { type: "string", optional: true },
+				token: { type: "string", optional: true }
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			graphql: {
+				mutation: `invitationDecline(id: String, token: String): Boolean`
+			},
+			async handler(ctx) {
+				const invitation = await this.getInvitationOfUser(ctx);
+				await this.closeInvitation(ctx, invitation, STATUS_DECLINED);
+
+				return true;
+			}
+		},
+
+		revoke: {
+			description: "Revoke a pending invitation",
+			rest: "POST /:id/revoke",
+			params: {
+				id: "string"
+			},
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_ADMIN],
+			graphql: {
+				mutation: `invitationRevoke(id: String!): Invitation!`
+			},
+			openapi: {
+				responses: {
+					200: OPENAPI_RESPONSE_200
+				}
+			},
+			async handler(ctx) {
+				return this.closeInvitation(ctx, ctx.locals.entity, STATUS_REVOKED);
+			}
+		}
+	},
+
+	/**
+	 * Events
+	 */
+	events: {
+		// Link the pending invitations to the new account which is registered
+		// with the invited email address.
+		async "accounts.created"(ctx) {
+			const user = ctx.params.data;
+			try {
+				const invitations = await this.findEntities(ctx, {
+					query: { email: user.email, account: null },
+					fields: ["id"]
+				});
+				await this.Promise.all(
+					invitations.map(invitation =>
+						this.updateEntity(
+							ctx,
+							{ id: invitation.id, account: user.id },
+							{ permissive: true }
+						)
+					)
+				);
+			} catch (err) {
+				this.logger.error(`Unable to link invitations to account '${user.id}'`, err);
+			}
+		},
+
+		async "boards.removed"(ctx) {
+			const board = ctx.params.data;
+			try {
+				const invitations = await this.findEntities(ctx, {
+					query: { board: board.id, deletedAt: null },
+					fields: ["id"],
+					scope: false
+				});
+				await this.Promise.all(
+					invitations.map(invitation =>
+						this.removeEntity(ctx, { id: invitation.id, scope: false })
+					)
+				);
+			} catch (err) {
+				this.logger.error(`Unable to delete invitations of board '${board.id}'`, err);
+			}
+		},
+
+		async "boards.cleared"(ctx) {
+			try {
+				await this.clearEntities(ctx);
+			} catch (err) {
+				this.logger.error("Unable to clear invitations", err);
+			}
+		}
+	},
+
+	/**
+	 * Methods
+	 */
+	methods: {
+		/**
+		 * Get the pending invitation by the `id` or `token` param for the
+		 * logged in user. With token, the invitation will be linked to the user.
+		 *
+		 * @param {Context} ctx
+		 * @returns {Promise<Object>}
+		 */
+		async getInvitationOfUser(ctx) {
+			const { id, token } = ctx.params;
+			const userID = ctx.meta.userID;
+
+			let invitation;
+			if (token) {
+				const entity = await ctx.call("v1.tokens.check", {
+					type: C.TOKEN_TYPE_BOARD_INVITATION,
+					token
+				});
+				if (entity) invitation = await this.resolveEntities(ctx, { id: entity.owner });
+			} else if (id) {
+				invitation = await this.resolveEntities(ctx, { id });
+			}
+
+			if (!invitation)
+				throw new MoleculerClientError(
+					"Invalid or expired invitation.",
+					400,
+					"INVALID_INVITATION"
+				);
+
+			if (invitation.account && invitation.account != userID)
+				throw new MoleculerClientError(
+					"The invitation belongs to another user.",
+					403,
+					"ERR_NO_PERMISSION",
+					{ invitation: invitation.id }
+				);
+
+			// Only the invitation token can link the invitation to the user
+			if (!invitation.account && !token)
+				throw new MoleculerClientError(
+					"Invalid or expired invitation.",
+					400,
+					"INVALID_INVITATION"
+				);
+
+			return invitation;
+		},
+
+		/**
+		 * Close a pending invitation with the given status.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} invitation
+		 * @param {String} status
+		 * @returns {Promise<Object>}
+		 */
+		async closeInvitation(ctx, invitation, status) {
+			const changes = { id: invitation.id, status, scope: false };
+			if (status != STATUS_REVOKED) changes.account = ctx.meta.userID;
+
+			const res = await this.updateEntity(ctx, changes, { permissive: true });
+
+			// Remove the used token
+			if (ctx.params.token) {
+				await ctx.call("v1.tokens.remove", {
+					type: C.TOKEN_TYPE_BOARD_INVITATION,
+					token: ctx.params.token
+				});
+			}
+
+			return res;
+		},
+
+		/**
+		 * Send an email to an email address which may not be registered.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} email
+		 * @param {String} template
+		 * @param {Object?} data
+		 */
+		async sendMail(ctx, email, template, data) {
+			if (!this.config["mail.enabled"]) return false;
+
+			try {
+				return await ctx.call(
+					"v1.mail.send",
+					{
+						to: email,
+						template,
+						data: _.defaultsDeep(data, {
+							email,
+							site: this.configObj.site
+						})
+					},
+					{ retries: 3, timeout: 10 * 1000 }
+				);
+			} catch (err) {
+				this.logger.error("Send mail error.", err);
+				throw err;
+			}
+		}
+	},
+
+	/**
+	 * Service created lifecycle event handler
+	 */
+	created() {},
+
+	/**
+	 * Service started lifecycle event handler
+	 */
+	started() {},
+
+	/**
+	 * Service stopped lifecycle event handler
+	 */
+	stopped() {}
+};
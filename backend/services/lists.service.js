@@ -1,14 +1,31 @@
 "use strict";
 
+const _ = require("lodash");
+
 const C = require("../constants");
 const DbService = require("../mixins/db.mixin");
 const CacheCleaner = require("../mixins/cache-cleaner.mixin");
+const PurgeMixin = require("../mixins/purge.mixin");
+const RestoreMixin = require("../mixins/restore.mixin");
+const BoardExportMixin = require("../mixins/board-export.mixin");
+const SearchMixin = require("../mixins/search.mixin");
 const MemberCheckMixin = require("../mixins/member-check.mixin");
 const NextPositionMixin = require("../mixins/next-position.mixin");
 const BoardValidatorsMixin = require("../mixins/board-validators.mixin");
 //const ConfigLoader = require("../mixins/config.mixin");
 const { MoleculerClientError } = require("moleculer").Errors;
 
+const OPENAPI_RESPONSE_200 = {
+	description: `Updated list`,
+	content: {
+		"application/json": {
+			schema: {
+				$ref: `#/components/schemas/List`
+			}
+		}
+	}
+};
+
 /**
  * List of boards service
  */
@@ -20,12 +37,28 @@ module.exports = {
 		DbService({
 			cache: {
 				additionalKeys: ["board", "#userID"]
-			}
+			},
+			// Activities service needs the previous state of entity
+			entityChangedOldEntity: true
 		}),
 		CacheCleaner(["cache.clean.v1.lists", "cache.clean.v1.boards", "cache.clean.v1.accounts"]),
 		MemberCheckMixin,
 		NextPositionMixin,
-		BoardValidatorsMixin
+		BoardValidatorsMixin,
+		PurgeMixin({ parents: { boards: "board" } }),
+		RestoreMixin({ parents: { boards: "board" } }),
+		BoardExportMixin({
+			fields: [
+				"title",
+				"description",
+				"color",
+				"position",
+				"archived",
+				"archivedAt",
+				"options"
+			]
+		}),
+		SearchMixin({ fields: ["title"] })
 		//ConfigLoader([])
 	],
 
@@ -108,6 +141,7 @@ module.exports = {
 				}
 			},
 			options: { type: "object" },
+			...C.ARCHIVED_FIELDS,
 			...C.TIMESTAMP_FIELDS
 		},
 
@@ -140,11 +174,15 @@ module.exports = {
 				}
 			},
 
+			// List the non-archived lists
+			// (the lists created before the archiving feature have no `archived` field)
+			notArchived: { archived: { $ne: true } },
+
 			// List the not deleted lists
 			notDeleted: { deletedAt: null }
 		},
 
-		defaultScopes: ["board", "notDeleted"]
+		defaultScopes: ["board", "notArchived", "notDeleted"]
 	},
 
 	/**
@@ -152,7 +190,7 @@ module.exports = {
 	 */
 	actions: {
 		create: {
-			permissions: [C.ROLE_BOARD_MEMBER]
+			permissions: [C.ROLE_BOARD_EDITOR]
 		},
 		list: {
 			permissions: [],
@@ -184,14 +222,232 @@ module.exports = {
 
 		update: {
 			needEntity: true,
-			permissions: [C.ROLE_BOARD_MEMBER]
+			permissions: [C.ROLE_BOARD_EDITOR]
 		},
 
 		replace: false,
 
 		remove: {
+			params: {
+				// Move the cards to this list instead of removing them
+				moveCardsTo: { type: "string", optional: true }
+			},
 			needEntity: true,
-			permissions: [C.ROLE_BOARD_MEMBER]
+			permissions: [C.ROLE_BOARD_EDITOR]
+		},
+
+		archive: {
+			description: "Archive the list with its cards",
+			rest: "POST /:id/archive",
+			params: {
+				id: "string"
+			},
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_EDITOR],
+			graphql: {
+				mutation: `listArchive(id: String!): List!`
+			},
+			openapi: {
+				responses: {
+					200: OPENAPI_RESPONSE_200
+				}
+			},
+			async handler(ctx) {
+				if (ctx.locals.entity.archived)
+					throw new MoleculerClientError(
+						"List is already archived",
+						400,
+						"LIST_ALREADY_ARCHIVED",
+						{ list: ctx.locals.entity.id }
+					);
+				return this.updateEntity(
+					ctx,
+					{
+						id: ctx.params.id,
+						archived: true,
+						archivedAt: Date.now(),
+						scope: false
+					},
+					{ permissive: true }
+				);
+			}
+		},
+
+		unarchive: {
+			description: "Unarchive the list with its cards",
+			rest: "POST /:id/unarchive",
+			params: {
+				id: "string"
+			},
+			needEntity: true,
+			scopes: ["-notArchived"],
+			permissions: [C.ROLE_BOARD_EDITOR],
+			graphql: {
+				mutation: `listUnarchive(id: String!): List!`
+			},
+			openapi: {
+				responses: {
+					200: OPENAPI_RESPONSE_200
+				}
+			},
+			async handler(ctx) {
+				if (!ctx.locals.entity.archived)
+					throw new MoleculerClientError(
+						"List is not archived",
+						400,
+						"LIST_NOT_ARCHIVED",
+						{ list: ctx.locals.entity.id }
+					);
+				return this.updateEntity(
+					ctx,
+					{
+						id: ctx.params.id,
+						archived: false,
+						archivedAt: null,
+						scope: false
+					},
+					{ permissive: true }
+				);
+			}
+		},
+
+		move: {
+			description: "Move the list with its cards to another board",
+			rest: "POST /:id/move",
+			params: {
+				id: "string",
+				toBoard: "string",
+				position: { type: "number", optional: true }
+			},
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_EDITOR],
+			graphql: {
+				mutation: `listMove(id: String!, toBoard: String!, position: Float): List!`
+			},
+			openapi: {
+				responses: {
+					200: OPENAPI_RESPONSE_200
+				}
+			},
+			async handler(ctx) {
+				const list = ctx.locals.entity;
+				const board = await this.resolveTargetBoard(ctx, ctx.params.toBoard);
+				const position =
+					ctx.params.position != null
+						? ctx.params.position
+						: (await this.getLastPosition(ctx, board.id)) + 1;
+
+				const updated = await this.updateEntity(
+					ctx,
+					{ id: list.id, board: board.id, position, scope: false },
+					{ permissive: true }
+				);
+
+				// The cards follow the list to the other board
+				if (board.id != list.board) {
+					await ctx.call("v1.cards.transferListCards", { from: list.id, to: list.id });
+				}
+
+				return updated;
+			}
+		},
+
+		copy: {
+			description: "Copy the list with its cards to the same or another board",
+			rest: "POST /:id/copy",
+			params: {
+				id: "string",
+				toBoard: "string",
+				title: { type: "string", optional: true },
+				position: { type: "number", optional: true }
+			},
+			needEntity: true,
+			permissions: [C.ROLE_BOARD_MEMBER],
+			graphql: {
+				mutation: `listCopy(id: String!, toBoard: String!, title: String, position: Float): List!`
+			},
+			openapi: {
+				responses: {
+					200: {
+						description: `Created list`,
+						content: {
+							"application/json": {
+								schema: {
+									$ref: `#/components/schemas/List`
+								}
+							}
+						}
+					}
+				}
+			},
+			async handler(ctx) {
+				const list = ctx.locals.entity;
+				const board = await this.resolveTargetBoard(ctx, ctx.params.toBoard);
+				const position =
+					ctx.params.position != null
+						? ctx.params.position
+						: (await this.getLastPosition(ctx, board.id)) + 1;
+
+				const copy = await this.createEntity(
+					ctx,
+					{
+						..._.pick(list, ["description", "color", "options"]),
+						board: board.id,
+						title: ctx.params.title || list.title,
+						position
+					},
+					{ permissive: true }
+				);
+
+				await ctx.call("v1.cards.transferListCards", {
+					from: list.id,
+					to: copy.id,
+					copy: true
+				});
+
+				return copy;
+			}
+		},
+
+		restore: {
+			description: "Restore the removed list with its cards",
+			rest: "POST /:id/restore",
+			params: {
+				id: "string"
+			},
+			needEntity: true,
+			scopes: ["-notDeleted"],
+			permissions: [C.ROLE_BOARD_EDITOR],
+			graphql: {
+				mutation: `listRestore(id: String!): List!`
+			},
+			openapi: {
+				responses: {
+					200: OPENAPI_RESPONSE_200
+				}
+			},
+			async handler(ctx) {
+				const deletedAt = await this.getDeletedAt(ctx, ctx.params.id);
+				if (!deletedAt)
+					throw new MoleculerClientError("List is not deleted", 400, "LIST_NOT_DELETED", {
+						list: ctx.params.id
+					});
+
+				return this.restoreEntity(ctx, ctx.params.id, deletedAt);
+			}
+		}
+	},
+
+	/**
+	 * Action hooks
+	 */
+	hooks: {
+		before: {
+			async remove(ctx) {
+				if (ctx.params.moveCardsTo) {
+					await this.moveCardsToList(ctx, ctx.locals.entity, ctx.params.moveCardsTo);
+				}
+			}
 		}
 	},
 
@@ -203,7 +459,7 @@ module.exports = {
 			const board = ctx.params.data;
 			try {
 				const lists = await this.findEntities(ctx, {
-					query: { board: board.id },
+					query: { board: board.id, deletedAt: null },
 					fields: ["id"],
 					scope: false
 				});
@@ -227,7 +483,85 @@ module.exports = {
 	/**
 	 * Methods
 	 */
-	methods: {},
+	methods: {
+		/**
+		 * Get the target board of a list moving or copying, and check that
+		 * the logged in user is an editor on the board.
+		 *
+		 * @param {Context} ctx
+		 * @param {String} boardID
+		 * @returns {Promise<Object>}
+		 */
+		async resolveTargetBoard(ctx, boardID) {
+			const board = await ctx.call("v1.boards.resolve", {
+				id: boardID,
+				fields: ["id", "owner", "members", "memberRoles"],
+				throwIfNotExist: false
+			});
+			if (
+				!board ||
+				(!ctx.meta.$repl &&
+					!this.checkBoardRole(board, ctx.meta.userID, C.BOARD_ROLE_EDITOR))
+			)
+				throw new MoleculerClientError(
+					"You have no right for the target board",
+					403,
+					"ERR_NO_PERMISSION",
+					{ board: boardID }
+				);
+
+			return board;
+		},
+
+		/**
+		 * Get the position of the last list on the board (0 if the board is empty).
+		 *
+		 * @param {Context} ctx
+		 * @param {String} boardID
+		 * @returns {Promise<Number>}
+		 */
+		async getLastPosition(ctx, boardID) {
+			const last = await this.findEntities(ctx, {
+				query: { board: boardID, deletedAt: null },
+				sort: "-position",
+				limit: 1,
+				fields: ["position"],
+				scope: false
+			});
+			return last.length > 0 ? last[0].position : 0;
+		},
+
+		/**
+		 * Move the cards of the list to another list of the same board.
+		 *
+		 * @param {Context} ctx
+		 * @param {Object} list
+		 * @param {String} targetID
+		 */
+		async moveCardsToList(ctx, list, targetID) {
+			if (targetID == list.id)
+				throw new MoleculerClientError(
+					"The cards can't be moved to the removed list",
+					422,
+					"VALIDATION_ERROR",
+					[{ type: "invalidTarget", field: "moveCardsTo" }]
+				);
+
+			const target = await this.resolveEntities(ctx, {
+				id: targetID,
+				fields: ["id", "board"]
+			});
+			if (!target || target.board != list.board)
+				throw new MoleculerClientError(
+					"The target list is not found in the board",
+					404,
+					"LIST_NOT_FOUND",
+					{ list: targetID }
+				);
+
+			await ctx.call("v1.cards.moveListCards", { from: list.id, to: target.id });
+		}
+	},
 
 	/**
 	 * Service created lifecycle event handler
@@ -0,0 +1,98 @@
+"use strict";
+
+const ConfigLoader = require("../mixins/config.mixin");
+const Cron = require("../mixins/cron.mixin");
+
+/**
+ * Retention service. It hard-deletes the soft-deleted boards, lists, cards
+ * and their dependent records after the configured retention period.
+ */
+module.exports = {
+	name: "retention",
+	version: 1,
+
+	mixins: [ConfigLoader(["retention.**"]), Cron],
+
+	/**
+	 * Service dependencies
+	 */
+	dependencies: [
+		{ name: "boards", version: 1 },
+		{ name: "lists", version: 1 },
+		{ name: "cards", version: 1 }
+	],
+
+	/**
+	 * Service settings
+	 */
+	settings: {
+		// Services with soft-deleted entities. The dependent entities of the
+		// purged ones are removed via the `<service>.purged` events.
+		services: [
+			"v1.boards",
+			"v1.lists",
+			"v1.cards",
+			"v1.card.checklists",
+			"v1.card.attachments",
+			"v1.card.comments",
+			"v1.invitations"
+		]
+	},
+
+	crons: [
+		{
+			name: "PurgeDeletedEntities",
+			cronTime: "0 30 3 * * *",
+			onTick: {
+				action: "v1.retention.purge"
+			}
+		}
+	],
+
+	/**
+	 * Actions
+	 */
+	actions: {
+		/**
+		 * Hard-delete the entities which were deleted before the retention period.
+		 * With `dryRun` it only reports the number & the IDs of deleted entities which
+		 * would be purged (without the dependent records of the purged parents).
+		 */
+		purge: {
+			visibility: "protected",
+			params: {
+				dryRun: { type: "boolean", default: false }
+			},
+			async handler(ctx) {
+				const { dryRun } = ctx.params;
+				const days = this.config["retention.deletedDays"];
+				if (!days || days < 0) {
+					this.logger.info("Retention of deleted entities is disabled.");
+					return null;
+				}
+
+				const before = Date.now() - days * 24 * 60 * 60 * 1000;
+				const res = { before, dryRun, services: {} };
+				if (dryRun) res.ids = {};
+
+				for (const serviceName of this.settings.services) {
+					const { count, ids } = await ctx.call(`${serviceName}.purgeDeleted`, {
+						before,
+						dryRun
+					});
+					res.services[serviceName] = count;
+					if (dryRun) res.ids[serviceName] = ids;
+				}
+
+				const total = Object.values(res.services).reduce((a, count) => a + count, 0);
+				if (dryRun) {
+					this.logger.info(`${total} deleted entities would be purged.`, res.services);
+				} else {
+					this.logger.info(`Purged ${total} deleted entities.`, res.services);
+				}
+
+				return res;
+			}
+		}
+	}
+};
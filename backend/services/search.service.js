@@ -0,0 +1,139 @@
+"use strict";
+
+const C = require("../constants");
+
+/**
+ * Search service. It searches in the titles of boards & lists and in the titles
+ * & descriptions of cards. Only the boards where the logged in user
+ * is a member (and their lists & cards) are searched.
+ */
+module.exports = {
+	name: "search",
+	version: 1,
+
+	/**
+	 * Service dependencies
+	 */
+	dependencies: [
+		{ name: "boards", version: 1 },
+		{ name: "lists", version: 1 },
+		{ name: "cards", version: 1 }
+	],
+
+	/**
+	 * Service settings
+	 */
+	settings: {
+		rest: true,
+
+		graphql: {
+			type: `
+				type SearchResult {
+					boards: [Board]!
+					lists: [List]!
+					cards: [Card]!
+				}
+			`
+		}
+	},
+
+	/**
+	 * Actions
+	 */
+	actions: {
+		search: {
+			description: "Search in the boards, lists & cards of the logged in user",
+			rest: "GET /",
+			params: {
+				q: { type: "string", trim: true, min: 2 },
+				limit: {
+					type: "number",
+					integer: true,
+					positive: true,
+					max: 50,
+					default: 10,
+					convert: true
+				}
+			},
+			permissions: [C.ROLE_AUTHENTICATED],
+			graphql: {
+				query: `search(q: String!, limit: Int): SearchResult!`
+			},
+			openapi: {
+				responses: {
+					200: {
+						description: `Found boards, lists & cards`,
+						content: {
+							"application/json": {
+								schema: {
+									type: "object",
+									properties: {
+										boards: {
+											type: "array",
+											items: { $ref: `#/components/schemas/Board` }
+										},
+										lists: {
+											type: "array",
+											items: { $ref: `#/components/schemas/List` }
+										},
+										cards: {
+											type: "array",
+											items: { $ref: `#/components/schemas/Card` }
+										}
+									}
+								}
+							}
+						}
+					}
+				}
+			},
+			async handler(ctx) {
+				const { q, limit } = ctx.params;
+
+				// The `membership` scope of boards returns only the boards of the user
+				const boards = await ctx.call("v1.boards.find", { fields: ["id"] });
+				if (boards.length == 0) return { boards: [], lists: [], cards: [] };
+
+				const query = { board: { $in: boards.map(board => board.id) } };
+				const [foundBoards, lists, cards] = await Promise.all([
+					ctx.call("v1.boards.search", {
+						q,
+						fields: ["id", "title", "slug", "description"],
+						limit
+					}),
+					ctx.call("v1.lists.search", {
+						q,
+						query,
+						scope: ["-board"],
+						fields: ["id", "title", "board"],
+						limit
+					}),
+					ctx.call("v1.cards.search", {
+						q,
+						query,
+						scope: ["-list"],
+						fields: ["id", "title", "number", "board", "list"],
+						limit
+					})
+				]);
+
+				return { boards: foundBoards, lists, cards };
+			}
+		}
+	},
+
+	/**
+	 * Service created lifecycle event handler
+	 */
+	created() {},
+
+	/**
+	 * Service started lifecycle event handler
+	 */
+	started() {},
+
+	/**
+	 * Service stopped lifecycle event handler
+	 */
+	stopped() {}
+};
@@ -9,6 +9,8 @@ const Cron = require("../mixins/cron.mixin");
 //const { MoleculerRetryableError, MoleculerClientError } = require("moleculer").Errors;
 
 const TOKEN_LENGTH = 50;
+// Number of the rotated tokens which are kept for the reuse detection
+const MAX_PREVIOUS_TOKENS = 100;
 
 const TESTING = process.env.NODE_ENV === "test";
 
@@ -53,16 +55,21 @@ module.exports = {
 				required: true
 			},
 			name: { type: "string", max: 255 }, // for user API keys
+			scopes: { type: "array", items: { type: "enum", values: C.API_KEY_SCOPES } }, // for API keys
+			device: { type: "string", max: 255 }, // for login sessions
+			ip: { type: "string", max: 100 }, // for login sessions
 			token: { type: "string", required: true },
+			previousTokens: { type: "array", items: "string", readonly: true, hidden: true }, // rotated tokens
 			expiry: { type: "number", integer: true },
 			owner: { type: "string", required: true }, // TODO: validate via accounts.resolve
 			createdAt: { type: "number", readonly: true, onCreate: () => Date.now() },
-			lastUsedAt: { type: "number", readonly: true, hidden: "byDefault" } // for API keys
+			lastUsedAt: { type: "number", readonly: true, hidden: "byDefault" } // for API keys & login sessions
 		},
 
 		indexes: [
 			{ fields: "token", unique: true },
 			{ fields: ["type", "token"] },
+			{ fields: ["type", "previousTokens"] },
 			{ fields: ["type", "owner"] },
 			{ fields: "expiry" }
 		]
@@ -92,7 +99,15 @@ module.exports = {
 					values: C.TOKEN_TYPES
 				},
 				expiry: { type: "number", integer: true, optional: true },
-				owner: { type: "string" }
+				owner: { type: "string" },
+				name: { type: "string", max: 255, optional: true },
+				scopes: {
+					type: "array",
+					items: { type: "enum", values: C.API_KEY_SCOPES },
+					optional: true
+				},
+				device: { type: "string", max: 255, optional: true },
+				ip: { type: "string", max: 100, optional: true }
 			},
 			async handler(ctx) {
 				const { token, secureToken } = this.generateToken(TOKEN_LENGTH);
@@ -143,6 +158,87 @@ module.exports = {
 			}
 		},
 
+		/**
+		 * Check a token exist by ID & not expired (e.g. the login session of a JWT).
+		 */
+		checkByID: {
+			params: {
+				type: {
+					type: "enum",
+					values: C.TOKEN_TYPES
+				},
+				id: { type: "string" },
+				owner: { type: "string" }
+			},
+			async handler(ctx) {
+				const entity = await this.resolveEntities(ctx, { id: ctx.params.id });
+				if (!entity || entity.type != ctx.params.type || entity.owner != ctx.params.owner)
+					return null;
+
+				if (entity.expiry && entity.expiry < Date.now()) return null;
+
+				return entity;
+			}
+		},
+
+		/**
+		 * Replace a token with a new one in the same entity (e.g. refresh token rotation).
+		 * The old token can't be used anymore. If an already rotated token is used
+		 * again, it may have been stolen, so the whole token entity is removed.
+		 */
+		rotate: {
+			params: {
+				type: {
+					type: "enum",
+					values: C.TOKEN_TYPES
+				},
+				token: { type: "string" },
+				expiry: { type: "number", integer: true, optional: true }
+			},
+			async handler(ctx) {
+				const { type } = ctx.params;
+				const oldToken = this.secureToken(ctx.params.token);
+
+				const entity = await this.findEntity(ctx, { query: { type, token: oldToken } });
+				if (!entity) {
+					const reused = await this.findEntity(ctx, {
+						query: { type, previousTokens: oldToken }
+					});
+					if (reused) {
+						this.logger.warn(
+							`A rotated token of '${reused.id}' is reused. Revoking it.`
+						);
+						await this.removeEntity(ctx, reused);
+					}
+					return null;
+				}
+				if (entity.expiry && entity.expiry < Date.now()) return null;
+
+				// Replace the token only if it hasn't been rotated in the meantime,
+				// so only one of the parallel rotations gets a new token.
+				const { token, secureToken } = this.generateToken(TOKEN_LENGTH);
+				const adapter = await this.getAdapter(ctx);
+				const count = await adapter.updateMany(
+					{ type, token: oldToken },
+					{
+						$set: {
+							token: secureToken,
+							expiry: ctx.params.expiry || entity.expiry,
+							lastUsedAt: Date.now()
+						},
+						$push: {
+							previousTokens: { $each: [oldToken], $slice: -MAX_PREVIOUS_TOKENS }
+						}
+					},
+					{ raw: true }
+				);
+				if (count == 0) return null;
+
+				const res = await this.resolveEntities(ctx, { id: entity.id });
+				return { ...res, token };
+			}
+		},
+
 		/**
 		 * Remove an invalidated token
 		 */
@@ -168,6 +264,88 @@ module.exports = {
 			}
 		},
 
+		/**
+		 * List the tokens of an owner (e.g. API keys of a user).
+		 * The secured token values are not returned.
+		 */
+		listByOwner: {
+			params: {
+				type: {
+					type: "enum",
+					values: C.TOKEN_TYPES
+				},
+				owner: { type: "string" }
+			},
+			async handler(ctx) {
+				return this.findEntities(ctx, {
+					query: { type: ctx.params.type, owner: ctx.params.owner },
+					sort: "createdAt",
+					fields: [
+						"id",
+						"type",
+						"name",
+						"scopes",
+						"device",
+						"ip",
+						"expiry",
+						"createdAt",
+						"lastUsedAt"
+					]
+				});
+			}
+		},
+
+		/**
+		 * Remove a token of an owner by ID (e.g. revoke an API key)
+		 */
+		removeByID: {
+			params: {
+				type: {
+					type: "enum",
+					values: C.TOKEN_TYPES
+				},
+				id: { type: "string" },
+				owner: { type: "string" }
+			},
+			async handler(ctx) {
+				const entity = await this.resolveEntities(ctx, { id: ctx.params.id });
+				if (!entity || entity.type != ctx.params.type || entity.owner != ctx.params.owner)
+					return false;
+
+				await this.removeEntity(ctx, entity);
+				return true;
+			}
+		},
+
+		/**
+		 * Remove all tokens of an owner (e.g. log out from every session).
+		 * The token with the `except` ID is kept.
+		 */
+		removeByOwner: {
+			params: {
+				type: {
+					type: "enum",
+					values: C.TOKEN_TYPES
+				},
+				owner: { type: "string" },
+				except: { type: "string", optional: true }
+			},
+			async handler(ctx) {
+				const entities = await this.findEntities(ctx, {
+					query: { type: ctx.params.type, owner: ctx.params.owner },
+					fields: ["id"]
+				});
+
+				let count = 0;
+				for (const entity of entities) {
+					if (entity.id == ctx.params.except) continue;
+					await this.removeEntity(ctx, entity);
+					count++;
+				}
+				return count;
+			}
+		},
+
 		/**
 		 * Clear expired tokens.
 		 */
@@ -0,0 +1,90 @@
+"use strict";
+
+/**
+ * Built-in board templates. They are seeded into an empty `boards` collection
+ * as public template boards of the administrator.
+ * The labels of the cards are referenced by name.
+ */
+module.exports = [
+	{
+		title: "Scrum",
+		description: "Plan and track the work of the sprints",
+		key: "SCRUM",
+		labels: [
+			{ name: "Story", color: "#3b82f6" },
+			{ name: "Task", color: "#10b981" },
+			{ name: "Bug", color: "#eb4646" },
+			{ name: "Spike", color: "#a855f7" }
+		],
+		lists: [
+			{
+				title: "Product backlog",
+				cards: [
+					{
+						title: "As a user, I can sign up with my e-mail address",
+						labels: ["Story"]
+					},
+					{ title: "Evaluate the search libraries", labels: ["Spike"] }
+				]
+			},
+			{
+				title: "Sprint backlog",
+				cards: [{ title: "Create the sign up form", labels: ["Task"] }]
+			},
+			{ title: "In progress" },
+			{ title: "Review" },
+			{ title: "Done" }
+		]
+	},
+	{
+		title: "Kanban",
+		description: "Visualize the workflow and limit the work in progress",
+		key: "KANBAN",
+		labels: [
+			{ name: "Low priority", color: "#fad900" },
+			{ name: "Medium priority", color: "#ff9f19" },
+			{ name: "High priority", color: "#eb4646" },
+			{ name: "Blocked", color: "#6b7280" }
+		],
+		lists: [
+			{
+				title: "To do",
+				cards: [
+					{ title: "Drag the cards between the lists", labels: ["Low priority"] },
+					{ title: "Invite the team members", labels: ["Medium priority"] }
+				]
+			},
+			{ title: "Doing" },
+			{ title: "Waiting", cards: [{ title: "Waiting for approval", labels: ["Blocked"] }] },
+			{ title: "Done" }
+		]
+	},
+	{
+		title: "Bug triage",
+		description: "Collect, prioritize and fix the reported bugs",
+		key: "BUG",
+		labels: [
+			{ name: "Critical", color: "#eb4646" },
+			{ name: "Major", color: "#ff9f19" },
+			{ name: "Minor", color: "#fad900" },
+			{ name: "Cannot reproduce", color: "#6b7280" }
+		],
+		lists: [
+			{
+				title: "New",
+				cards: [
+					{
+						title: "Example: the login page is blank on Safari",
+						description:
+							"**Steps to reproduce**\n\n1. \n\n**Expected behavior**\n\n**Actual behavior**\n",
+						labels: ["Major"]
+					}
+				]
+			},
+			{ title: "Confirmed" },
+			{ title: "In progress" },
+			{ title: "Fixed" },
+			{ title: "Won't fix" }
+		]
+	}
+];
@@ -1,9 +1,16 @@
 "use strict";
 
+const { Readable } = require("stream");
 const C = require("../../constants");
 const Helper = require("./helper-actions");
 const env = require("./env")();
-const { checkResponse, checkError, checkBoardVisibility, listResponse } = require("./checks");
+const {
+	checkResponse,
+	checkError,
+	checkBoardVisibility,
+	waitFor,
+	listResponse
+} = require("./checks");
 
 const EMPTY_LIST_RESPONSE = {
 	page: 1,
@@ -100,7 +107,10 @@ describe("Integration test", () => {
 			it("login with U1 account", async () => {
 				const res = await helper.login(state.users.u1.email, "u1-pass");
 
-				expect(res).toEqual({ token: expect.any(String) });
+				expect(res).toEqual({
+					token: expect.any(String),
+					refreshToken: expect.any(String)
+				});
 
 				state.contexts.u1 = {
 					meta: {
@@ -114,7 +124,10 @@ describe("Integration test", () => {
 			it("login with U2 account", async () => {
 				const res = await helper.login(state.users.u2.email, "u2-pass");
 
-				expect(res).toEqual({ token: expect.any(String) });
+				expect(res).toEqual({
+					token: expect.any(String),
+					refreshToken: expect.any(String)
+				});
 
 				state.contexts.u2 = {
 					meta: {
@@ -553,14 +566,18 @@ describe("Integration test", () => {
 				});
 
 				it("check removeMembers permissions", async () => {
-					expect.assertions(5);
+					expect.assertions(7);
 
 					await checkError(
 						helper.boardRemoveMembers("u1", {
 							id: state.boards.u1_b1.id,
 							members: [state.users.u1.id]
 						}),
-						{ message: "The board owner can't be removed from the members." }
+						{
+							name: "MoleculerClientError",
+							type: "OWNER_CANT_BE_REMOVED",
+							message: "The board owner can't be removed from the members."
+						}
 					);
 
 					await checkError(
@@ -586,6 +603,82 @@ describe("Integration test", () => {
 							: { name: "EntityNotFoundError", message: "Entity not found" }
 					);
 				});
+
+				it("check board roles", async () => {
+					expect.assertions(8);
+
+					await checkError(
+						helper.boardSetMemberRole("u2", {
+							id: state.boards.u1_b1.id,
+							member: state.users.u2.id,
+							role: C.BOARD_ROLE_ADMIN
+						}),
+						{
+							name: "MoleculerClientError",
+							message: "You have no right for this operation!"
+						}
+					);
+
+					await checkError(
+						helper.boardSetMemberRole("u1", {
+							id: state.boards.u1_b1.id,
+							member: state.users.u1.id,
+							role: C.BOARD_ROLE_VIEWER
+						}),
+						{ message: "The role of the board owner can't be changed." }
+					);
+
+					// The role of the owner is not stored when it's added again
+					state.boards.u1_b1 = await checkResponse(
+						helper.boardAddMembers("u1", {
+							id: state.boards.u1_b1.id,
+							members: [state.users.u1.id],
+							role: C.BOARD_ROLE_VIEWER
+						}),
+						{
+							...state.boards.u1_b1,
+							updatedAt: expect.any(Number)
+						}
+					);
+
+					state.boards.u1_b1 = await checkResponse(
+						helper.boardSetMemberRole("u1", {
+							id: state.boards.u1_b1.id,
+							member: state.users.u2.id,
+							role: C.BOARD_ROLE_VIEWER
+						}),
+						{
+							...state.boards.u1_b1,
+							memberRoles: [{ member: state.users.u2.id, role: C.BOARD_ROLE_VIEWER }],
+							updatedAt: expect.any(Number)
+						}
+					);
+
+					// Viewers can't update the board
+					await checkError(
+						helper.boardUpdate("u2", {
+							id: state.boards.u1_b1.id,
+							title: "U1 B1 updated by viewer U2"
+						}),
+						{
+							name: "MoleculerClientError",
+							message: "You have no right for this operation!"
+						}
+					);
+
+					state.boards.u1_b1 = await checkResponse(
+						helper.boardSetMemberRole("u1", {
+							id: state.boards.u1_b1.id,
+							member: state.users.u2.id,
+							role: C.BOARD_ROLE_EDITOR
+						}),
+						{
+							...state.boards.u1_b1,
+							memberRoles: [{ member: state.users.u2.id, role: C.BOARD_ROLE_EDITOR }],
+							updatedAt: expect.any(Number)
+						}
+					);
+				});
 			});
 
 			describe("Check B1 board permissions if board is archived", () => {
@@ -1098,6 +1191,59 @@ describe("Integration test", () => {
 					);
 				});
 			});
+
+			describe("Check B1 board restore permissions", () => {
+				it("restore board", async () => {
+					expect.assertions(7);
+
+					await checkError(helper.boardRestore("u1", state.boards.u1_b1.id), {
+						name: "MoleculerClientError",
+						message: "You have no right for this operation!"
+					});
+					await checkError(
+						helper.boardRestore("guest", state.boards.u1_b1.id),
+						isPublic
+							? {
+									name: "MoleculerClientError",
+									message: "You have no right for this operation!"
+							  }
+							: { name: "EntityNotFoundError", message: "Entity not found" }
+					);
+
+					await checkResponse(
+						helper.boardRestore("u2", state.boards.u1_b1.id),
+						expect.objectContaining({
+							id: state.boards.u1_b1.id,
+							owner: state.users.u2.id
+						})
+					);
+
+					await checkError(helper.boardRestore("u2", state.boards.u1_b1.id), {
+						name: "MoleculerClientError",
+						message: "Board is not deleted"
+					});
+				});
+
+				it("check visibility with 'get'", async () => {
+					await checkBoardVisibility(
+						helper.boardByID,
+						{ id: state.boards.u1_b1.id },
+						{
+							u1: { data: expect.objectContaining({ id: state.boards.u1_b1.id }) },
+							u2: { data: expect.objectContaining({ id: state.boards.u1_b1.id }) }
+						}
+					);
+				});
+
+				it("remove board again", async () => {
+					await checkResponse(
+						helper.boardRemove("u2", {
+							id: state.boards.u1_b1.id
+						}),
+						state.boards.u1_b1.id
+					);
+				});
+			});
 		}
 
 		describe("Test with private board", () => {
@@ -1149,4 +1295,1377 @@ describe("Integration test", () => {
 			checkBoardPermission({ isPublic: true });
 		});
 	});
+
+	describe("Test lists operations", () => {
+		it("create board, lists & cards by 'U1'", async () => {
+			state.boards.u1_b2 = await helper.boardCreate("u1", { title: "U1 B2" });
+			state.boards.u1_b3 = await helper.boardCreate("u1", { title: "U1 B3" });
+
+			for (const name of ["l1", "l2", "l3"]) {
+				state.lists[name] = await helper.listCreate("u1", {
+					board: state.boards.u1_b2.id,
+					title: name.toUpperCase()
+				});
+			}
+			state.lists.other = await helper.listCreate("u1", {
+				board: state.boards.u1_b3.id,
+				title: "Other"
+			});
+
+			for (const name of ["c1", "c2"]) {
+				state.cards[name] = await helper.cardCreate("u1", {
+					list: state.lists.l1.id,
+					title: name.toUpperCase()
+				});
+			}
+			state.cards.c3 = await helper.cardCreate("u1", {
+				list: state.lists.l2.id,
+				title: "C3"
+			});
+			state.cards.c4 = await helper.cardCreate("u1", {
+				list: state.lists.l3.id,
+				title: "C4"
+			});
+
+			expect(state.cards.c1).toEqual(
+				expect.objectContaining({
+					board: state.boards.u1_b2.id,
+					list: state.lists.l1.id
+				})
+			);
+		});
+
+		it("check invalid 'moveCardsTo' targets", async () => {
+			expect.assertions(4);
+
+			await checkError(
+				helper.listRemove("u1", {
+					id: state.lists.l1.id,
+					moveCardsTo: state.lists.l1.id
+				}),
+				{ name: "MoleculerClientError", type: "VALIDATION_ERROR" }
+			);
+			await checkError(
+				helper.listRemove("u1", {
+					id: state.lists.l1.id,
+					moveCardsTo: state.lists.other.id
+				}),
+				{ name: "MoleculerClientError", type: "LIST_NOT_FOUND" }
+			);
+		});
+
+		it("remove list & move the cards to another list", async () => {
+			await checkResponse(
+				helper.listRemove("u1", {
+					id: state.lists.l1.id,
+					moveCardsTo: state.lists.l2.id
+				}),
+				state.lists.l1.id
+			);
+
+			await waitFor(async () => {
+				const cards = await helper.cardsAll("u1", {
+					list: state.lists.l2.id,
+					sort: "position"
+				});
+				expect(cards.map(card => card.title)).toEqual(["C3", "C1", "C2"]);
+			});
+		});
+
+		it("remove list & its cards", async () => {
+			await checkResponse(
+				helper.listRemove("u1", { id: state.lists.l3.id }),
+				state.lists.l3.id
+			);
+
+			await waitFor(async () => {
+				await expect(
+					helper.cardByID("u1", { id: state.cards.c4.id })
+				).rejects.toHaveProperty("name", "EntityNotFoundError");
+			});
+			await checkResponse(
+				helper.cardByID("u1", { id: state.cards.c3.id }),
+				expect.objectContaining({ id: state.cards.c3.id, list: state.lists.l2.id })
+			);
+		});
+
+		it("move card to a list of another board", async () => {
+			const res = await helper.cardMove("u1", {
+				id: state.cards.c3.id,
+				toList: state.lists.other.id
+			});
+			expect(res).toEqual(
+				expect.objectContaining({
+					id: state.cards.c3.id,
+					board: state.boards.u1_b3.id,
+					list: state.lists.other.id,
+					number: 1
+				})
+			);
+		});
+
+		it("copy card to a list of another board", async () => {
+			const res = await helper.cardCopy("u1", {
+				id: state.cards.c1.id,
+				toList: state.lists.other.id,
+				title: "C1 copy"
+			});
+			expect(res).toEqual(
+				expect.objectContaining({
+					title: "C1 copy",
+					board: state.boards.u1_b3.id,
+					list: state.lists.other.id
+				})
+			);
+			expect(res.id).not.toBe(state.cards.c1.id);
+		});
+
+		it("move list with its cards to another board", async () => {
+			const res = await helper.listMove("u1", {
+				id: state.lists.l2.id,
+				toBoard: state.boards.u1_b3.id
+			});
+			expect(res).toEqual(
+				expect.objectContaining({ id: state.lists.l2.id, board: state.boards.u1_b3.id })
+			);
+
+			const cards = await helper.cardsAll("u1", {
+				list: state.lists.l2.id,
+				sort: "position"
+			});
+			expect(cards.map(card => card.title)).toEqual(["C1", "C2"]);
+			expect(cards.every(card => card.board == state.boards.u1_b3.id)).toBe(true);
+		});
+	});
+
+	describe("Test lists & cards archiving", () => {
+		let board, l1, l2, c1, c2;
+
+		it("create board, lists & cards by 'U1'", async () => {
+			board = await helper.boardCreate("u1", { title: "Archiving" });
+			l1 = await helper.listCreate("u1", { board: board.id, title: "L1" });
+			l2 = await helper.listCreate("u1", { board: board.id, title: "L2" });
+			c1 = await helper.cardCreate("u1", { list: l1.id, title: "C1" });
+			c2 = await helper.cardCreate("u1", { list: l1.id, title: "C2" });
+		});
+
+		it("archive a card", async () => {
+			expect.assertions(5);
+			const res = await helper.cardArchive("u1", c2.id);
+			expect(res.archived).toBe(true);
+
+			const cards = await helper.cardsAll("u1", { list: l1.id });
+			expect(cards.map(card => card.id)).toEqual([c1.id]);
+
+			await checkError(helper.cardArchive("u1", c2.id), {
+				name: "EntityNotFoundError"
+			});
+			await checkError(helper.cardArchive("u2", c1.id), {
+				name: "MoleculerClientError",
+				type: "ERR_HAS_NO_ACCESS"
+			});
+		});
+
+		it("archive the list with its cards", async () => {
+			const list = await helper.listArchive("u1", l1.id);
+			expect(list.archived).toBe(true);
+
+			const lists = await helper.listsAll("u1", { board: board.id });
+			expect(lists.map(l => l.id)).toEqual([l2.id]);
+
+			await waitFor(async () => {
+				const card = await helper.cardByID("u1", { id: c1.id, scope: ["-notArchived"] });
+				expect(card.archivedAt).toBe(list.archivedAt);
+			});
+		});
+
+		it("the list must be unarchived before its cards", async () => {
+			expect.assertions(1);
+			await checkError(helper.cardUnarchive("u1", c1.id), {
+				type: "LIST_NOT_AVAILABLE"
+			});
+		});
+
+		it("unarchive the list with the cards archived with it", async () => {
+			const list = await helper.listUnarchive("u1", l1.id);
+			expect(list.archived).toBe(false);
+
+			await waitFor(async () => {
+				const cards = await helper.cardsAll("u1", { list: l1.id });
+				expect(cards.map(card => card.id)).toEqual([c1.id]);
+			});
+
+			const res = await helper.cardUnarchive("u1", c2.id);
+			expect(res.archived).toBe(false);
+		});
+
+		it("list the lists & cards without archived field", async () => {
+			const listService = state.broker.getLocalService("v1.lists");
+			let adapter = await listService.getAdapter();
+			await adapter.updateById(listService.decodeID(l2.id), { $unset: { archived: 1 } });
+
+			const card = await helper.cardCreate("u1", { list: l2.id, title: "Legacy" });
+			const cardService = state.broker.getLocalService("v1.cards");
+			adapter = await cardService.getAdapter();
+			await adapter.updateById(cardService.decodeID(card.id), { $unset: { archived: 1 } });
+
+			const lists = await helper.listsAll("u1", { board: board.id });
+			expect(lists.map(l => l.id)).toEqual(expect.arrayContaining([l1.id, l2.id]));
+
+			const cards = await helper.cardsAll("u1", { list: l2.id });
+			expect(cards.map(c => c.id)).toEqual([card.id]);
+		});
+	});
+
+	describe("Test activities", () => {
+		it("store the activities of the board", async () => {
+			await waitFor(async () => {
+				const res = await helper.activitiesAll("u1", {
+					board: state.boards.u1_b2.id,
+					sort: "createdAt"
+				});
+				expect(res.map(activity => activity.type)).toEqual(
+					expect.arrayContaining([
+						"createBoard",
+						"createList",
+						"createCard",
+						"removeList"
+					])
+				);
+				expect(res[0]).toEqual(
+					expect.objectContaining({
+						type: "createBoard",
+						board: state.boards.u1_b2.id,
+						createdBy: state.users.u1.id,
+						isSystem: false
+					})
+				);
+			});
+		});
+
+		it("store the move activities of the card", async () => {
+			await waitFor(async () => {
+				const res = await helper.activitiesAll("u1", { card: state.cards.c3.id });
+				// The history goes with the card to the new board
+				expect(res.map(activity => activity.type)).toEqual(
+					expect.arrayContaining(["createCard", "moveCardFromBoard"])
+				);
+			});
+		});
+
+		it("'U2' can't read the activities of the board of 'U1'", async () => {
+			expect.assertions(4);
+			await checkError(helper.activitiesAll("u2", { board: state.boards.u1_b2.id }), {
+				name: "MoleculerClientError",
+				type: "ERR_NO_PERMISSION"
+			});
+			await checkError(helper.activitiesAll("u2", { card: state.cards.c3.id }), {
+				name: "MoleculerClientError",
+				type: "ERR_NO_PERMISSION"
+			});
+		});
+
+		it("restore the cards of the restored board only once", async () => {
+			const board = await helper.boardCreate("u1", { title: "Restore" });
+			const list = await helper.listCreate("u1", { board: board.id, title: "Todo" });
+			const card = await helper.cardCreate("u1", { list: list.id, title: "Restored" });
+
+			await helper.boardRemove("u1", { id: board.id });
+			await waitFor(async () => {
+				await expect(helper.cardByID("u1", { id: card.id })).rejects.toThrow();
+			});
+
+			await helper.boardRestore("u1", board.id);
+			await waitFor(async () => {
+				const res = await helper.cardByID("u1", { id: card.id });
+				expect(res.title).toBe("Restored");
+
+				const activities = await helper.activitiesAll("u1", { card: card.id });
+				expect(activities.filter(a => a.type == "restoreCard")).toHaveLength(1);
+			});
+		});
+
+		it("throw error if board, list or card is missing", async () => {
+			expect.assertions(2);
+			await checkError(helper.activitiesAll("u1"), {
+				name: "MoleculerClientError",
+				type: "VALIDATION_ERROR"
+			});
+		});
+	});
+
+	describe("Test card attachments", () => {
+		const FILE = { filename: "hello world.txt", mimetype: "text/plain" };
+		let attachment, key;
+
+		const readStream = async stream => {
+			let res = "";
+			for await (const chunk of stream) res += chunk;
+			return res;
+		};
+
+		it("'U2' can't upload to the card of 'U1'", async () => {
+			expect.assertions(2);
+			await checkError(
+				helper.attachmentUpload("u2", state.cards.c3.id, Readable.from(["Hello"]), FILE),
+				{ name: "MoleculerClientError", type: "ERR_NO_PERMISSION" }
+			);
+		});
+
+		it("can't upload to an archived card", async () => {
+			expect.assertions(2);
+			const board = await helper.boardCreate("u1", { title: "Archived attachments" });
+			const list = await helper.listCreate("u1", { board: board.id, title: "Todo" });
+			const card = await helper.cardCreate("u1", { list: list.id, title: "Archived" });
+			await helper.cardArchive("u1", card.id);
+
+			await checkError(
+				helper.attachmentUpload("u1", card.id, Readable.from(["Hello"]), FILE),
+				{ name: "MoleculerClientError", type: "ERR_NO_PERMISSION" }
+			);
+		});
+
+		it("upload a file to the card", async () => {
+			attachment = await helper.attachmentUpload(
+				"u1",
+				state.cards.c3.id,
+				Readable.from(["Hello world"]),
+				FILE
+			);
+			expect(attachment).toEqual(
+				expect.objectContaining({
+					id: expect.any(String),
+					board: state.boards.u1_b3.id,
+					card: state.cards.c3.id,
+					title: "hello world.txt",
+					type: "text/plain",
+					size: 11
+				})
+			);
+			expect(attachment.key).toBeUndefined();
+
+			const raw = await attachmentService().resolveEntities(
+				null,
+				{ id: attachment.id, scope: false },
+				{ transform: false }
+			);
+			key = raw.key;
+		});
+
+		it("download the file", async () => {
+			const stream = await helper.attachmentDownload("u1", attachment.id);
+			expect(await readStream(stream)).toBe("Hello world");
+		});
+
+		it("'U2' can't download the file", async () => {
+			await expect(helper.attachmentDownload("u2", attachment.id)).rejects.toThrow();
+		});
+
+		it("keep the original filename in the download header", async () => {
+			expect(attachmentService().getContentDisposition("hello world.txt")).toBe(
+				"attachment; filename=\"hello world.txt\"; filename*=UTF-8''hello%20world.txt"
+			);
+			expect(attachmentService().getContentDisposition('árvíztűrő "(1)".txt')).toBe(
+				"attachment; filename=\"_rv_zt_r_ _(1)_.txt\"; filename*=UTF-8''%C3%A1rv%C3%ADzt%C5%B1r%C5%91%20%22%281%29%22.txt"
+			);
+		});
+
+		it("remove the file from the storage when the attachment is purged", async () => {
+			await helper.attachmentRemove("u1", attachment.id);
+
+			const dry = await state.broker.call("v1.card.attachments.purgeDeleted", {
+				before: Date.now() + 1000,
+				dryRun: true
+			});
+			expect(dry.ids).toContain(attachment.id);
+			expect(dry.count).toBe(dry.ids.length);
+			expect(await readStream(await attachmentService().storageGet(key))).toBe("Hello world");
+
+			const res = await state.broker.call("v1.card.attachments.purgeDeleted", {
+				before: Date.now() + 1000
+			});
+			expect(res.count).toBeGreaterThanOrEqual(1);
+
+			await expect(attachmentService().storageGet(key)).rejects.toThrow();
+		});
+
+		function attachmentService() {
+			return state.broker.getLocalService("v1.card.attachments");
+		}
+	});
+
+	describe("Test card comments", () => {
+		let board, card, comment;
+
+		it("create board, list & card by 'U1'", async () => {
+			board = await helper.boardCreate("u1", { title: "Comments" });
+			const list = await helper.listCreate("u1", { board: board.id, title: "Todo" });
+			card = await helper.cardCreate("u1", { list: list.id, title: "Discuss" });
+		});
+
+		it("'U2' can't comment if not a board member", async () => {
+			expect.assertions(2);
+			await checkError(helper.commentCreate("u2", { card: card.id, body: "Hi" }), {
+				name: "MoleculerClientError",
+				type: "ERR_HAS_NO_ACCESS"
+			});
+		});
+
+		it("comment with mentions by the new member 'U2'", async () => {
+			await helper.boardAddMembers("u1", { id: board.id, members: [state.users.u2.id] });
+
+			comment = await helper.commentCreate("u2", {
+				card: card.id,
+				body: "Hello @U1 and @nobody"
+			});
+			expect(comment).toEqual(
+				expect.objectContaining({
+					board: board.id,
+					card: card.id,
+					author: state.users.u2.id,
+					body: "Hello @U1 and @nobody",
+					mentions: [state.users.u1.id],
+					edited: false,
+					reactions: []
+				})
+			);
+
+			const comments = await helper.commentsAll("u1", { card: card.id });
+			expect(comments.map(c => c.id)).toEqual([comment.id]);
+		});
+
+		it("only the author can edit the comment", async () => {
+			expect.assertions(4);
+			await checkError(helper.commentUpdate("u1", { id: comment.id, body: "Changed" }), {
+				name: "MoleculerClientError",
+				type: "ERR_HAS_NO_ACCESS"
+			});
+
+			const res = await helper.commentUpdate("u2", { id: comment.id, body: "Thanks @u2" });
+			expect(res).toEqual(
+				expect.objectContaining({
+					body: "Thanks @u2",
+					mentions: [state.users.u2.id],
+					edited: true
+				})
+			);
+			expect(res.author).toBe(state.users.u2.id);
+		});
+
+		it("toggle the reactions", async () => {
+			await helper.commentReact("u1", { id: comment.id, emoji: "👍" });
+			let res = await helper.commentReact("u2", { id: comment.id, emoji: "👍" });
+			expect(res.reactions).toEqual([
+				{ emoji: "👍", users: [state.users.u1.id, state.users.u2.id] }
+			]);
+
+			res = await helper.commentReact("u1", { id: comment.id, emoji: "👍" });
+			expect(res.reactions).toEqual([{ emoji: "👍", users: [state.users.u2.id] }]);
+		});
+
+		it("the board owner can remove the comment of 'U2'", async () => {
+			await helper.commentRemove("u1", comment.id);
+
+			const comments = await helper.commentsAll("u2", { card: card.id });
+			expect(comments).toEqual([]);
+		});
+	});
+
+	describe("Test board invitations", () => {
+		let board, invitation;
+
+		it("create board by 'U1'", async () => {
+			board = await helper.boardCreate("u1", { title: "Invitations" });
+		});
+
+		it("only the board admins can invite", async () => {
+			expect.assertions(2);
+			await checkError(helper.invite("u2", { board: board.id, email: "u3@kantab.io" }), {
+				name: "MoleculerClientError",
+				type: "ERR_HAS_NO_ACCESS"
+			});
+		});
+
+		it("invite 'U2' by email", async () => {
+			invitation = await helper.invite("u1", {
+				board: board.id,
+				email: "u2@kantab.io",
+				role: C.BOARD_ROLE_EDITOR
+			});
+			expect(invitation).toEqual(
+				expect.objectContaining({
+					board: board.id,
+					email: "u2@kantab.io",
+					account: state.users.u2.id,
+					role: C.BOARD_ROLE_EDITOR,
+					invitedBy: state.users.u1.id,
+					status: "pending"
+				})
+			);
+
+			const res = await helper.invitationsList("u1", { board: board.id });
+			expect(res.rows.map(inv => inv.id)).toEqual([invitation.id]);
+		});
+
+		it("throw error if already invited or member", async () => {
+			expect.assertions(4);
+			await checkError(helper.invite("u1", { board: board.id, email: "u2@kantab.io" }), {
+				name: "MoleculerClientError",
+				type: "INVITATION_EXISTS"
+			});
+			await checkError(helper.invite("u1", { board: board.id, email: "u1@kantab.io" }), {
+				name: "MoleculerClientError",
+				type: "ALREADY_MEMBER"
+			});
+		});
+
+		it("list the own invitations", async () => {
+			const mine = await helper.myInvitations("u2");
+			expect(mine.map(inv => inv.id)).toEqual([invitation.id]);
+
+			expect(await helper.myInvitations("u3")).toEqual([]);
+		});
+
+		it("'U3' can't accept the invitation of 'U2'", async () => {
+			expect.assertions(4);
+			await checkError(helper.invitationAccept("u3", { id: invitation.id }), {
+				name: "MoleculerClientError",
+				type: "ERR_NO_PERMISSION"
+			});
+			await checkError(helper.invitationDecline("u3", { id: invitation.id }), {
+				name: "MoleculerClientError",
+				type: "ERR_NO_PERMISSION"
+			});
+		});
+
+		it("'U2' accepts the invitation", async () => {
+			const res = await helper.invitationAccept("u2", { id: invitation.id });
+			expect(res.id).toBe(board.id);
+			expect(res.members).toContain(state.users.u2.id);
+
+			expect(await helper.myInvitations("u2")).toEqual([]);
+			const b = await helper.boardByID("u2", { id: board.id });
+			expect(b.id).toBe(board.id);
+		});
+
+		it("'U3' declines the invitation", async () => {
+			const inv = await helper.invite("u1", { board: board.id, email: "u3@kantab.io" });
+			expect(await helper.invitationDecline("u3", { id: inv.id })).toBe(true);
+
+			const res = await helper.invitationsList("u1", { board: board.id });
+			expect(res.rows).toEqual([]);
+
+			const b = await helper.boardByID("u1", { id: board.id });
+			expect(b.members).not.toContain(state.users.u3.id);
+		});
+
+		it("accept the invitation of an unregistered email by token", async () => {
+			expect.assertions(3);
+			const inv = await helper.invite("u1", { board: board.id, email: "u4@kantab.io" });
+			expect(inv.account).toBeFalsy();
+
+			// Without token, the invitation can't be linked to the user
+			await checkError(helper.invitationAccept("u3", { id: inv.id }), {
+				name: "MoleculerClientError",
+				type: "INVALID_INVITATION"
+			});
+
+			// The mail sending is disabled, so generate a new token for the invitation
+			const { token } = await state.broker.call("v1.tokens.generate", {
+				type: C.TOKEN_TYPE_BOARD_INVITATION,
+				owner: inv.id,
+				expiry: inv.expiry
+			});
+			const res = await helper.invitationAccept("u3", { token });
+			expect(res.members).toContain(state.users.u3.id);
+		});
+
+		it("only the board admins can revoke the invitation", async () => {
+			expect.assertions(4);
+			const inv = await helper.invite("u1", { board: board.id, email: "u5@kantab.io" });
+
+			await checkError(helper.invitationRevoke("u2", inv.id), {
+				name: "MoleculerClientError",
+				type: "ERR_HAS_NO_ACCESS"
+			});
+
+			const res = await helper.invitationRevoke("u1", inv.id);
+			expect(res.status).toBe("revoked");
+
+			const list = await helper.invitationsList("u1", { board: board.id });
+			expect(list.rows).toEqual([]);
+		});
+	});
+
+	describe("Test card numbers", () => {
+		let board, list, first, second;
+
+		it("create board & list by 'U1'", async () => {
+			board = await helper.boardCreate("u1", { title: "Numbers", key: "num" });
+			expect(board.key).toBe("NUM");
+			list = await helper.listCreate("u1", { board: board.id, title: "Todo" });
+		});
+
+		it("number the cards sequentially", async () => {
+			first = await helper.cardCreate("u1", { list: list.id, title: "First" });
+			second = await helper.cardCreate("u1", { list: list.id, title: "Second" });
+			expect(first.number).toBe(1);
+			expect(second.number).toBe(2);
+		});
+
+		it("give different numbers to parallel creations", async () => {
+			const cards = await Promise.all(
+				[1, 2, 3, 4, 5].map(i => helper.cardCreate("u1", { list: list.id, title: `P${i}` }))
+			);
+			expect(cards.map(card => card.number).sort((a, b) => a - b)).toEqual([3, 4, 5, 6, 7]);
+
+			const number = await state.broker.call("v1.boards.nextCardNumber", { id: board.id });
+			expect(number).toBe(8);
+		});
+
+		it("get the card by number", async () => {
+			const res = await helper.cardByNumber("u1", { board: board.id, number: 2 });
+			expect(res.id).toBe(second.id);
+			expect(res.title).toBe("Second");
+		});
+
+		it("throw error if the number is unknown or the user is not member", async () => {
+			expect.assertions(4);
+			await checkError(helper.cardByNumber("u1", { board: board.id, number: 99 }), {
+				name: "MoleculerClientError",
+				type: "CARD_NOT_FOUND"
+			});
+			await checkError(helper.cardByNumber("u2", { board: board.id, number: 1 }), {
+				name: "MoleculerClientError",
+				type: "ERR_HAS_NO_ACCESS"
+			});
+		});
+
+		it("generate the key of boards without stored key", async () => {
+			const svc = state.broker.getLocalService("v1.boards");
+			const legacy = await helper.boardCreate("u1", { title: "Legacy board" });
+			const adapter = await svc.getAdapter();
+			await adapter.updateById(svc.decodeID(legacy.id), { $unset: { key: 1 } });
+
+			const res = await helper.boardByID("u1", { id: legacy.id });
+			expect(res.key).toBe("LB");
+		});
+	});
+
+	describe("Test card due dates", () => {
+		const HOUR = 60 * 60 * 1000;
+		let list;
+
+		it("create board & list by 'U1'", async () => {
+			const board = await helper.boardCreate("u1", { title: "Due dates" });
+			list = await helper.listCreate("u1", { board: board.id, title: "Todo" });
+		});
+
+		it("reject the start date after the due date", async () => {
+			expect.assertions(2);
+			const now = Date.now();
+			await checkError(
+				helper.cardCreate("u1", {
+					list: list.id,
+					title: "Wrong",
+					startDate: now + 2 * HOUR,
+					dueDate: now + HOUR
+				}),
+				{ type: "VALIDATION_ERROR" }
+			);
+
+			const card = await helper.cardCreate("u1", {
+				list: list.id,
+				title: "Right",
+				dueDate: now + HOUR
+			});
+			await checkError(helper.cardUpdate("u1", { id: card.id, startDate: now + 2 * HOUR }), {
+				type: "VALIDATION_ERROR"
+			});
+		});
+
+		it("list the due soon & overdue cards", async () => {
+			const now = Date.now();
+			const overdue = await helper.cardCreate("u1", {
+				list: list.id,
+				title: "Overdue",
+				dueDate: now - HOUR
+			});
+			await helper.cardCreate("u1", {
+				list: list.id,
+				title: "Later",
+				dueDate: now + 7 * 24 * HOUR
+			});
+			await helper.cardCreate("u1", { list: list.id, title: "No due date" });
+
+			const dueSoon = await helper.cardsAll("u1", { list: list.id, scope: ["dueSoon"] });
+			expect(dueSoon.map(card => card.title)).toEqual(["Right"]);
+
+			const res = await helper.cardsAll("u1", { list: list.id, scope: ["overdue"] });
+			expect(res.map(card => card.id)).toEqual([overdue.id]);
+		});
+	});
+
+	describe("Test board templates & duplication", () => {
+		it("'U2' can't duplicate the board of 'U1'", async () => {
+			expect.assertions(1);
+			await checkError(helper.boardDuplicate("u2", { id: state.boards.u1_b3.id }), {
+				name: "MoleculerClientError",
+				type: "ERR_NO_PERMISSION"
+			});
+		});
+
+		it("mark the board as template", async () => {
+			await helper.boardUpdate("u1", { id: state.boards.u1_b3.id, template: true });
+
+			const u1Templates = await helper.boardTemplates("u1");
+			expect(u1Templates.map(board => board.id)).toEqual([state.boards.u1_b3.id]);
+
+			const u2Templates = await helper.boardTemplates("u2");
+			expect(u2Templates).toEqual([]);
+		});
+
+		it("create board from the template", async () => {
+			const board = await helper.boardDuplicate("u1", {
+				id: state.boards.u1_b3.id,
+				title: "From template"
+			});
+			expect(board).toEqual(
+				expect.objectContaining({
+					title: "From template",
+					template: false,
+					owner: state.users.u1.id
+				})
+			);
+
+			const lists = await helper.listsAll("u1", { board: board.id });
+			expect(lists.map(list => list.title).sort()).toEqual(["L2", "Other"]);
+
+			const l2 = lists.find(list => list.title == "L2");
+			const cards = await helper.cardsAll("u1", { list: l2.id });
+			expect(cards.map(card => card.title).sort()).toEqual(["C1", "C2"]);
+			expect(cards.every(card => card.board == board.id)).toBe(true);
+		});
+	});
+
+	describe("Test board export & import", () => {
+		it("'U2' can't export the board of 'U1'", async () => {
+			expect.assertions(1);
+			await checkError(helper.boardExport("u2", state.boards.u1_b3.id), {
+				name: "EntityNotFoundError"
+			});
+		});
+
+		let comment;
+
+		it("export & import the board", async () => {
+			comment = await helper.commentCreate("u1", {
+				card: state.cards.c3.id,
+				body: "Exported"
+			});
+
+			const exported = await helper.boardExport("u1", state.boards.u1_b3.id);
+			expect(exported).toEqual(
+				expect.objectContaining({
+					version: 1,
+					board: expect.objectContaining({ title: "U1 B3" })
+				})
+			);
+			expect(exported.lists.length).toBe(2);
+			expect(exported.cards.length).toBe(4);
+
+			const board = await helper.boardImport("u2", exported);
+			expect(board).toEqual(
+				expect.objectContaining({ title: "U1 B3", owner: state.users.u2.id })
+			);
+			expect(board.id).not.toBe(state.boards.u1_b3.id);
+
+			const lists = await helper.listsAll("u2", { board: board.id });
+			expect(lists.map(list => list.title).sort()).toEqual(["L2", "Other"]);
+
+			const cards = await helper.cardsAll("u2", {
+				list: lists.find(list => list.title == "Other").id
+			});
+			expect(cards.map(card => card.title).sort()).toEqual(["C1 copy", "C3"]);
+
+			// The cards keep their numbers
+			const numberOf = title => exported.cards.find(card => card.title == title).number;
+			cards.forEach(card => expect(card.number).toBe(numberOf(card.title)));
+
+			// 'U1' is not a member of the imported board
+			const comments = await helper.commentsAll("u2", {
+				card: cards.find(card => card.title == "C3").id
+			});
+			expect(comments).toEqual([
+				expect.objectContaining({
+					author: state.users.u2.id,
+					authorName: "U1",
+					body: "Exported",
+					createdAt: comment.createdAt
+				})
+			]);
+		});
+
+		it("keep the comments of the importer", async () => {
+			const exported = await helper.boardExport("u1", state.boards.u1_b3.id);
+			const board = await helper.boardImport("u1", exported);
+
+			const lists = await helper.listsAll("u1", { board: board.id });
+			const cards = await helper.cardsAll("u1", {
+				list: lists.find(list => list.title == "Other").id
+			});
+			const comments = await helper.commentsAll("u1", {
+				card: cards.find(card => card.title == "C3").id
+			});
+			expect(comments).toEqual([
+				expect.objectContaining({
+					author: state.users.u1.id,
+					body: "Exported",
+					createdAt: comment.createdAt
+				})
+			]);
+			expect(comments[0].authorName).toBeUndefined();
+		});
+
+		it("reject unsupported export version", async () => {
+			expect.assertions(1);
+			await checkError(
+				helper.boardImport("u1", { version: 99, board: { title: "Future" } }),
+				{ name: "MoleculerClientError", type: "UNSUPPORTED_EXPORT_VERSION" }
+			);
+		});
+	});
+
+	describe("Test Trello import", () => {
+		const trello = {
+			name: "Trello board",
+			desc: "Imported from Trello",
+			labels: [
+				{ id: "tl1", name: "Feature", color: "green" },
+				{ id: "tl2", name: "", color: "red_dark" }
+			],
+			members: [
+				{ id: "tm1", username: "u1", fullName: "User 1" },
+				{ id: "tm2", username: "somebody", fullName: "Somebody Else" }
+			],
+			lists: [
+				{ id: "tli1", name: "Todo", pos: 1, closed: false },
+				{ id: "tli2", name: "Old", pos: 2, closed: true }
+			],
+			cards: [
+				{
+					id: "tc1",
+					idList: "tli1",
+					name: "Trello card",
+					desc: "Card description",
+					pos: 1,
+					due: "2030-01-02T10:00:00.000Z",
+					idLabels: ["tl1", "tl2"],
+					idMembers: ["tm1", "tm2"],
+					closed: false
+				},
+				{ id: "tc2", idList: "tli1", name: "Closed card", pos: 2, closed: true }
+			],
+			checklists: [
+				{
+					id: "tch1",
+					idCard: "tc1",
+					name: "Steps",
+					pos: 1,
+					checkItems: [
+						{ id: "ti1", name: "First", state: "complete", pos: 1 },
+						{ id: "ti2", name: "Second", state: "incomplete", pos: 2 }
+					]
+				}
+			],
+			actions: [
+				{
+					type: "commentCard",
+					idMemberCreator: "tm2",
+					memberCreator: { id: "tm2", username: "somebody", fullName: "Somebody Else" },
+					date: "2020-01-03T10:00:00.000Z",
+					data: { text: "Thanks", card: { id: "tc1" } }
+				},
+				{
+					type: "commentCard",
+					idMemberCreator: "tm1",
+					memberCreator: { id: "tm1", username: "u1", fullName: "User 1" },
+					date: "2020-01-02T10:00:00.000Z",
+					data: { text: "Nice", card: { id: "tc1" } }
+				},
+				{ type: "updateCard", data: { card: { id: "tc1" } } }
+			]
+		};
+
+		it("import the Trello board", async () => {
+			const res = await helper.boardImportTrello("u1", trello);
+			expect(res.unmappedMembers).toEqual([
+				{ id: "tm2", username: "somebody", fullName: "Somebody Else" }
+			]);
+			expect(res.board).toEqual(
+				expect.objectContaining({
+					title: "Trello board",
+					description: "Imported from Trello",
+					owner: state.users.u1.id,
+					labels: [
+						{ id: 1, name: "Feature", color: "#61bd4f" },
+						{ id: 2, name: "Red", color: "#eb5a46" }
+					]
+				})
+			);
+
+			const lists = await helper.listsAll("u1", { board: res.board.id });
+			expect(lists.map(list => list.title)).toEqual(["Todo"]);
+
+			const cards = await helper.cardsAll("u1", { list: lists[0].id });
+			expect(cards).toEqual([
+				expect.objectContaining({
+					title: "Trello card",
+					description: "Card description",
+					dueDate: Date.parse("2030-01-02T10:00:00.000Z"),
+					labels: [1, 2],
+					members: [state.users.u1.id]
+				})
+			]);
+
+			const comments = await helper.commentsAll("u1", {
+				card: cards[0].id,
+				sort: "createdAt"
+			});
+			expect(comments).toEqual([
+				expect.objectContaining({
+					author: state.users.u1.id,
+					body: "Nice",
+					createdAt: Date.parse("2020-01-02T10:00:00.000Z")
+				}),
+				expect.objectContaining({
+					author: state.users.u1.id,
+					authorName: "Somebody Else",
+					body: "Thanks",
+					createdAt: Date.parse("2020-01-03T10:00:00.000Z")
+				})
+			]);
+			expect(comments[0].authorName).toBeUndefined();
+		});
+	});
+
+	describe("Test CSV export of cards", () => {
+		let board;
+
+		const readStream = async stream => {
+			let res = "";
+			for await (const chunk of stream) res += chunk;
+			return res;
+		};
+
+		it("create board, list & cards by 'U1'", async () => {
+			board = await helper.boardCreate("u1", { title: "CSV board", key: "CSV" });
+			await helper.boardUpdate("u1", {
+				id: board.id,
+				labels: [
+					{ id: 1, name: "Feature", color: "#61bd4f" },
+					{ id: 2, name: "Red", color: "#eb5a46" }
+				]
+			});
+			const list = await helper.listCreate("u1", { board: board.id, title: "Todo" });
+			await helper.cardCreate("u1", {
+				list: list.id,
+				title: "First card",
+				description: "Card description",
+				dueDate: Date.parse("2030-01-02T10:00:00.000Z"),
+				labels: [1, 2],
+				members: [state.users.u1.id]
+			});
+			const closed = await helper.cardCreate("u1", { list: list.id, title: "Closed card" });
+			await helper.cardArchive("u1", closed.id);
+		});
+
+		it("'U2' can't export the cards of 'U1'", async () => {
+			expect.assertions(1);
+			await checkError(helper.cardsExportCsv("u2", { board: board.id }), {
+				name: "MoleculerClientError",
+				type: "ERR_HAS_NO_ACCESS"
+			});
+		});
+
+		it("export the cards of the board", async () => {
+			const csv = await readStream(await helper.cardsExportCsv("u1", { board: board.id }));
+			const lines = csv.trim().split("\r\n");
+			expect(lines[0]).toBe(
+				"Number,Title,Description,List,Labels,Members,Start date,Due date,Archived,Created at,Updated at"
+			);
+			expect(lines.length).toBe(3);
+			expect(lines[1]).toMatch(
+				/^CSV-1,First card,Card description,Todo,"Feature, Red",u1,,2030-01-02T10:00:00.000Z,no,/
+			);
+			expect(lines[2]).toMatch(/^CSV-2,Closed card,,Todo,,,,,yes,/);
+		});
+
+		it("escape the formulas", async () => {
+			const [list] = await helper.listsAll("u1", { board: board.id });
+			await helper.cardCreate("u1", { list: list.id, title: "=SUM(A1:A2)" });
+
+			const csv = await readStream(await helper.cardsExportCsv("u1", { board: board.id }));
+			const lines = csv.trim().split("\r\n");
+			expect(lines[3]).toMatch(/^CSV-3,'=SUM\(A1:A2\),,Todo,/);
+		});
+	});
+
+	describe("Test search", () => {
+		it("search in the boards, lists & cards of 'U1'", async () => {
+			const res = await helper.search("u1", { q: "trello" });
+			expect(res.boards.map(board => board.title)).toEqual(["Trello board"]);
+			expect(res.lists).toEqual([]);
+			expect(res.cards.map(card => card.title)).toEqual(["Trello card"]);
+		});
+
+		it("'U2' doesn't find the boards of 'U1'", async () => {
+			const res = await helper.search("u2", { q: "trello" });
+			expect(res).toEqual({ boards: [], lists: [], cards: [] });
+		});
+	});
+
+	describe("Test two-factor authentication", () => {
+		let recoveryCodes;
+
+		it("login with U3 account", async () => {
+			const res = await helper.login(state.users.u3.email, "u3-pass");
+
+			state.contexts.u3 = {
+				meta: {
+					userID: state.users.u3.id,
+					token: res.token,
+					roles: [C.ROLE_AUTHENTICATED, ...state.users.u3.roles]
+				}
+			};
+		});
+
+		it("init 2FA", async () => {
+			const res = await helper.init2Fa("u3");
+			expect(res).toEqual({
+				secret: expect.any(String),
+				otpauthURL: expect.stringMatching(/^otpauth:\/\/totp\//)
+			});
+		});
+
+		it("throw error if the token is invalid", async () => {
+			await checkError(helper.confirm2Fa("u3", { token: "000000" }), {
+				type: "TWOFACTOR_INVALID_TOKEN"
+			});
+		});
+
+		it("confirm 2FA", async () => {
+			const { token } = await helper.generate2FaToken("u3");
+			const res = await helper.confirm2Fa("u3", { token });
+			expect(res.recoveryCodes).toHaveLength(10);
+			expect(res.recoveryCodes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+
+			recoveryCodes = res.recoveryCodes;
+		});
+
+		it("throw error if 2FA code is missing", async () => {
+			await checkError(helper.login(state.users.u3.email, "u3-pass"), {
+				type: "ERR_MISSING_2FA_CODE"
+			});
+		});
+
+		it("login with a recovery code", async () => {
+			const res = await helper.login(state.users.u3.email, "u3-pass", {
+				recoveryCode: recoveryCodes[0].toUpperCase()
+			});
+			expect(res).toEqual({ token: expect.any(String), refreshToken: expect.any(String) });
+		});
+
+		it("throw error if the recovery code is used again", async () => {
+			await checkError(
+				helper.login(state.users.u3.email, "u3-pass", { recoveryCode: recoveryCodes[0] }),
+				{ type: "TWOFACTOR_INVALID_RECOVERY_CODE" }
+			);
+		});
+
+		it("regenerate the recovery codes", async () => {
+			const { token } = await helper.generate2FaToken("u3");
+			const res = await helper.regenerate2FaRecoveryCodes("u3", { token });
+			expect(res.recoveryCodes).toHaveLength(10);
+
+			await checkError(
+				helper.login(state.users.u3.email, "u3-pass", { recoveryCode: recoveryCodes[1] }),
+				{ type: "TWOFACTOR_INVALID_RECOVERY_CODE" }
+			);
+
+			recoveryCodes = res.recoveryCodes;
+		});
+
+		it("has no security keys", async () => {
+			const res = await helper.webauthnKeys("u3");
+			expect(res).toEqual([]);
+		});
+
+		it("throw error if the security key registration is not initialized", async () => {
+			await checkError(
+				helper.webauthnRegister("u3", { name: "Key", response: { id: "abc" } }),
+				{ type: "WEBAUTHN_NOT_INITIALIZED" }
+			);
+		});
+
+		it("generate security key registration options", async () => {
+			const res = await helper.webauthnRegisterOptions("u3");
+			expect(res).toEqual(
+				expect.objectContaining({
+					challenge: expect.any(String),
+					user: expect.objectContaining({ name: state.users.u3.email })
+				})
+			);
+		});
+
+		it("throw error if the security key response is invalid", async () => {
+			await checkError(
+				helper.webauthnRegister("u3", { name: "Key", response: { id: "abc" } }),
+				{ type: "WEBAUTHN_INVALID_RESPONSE" }
+			);
+		});
+
+		it("throw error if the security key is not found", async () => {
+			await checkError(helper.webauthnRemove("u3", { id: "abc" }), {
+				type: "WEBAUTHN_KEY_NOT_FOUND"
+			});
+		});
+
+		it("disable 2FA", async () => {
+			const { token } = await helper.generate2FaToken("u3");
+			const res = await helper.disable2Fa("u3", { token });
+			expect(res).toBe(true);
+
+			const login = await helper.login(state.users.u3.email, "u3-pass");
+			expect(login).toEqual({ token: expect.any(String), refreshToken: expect.any(String) });
+		});
+	});
+
+	describe("Test API keys", () => {
+		let readKey, writeKey;
+
+		it("create a read-only API key", async () => {
+			readKey = await helper.createApiKey("u1", { name: "CI read", scopes: ["read"] });
+			expect(readKey).toEqual({
+				id: expect.any(String),
+				name: "CI read",
+				scopes: ["read"],
+				createdAt: expect.any(Number),
+				token: expect.any(String)
+			});
+		});
+
+		it("create an API key", async () => {
+			writeKey = await helper.createApiKey("u1", { name: "CI" });
+			expect(writeKey.scopes).toEqual(["read", "write"]);
+		});
+
+		it("throw error if the expiry is in the past", async () => {
+			await checkError(
+				helper.createApiKey("u1", { name: "Old", expiry: Date.now() - 1000 }),
+				{
+					type: "INVALID_EXPIRY"
+				}
+			);
+		});
+
+		it("list the API keys without the key", async () => {
+			const res = await helper.apiKeys("u1");
+			expect(res.map(key => key.name)).toEqual(["CI read", "CI"]);
+			expect(res[0].token).toBeUndefined();
+
+			expect(await helper.apiKeys("u2")).toEqual([]);
+		});
+
+		it("resolve the user by API key", async () => {
+			const res = await helper.resolveApiKey(readKey.token);
+			expect(res).toEqual({
+				user: expect.objectContaining({ id: state.users.u1.id }),
+				apiKey: { id: readKey.id, name: "CI read", scopes: ["read"] }
+			});
+
+			const keys = await helper.apiKeys("u1");
+			expect(keys[0].lastUsedAt).toEqual(expect.any(Number));
+		});
+
+		it("throw error if the API key is invalid", async () => {
+			await checkError(helper.resolveApiKey("invalid"), { type: "INVALID_TOKEN" });
+		});
+
+		it("read-only API key can't call write actions", async () => {
+			const meta = {
+				...state.contexts.u1.meta,
+				apiKey: { id: readKey.id, name: "CI read", scopes: ["read"] }
+			};
+
+			const boards = await state.broker.call("v1.boards.list", {}, { meta });
+			expect(boards.total).toBeGreaterThan(0);
+
+			await checkError(
+				state.broker.call("v1.boards.create", { title: "Read-only" }, { meta }),
+				{ type: "ERR_API_KEY_SCOPE" }
+			);
+		});
+
+		it("read-only API key can't call write actions with GET method", async () => {
+			expect.assertions(2);
+			const meta = {
+				...state.contexts.u1.meta,
+				apiKey: { id: readKey.id, name: "CI read", scopes: ["read"] }
+			};
+
+			await checkError(
+				state.broker.call("v1.accounts.unlink", { provider: "github" }, { meta }),
+				{ type: "ERR_API_KEY_SCOPE" }
+			);
+			await checkError(
+				state.broker.call("v1.accounts.disable2Fa", { token: "000000" }, { meta }),
+				{ type: "ERR_API_KEY_SCOPE" }
+			);
+		});
+
+		it("credentials & sessions can't be managed with an API key", async () => {
+			const meta = {
+				...state.contexts.u1.meta,
+				apiKey: { id: writeKey.id, name: "CI", scopes: ["read", "write"] }
+			};
+			const calls = [
+				["apiKeys", {}],
+				["createApiKey", { name: "Other" }],
+				["revokeApiKey", { id: writeKey.id }],
+				["init2Fa", {}],
+				["confirm2Fa", { token: "000000" }],
+				["regenerate2FaRecoveryCodes", { token: "000000" }],
+				["disable2Fa", { token: "000000" }],
+				["webauthnKeys", {}],
+				["webauthnRegisterOptions", {}],
+				["webauthnRegister", { name: "Key", response: {} }],
+				["webauthnRemove", { id: "key" }],
+				["link", { provider: "github", profile: {} }],
+				["unlink", { provider: "github" }],
+				["sessions", {}],
+				["revokeSession", { id: "session" }],
+				["logout", {}],
+				["logoutEverywhere", {}]
+			];
+			expect.assertions(calls.length);
+
+			for (const [action, params] of calls) {
+				await checkError(state.broker.call(`v1.accounts.${action}`, params, { meta }), {
+					type: "ERR_API_KEY_NOT_ALLOWED"
+				});
+			}
+		});
+
+		it("'U2' can't revoke the API key of 'U1'", async () => {
+			await checkError(helper.revokeApiKey("u2", { id: readKey.id }), {
+				type: "API_KEY_NOT_FOUND"
+			});
+		});
+
+		it("revoke the API key", async () => {
+			const res = await helper.revokeApiKey("u1", { id: readKey.id });
+			expect(res).toBe(true);
+
+			await checkError(helper.resolveApiKey(readKey.token), { type: "INVALID_TOKEN" });
+		});
+	});
+
+	describe("Test login sessions", () => {
+		let login, rotatedRefreshToken;
+
+		const loginU3 = async () => {
+			login = await helper.login(state.users.u3.email, "u3-pass");
+
+			state.contexts.u3b = {
+				meta: {
+					userID: state.users.u3.id,
+					token: login.token,
+					roles: [C.ROLE_AUTHENTICATED, ...state.users.u3.roles]
+				}
+			};
+		};
+
+		it("login with U3 account again", loginU3);
+
+		it("resolve the user by access token", async () => {
+			const res = await helper.resolveToken(login.token);
+			expect(res.id).toBe(state.users.u3.id);
+		});
+
+		it("list the sessions", async () => {
+			const res = await helper.sessions("u3b");
+			expect(res.length).toBeGreaterThan(1);
+			expect(res.filter(session => session.current)).toEqual([
+				expect.objectContaining({
+					id: expect.any(String),
+					createdAt: expect.any(Number),
+					expiry: expect.any(Number),
+					current: true
+				})
+			]);
+			expect(res[0].token).toBeUndefined();
+		});
+
+		it("refresh the access token", async () => {
+			const res = await helper.refreshToken(login.refreshToken);
+			expect(res).toEqual({ token: expect.any(String), refreshToken: expect.any(String) });
+			expect(res.refreshToken).not.toBe(login.refreshToken);
+
+			const user = await helper.resolveToken(res.token);
+			expect(user.id).toBe(state.users.u3.id);
+
+			rotatedRefreshToken = login.refreshToken;
+			login = res;
+			state.contexts.u3b.meta.token = res.token;
+		});
+
+		it("revoke the session if a rotated refresh token is reused", async () => {
+			expect.assertions(3);
+			await checkError(helper.refreshToken(rotatedRefreshToken), { type: "INVALID_TOKEN" });
+
+			// The current tokens of the session are revoked, too
+			await checkError(helper.refreshToken(login.refreshToken), { type: "INVALID_TOKEN" });
+			await checkError(helper.resolveToken(login.token), { type: "INVALID_TOKEN" });
+		});
+
+		it("login with U3 account after the revoked session", loginU3);
+
+		it("'U2' can't revoke the session of 'U3'", async () => {
+			const sessions = await helper.sessions("u3");
+			const session = sessions.find(session => session.current);
+
+			await checkError(helper.revokeSession("u2", { id: session.id }), {
+				type: "SESSION_NOT_FOUND"
+			});
+		});
+
+		it("revoke a session", async () => {
+			const sessions = await helper.sessions("u3");
+			const session = sessions.find(session => session.current);
+
+			const res = await helper.revokeSession("u3b", { id: session.id });
+			expect(res).toBe(true);
+
+			await checkError(helper.resolveToken(state.contexts.u3.meta.token), {
+				type: "INVALID_TOKEN"
+			});
+		});
+
+		it("log out everywhere except the current session", async () => {
+			const res = await helper.logoutEverywhere("u3b", { keepCurrent: true });
+			expect(res).toBeGreaterThan(0);
+
+			const sessions = await helper.sessions("u3b");
+			expect(sessions).toEqual([expect.objectContaining({ current: true })]);
+		});
+
+		it("log out the current session", async () => {
+			const res = await helper.logout("u3b");
+			expect(res).toBe(true);
+
+			await checkError(helper.resolveToken(login.token), { type: "INVALID_TOKEN" });
+			await checkError(helper.refreshToken(login.refreshToken), { type: "INVALID_TOKEN" });
+		});
+	});
 });
@@ -35,6 +35,26 @@ async function checkBoardVisibility(fn, params, responses) {
 	}
 }
 
+/**
+ * Retry a check until it passes or the retries run out. The side effects of the
+ * event handlers (e.g. activities, cascades) are not awaited by the actions.
+ *
+ * @param {Function} fn
+ * @param {Object?} opts
+ * @param {Number} opts.retries
+ * @param {Number} opts.interval
+ */
+async function waitFor(fn, { retries = 50, interval = 20 } = {}) {
+	for (let attempt = 1; ; attempt++) {
+		try {
+			return await fn();
+		} catch (err) {
+			if (attempt >= retries) throw err;
+			await new Promise(resolve => setTimeout(resolve, interval));
+		}
+	}
+}
+
 function listResponse(rows) {
 	return {
 		page: 1,
@@ -49,5 +69,6 @@ module.exports = {
 	checkResponse,
 	checkError,
 	checkBoardVisibility,
+	waitFor,
 	listResponse
 };
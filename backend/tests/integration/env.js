@@ -1,3 +1,4 @@
+const os = require("os");
 const path = require("path");
 const Runner = require("moleculer").Runner;
 const kleur = require("kleur");
@@ -16,6 +17,10 @@ module.exports = function init() {
 		async setupEnv() {
 			console.log(kleur.magenta().bold("Booting Moleculer project for integration tests..."));
 			try {
+				// Store the uploaded files in a temporary folder
+				if (!process.env.STORAGE_FOLDER)
+					process.env.STORAGE_FOLDER = path.join(os.tmpdir(), "kantab-int-uploads");
+
 				const runner = new Runner();
 				const broker = await runner.start([
 					process.argv[0],
@@ -4,8 +4,84 @@ module.exports = function ({ broker, contexts }) {
 			return broker.call("v1.accounts.register", data);
 		},
 
-		login(email, password) {
-			return broker.call("v1.accounts.login", { email, password });
+		login(email, password, params = {}) {
+			return broker.call("v1.accounts.login", { email, password, ...params });
+		},
+
+		init2Fa(user) {
+			return broker.call("v1.accounts.init2Fa", {}, contexts[user]);
+		},
+
+		confirm2Fa(user, params = {}) {
+			return broker.call("v1.accounts.confirm2Fa", params, contexts[user]);
+		},
+
+		regenerate2FaRecoveryCodes(user, params = {}) {
+			return broker.call("v1.accounts.regenerate2FaRecoveryCodes", params, contexts[user]);
+		},
+
+		disable2Fa(user, params = {}) {
+			return broker.call("v1.accounts.disable2Fa", params, contexts[user]);
+		},
+
+		webauthnKeys(user) {
+			return broker.call("v1.accounts.webauthnKeys", {}, contexts[user]);
+		},
+
+		webauthnRegisterOptions(user) {
+			return broker.call("v1.accounts.webauthnRegisterOptions", {}, contexts[user]);
+		},
+
+		webauthnRegister(user, params = {}) {
+			return broker.call("v1.accounts.webauthnRegister", params, contexts[user]);
+		},
+
+		webauthnRemove(user, params = {}) {
+			return broker.call("v1.accounts.webauthnRemove", params, contexts[user]);
+		},
+
+		apiKeys(user) {
+			return broker.call("v1.accounts.apiKeys", {}, contexts[user]);
+		},
+
+		createApiKey(user, params = {}) {
+			return broker.call("v1.accounts.createApiKey", params, contexts[user]);
+		},
+
+		revokeApiKey(user, params = {}) {
+			return broker.call("v1.accounts.revokeApiKey", params, contexts[user]);
+		},
+
+		resolveApiKey(key) {
+			return broker.call("v1.accounts.resolveApiKey", { key });
+		},
+
+		resolveToken(token) {
+			return broker.call("v1.accounts.resolveToken", { token });
+		},
+
+		refreshToken(refreshToken) {
+			return broker.call("v1.accounts.refreshToken", { refreshToken });
+		},
+
+		sessions(user) {
+			return broker.call("v1.accounts.sessions", {}, contexts[user]);
+		},
+
+		revokeSession(user, params = {}) {
+			return broker.call("v1.accounts.revokeSession", params, contexts[user]);
+		},
+
+		logout(user) {
+			return broker.call("v1.accounts.logout", {}, contexts[user]);
+		},
+
+		logoutEverywhere(user, params = {}) {
+			return broker.call("v1.accounts.logoutEverywhere", params, contexts[user]);
+		},
+
+		generate2FaToken(user) {
+			return broker.call("v1.accounts.generate2FaToken", { id: contexts[user].meta.userID });
 		},
 
 		boardCreate(user, data) {
@@ -44,6 +120,10 @@ module.exports = function ({ broker, contexts }) {
 			return broker.call("v1.boards.removeMembers", params, contexts[user]);
 		},
 
+		boardSetMemberRole(user, params) {
+			return broker.call("v1.boards.setMemberRole", params, contexts[user]);
+		},
+
 		boardTransferOwnership(user, params) {
 			return broker.call("v1.boards.transferOwnership", params, contexts[user]);
 		},
@@ -58,6 +138,160 @@ module.exports = function ({ broker, contexts }) {
 
 		boardRemove(user, params = {}) {
 			return broker.call("v1.boards.remove", params, contexts[user]);
+		},
+
+		boardRestore(user, id) {
+			return broker.call("v1.boards.restore", { id }, contexts[user]);
+		},
+
+		boardDuplicate(user, params = {}) {
+			return broker.call("v1.boards.duplicate", params, contexts[user]);
+		},
+
+		boardTemplates(user) {
+			return broker.call("v1.boards.templates", {}, contexts[user]);
+		},
+
+		boardExport(user, id) {
+			return broker.call("v1.boards.export", { id }, contexts[user]);
+		},
+
+		boardImport(user, data) {
+			return broker.call("v1.boards.import", data, contexts[user]);
+		},
+
+		boardImportTrello(user, data) {
+			return broker.call("v1.boards.importTrello", data, contexts[user]);
+		},
+
+		listsAll(user, params = {}) {
+			return broker.call("v1.lists.find", params, contexts[user]);
+		},
+
+		listCreate(user, data) {
+			return broker.call("v1.lists.create", data, contexts[user]);
+		},
+
+		listRemove(user, params = {}) {
+			return broker.call("v1.lists.remove", params, contexts[user]);
+		},
+
+		listMove(user, params = {}) {
+			return broker.call("v1.lists.move", params, contexts[user]);
+		},
+
+		listArchive(user, id) {
+			return broker.call("v1.lists.archive", { id }, contexts[user]);
+		},
+
+		listUnarchive(user, id) {
+			return broker.call("v1.lists.unarchive", { id }, contexts[user]);
+		},
+
+		cardCreate(user, data) {
+			return broker.call("v1.cards.create", data, contexts[user]);
+		},
+
+		cardsAll(user, params = {}) {
+			return broker.call("v1.cards.find", params, contexts[user]);
+		},
+
+		cardUpdate(user, data) {
+			return broker.call("v1.cards.update", data, contexts[user]);
+		},
+
+		cardArchive(user, id) {
+			return broker.call("v1.cards.archive", { id }, contexts[user]);
+		},
+
+		cardUnarchive(user, id) {
+			return broker.call("v1.cards.unarchive", { id }, contexts[user]);
+		},
+
+		cardByID(user, params = {}) {
+			return broker.call("v1.cards.get", params, contexts[user]);
+		},
+
+		cardByNumber(user, params = {}) {
+			return broker.call("v1.cards.getByNumber", params, contexts[user]);
+		},
+
+		cardsExportCsv(user, params = {}) {
+			return broker.call("v1.cards.exportBoardCsv", params, contexts[user]);
+		},
+
+		search(user, params = {}) {
+			return broker.call("v1.search.search", params, contexts[user]);
+		},
+
+		cardMove(user, params = {}) {
+			return broker.call("v1.cards.move", params, contexts[user]);
+		},
+
+		cardCopy(user, params = {}) {
+			return broker.call("v1.cards.copy", params, contexts[user]);
+		},
+
+		attachmentUpload(user, card, stream, { filename, mimetype }) {
+			return broker.call("v1.card.attachments.upload", stream, {
+				meta: { ...contexts[user].meta, $params: { card }, filename, mimetype }
+			});
+		},
+
+		attachmentDownload(user, id) {
+			return broker.call("v1.card.attachments.download", { id }, contexts[user]);
+		},
+
+		attachmentRemove(user, id) {
+			return broker.call("v1.card.attachments.remove", { id }, contexts[user]);
+		},
+
+		commentsAll(user, params = {}) {
+			return broker.call("v1.card.comments.find", params, contexts[user]);
+		},
+
+		commentCreate(user, data) {
+			return broker.call("v1.card.comments.create", data, contexts[user]);
+		},
+
+		commentUpdate(user, params = {}) {
+			return broker.call("v1.card.comments.update", params, contexts[user]);
+		},
+
+		commentRemove(user, id) {
+			return broker.call("v1.card.comments.remove", { id }, contexts[user]);
+		},
+
+		commentReact(user, params = {}) {
+			return broker.call("v1.card.comments.react", params, contexts[user]);
+		},
+
+		invitationsList(user, params = {}) {
+			return broker.call("v1.invitations.list", params, contexts[user]);
+		},
+
+		invite(user, params = {}) {
+			return broker.call("v1.invitations.invite", params, contexts[user]);
+		},
+
+		myInvitations(user) {
+			return broker.call("v1.invitations.mine", null, contexts[user]);
+		},
+
+		invitationAccept(user, params = {}) {
+			return broker.call("v1.invitations.accept", params, contexts[user]);
+		},
+
+		invitationDecline(user, params = {}) {
+			return broker.call("v1.invitations.decline", params, contexts[user]);
+		},
+
+		invitationRevoke(user, id) {
+			return broker.call("v1.invitations.revoke", { id }, contexts[user]);
+		},
+
+		activitiesAll(user, params = {}) {
+			return broker.call("v1.activities.find", params, contexts[user]);
 		}
 	};
 };
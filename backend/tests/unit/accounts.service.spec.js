@@ -24,6 +24,19 @@ describe("Test Accounts service", () => {
 		await svc.updateEntity(null, { id, verified: true }, { permissive: true });
 	}
 
+	async function enable2Fa(svc, id) {
+		await svc.updateEntity(
+			null,
+			{ id, totp: { enabled: true, secret: "JBSWY3DPEHPK3PXP" } },
+			{ permissive: true }
+		);
+	}
+
+	async function generate2FaToken(broker, id) {
+		const res = await broker.call("accounts.generate2FaToken", { id });
+		return res.token;
+	}
+
 	async function disableAccount(broker, id) {
 		await broker.call("accounts.disable", { id });
 	}
@@ -179,7 +192,8 @@ describe("Test Accounts service", () => {
 					createdAt: expect.any(Number),
 					verified: true,
 					status: 1,
-					token: expect.any(String)
+					token: expect.any(String),
+					refreshToken: expect.any(String)
 				});
 
 				expect(mailSendMock).toHaveBeenCalledTimes(1);
@@ -252,7 +266,8 @@ describe("Test Accounts service", () => {
 
 				const res = await broker.call("accounts.verify", { token: user3VerificationToken });
 				expect(res).toEqual({
-					token: expect.any(String)
+					token: expect.any(String),
+					refreshToken: expect.any(String)
 				});
 
 				expect(mailSendMock).toHaveBeenCalledTimes(1);
@@ -382,7 +397,8 @@ describe("Test Accounts service", () => {
 						password: "password4"
 					});
 					expect(res).toEqual({
-						token: expect.any(String)
+						token: expect.any(String),
+						refreshToken: expect.any(String)
 					});
 				});
 
@@ -409,7 +425,8 @@ describe("Test Accounts service", () => {
 						password: "password4"
 					});
 					expect(res).toEqual({
-						token: expect.any(String)
+						token: expect.any(String),
+						refreshToken: expect.any(String)
 					});
 				});
 
@@ -836,7 +853,8 @@ describe("Test Accounts service", () => {
 						},
 						verified: true,
 						updatedAt: expect.any(Number),
-						token: expect.any(String)
+						token: expect.any(String),
+						refreshToken: expect.any(String)
 					});
 				});
 
@@ -857,7 +875,8 @@ describe("Test Accounts service", () => {
 						},
 						verified: true,
 						updatedAt: expect.any(Number),
-						token: expect.any(String)
+						token: expect.any(String),
+						refreshToken: expect.any(String)
 					});
 
 					// TODO: check that link action is not called.
@@ -881,7 +900,8 @@ describe("Test Accounts service", () => {
 						},
 						verified: true,
 						updatedAt: expect.any(Number),
-						token: expect.any(String)
+						token: expect.any(String),
+						refreshToken: expect.any(String)
 					});
 				});
 
@@ -936,7 +956,8 @@ describe("Test Accounts service", () => {
 						verified: true,
 						status: 1,
 						avatar: "social-avatar.jpg",
-						token: expect.any(String)
+						token: expect.any(String),
+						refreshToken: expect.any(String)
 					});
 				});
 			});
@@ -1000,7 +1021,8 @@ describe("Test Accounts service", () => {
 						},
 						verified: true,
 						updatedAt: expect.any(Number),
-						token: expect.any(String)
+						token: expect.any(String),
+						refreshToken: expect.any(String)
 					});
 				});
 
@@ -1024,7 +1046,8 @@ describe("Test Accounts service", () => {
 						},
 						verified: true,
 						updatedAt: expect.any(Number),
-						token: expect.any(String)
+						token: expect.any(String),
+						refreshToken: expect.any(String)
 					});
 				});
 
@@ -1049,7 +1072,8 @@ describe("Test Accounts service", () => {
 						},
 						verified: true,
 						updatedAt: expect.any(Number),
-						token: expect.any(String)
+						token: expect.any(String),
+						refreshToken: expect.any(String)
 					});
 				});
 			});
@@ -1245,7 +1269,8 @@ describe("Test Accounts service", () => {
 				});
 
 				expect(res).toEqual({
-					token: expect.any(String)
+					token: expect.any(String),
+					refreshToken: expect.any(String)
 				});
 			});
 
@@ -1271,7 +1296,8 @@ describe("Test Accounts service", () => {
 				});
 
 				expect(res).toEqual({
-					token: expect.any(String)
+					token: expect.any(String),
+					refreshToken: expect.any(String)
 				});
 
 				expect(await broker.call("accounts.resolve", { id: savedUser.id })).toEqual({
@@ -1280,6 +1306,43 @@ describe("Test Accounts service", () => {
 					updatedAt: expect.any(Number)
 				});
 			});
+
+			it("should require 2FA token if 2FA is enabled", async () => {
+				await enable2Fa(service, savedUser.id);
+				passwordlessToken = await generatePasswordlessToken(savedUser.id);
+
+				const res = await broker.call("accounts.passwordless", {
+					token: passwordlessToken
+				});
+
+				expect(res).toEqual({ twoFactorRequired: true });
+			});
+
+			it("should throw error if 2FA token is invalid", async () => {
+				expect.assertions(3);
+				try {
+					await broker.call("accounts.passwordless", {
+						token: passwordlessToken,
+						totpToken: "000000"
+					});
+				} catch (err) {
+					expect(err).toBeInstanceOf(E.MoleculerClientError);
+					expect(err.code).toBe(400);
+					expect(err.type).toBe("TWOFACTOR_INVALID_TOKEN");
+				}
+			});
+
+			it("should return token with valid 2FA token", async () => {
+				const res = await broker.call("accounts.passwordless", {
+					token: passwordlessToken,
+					totpToken: await generate2FaToken(broker, savedUser.id)
+				});
+
+				expect(res).toEqual({
+					token: expect.any(String),
+					refreshToken: expect.any(String)
+				});
+			});
 		});
 
 		describe("Test forgot password flow", () => {
@@ -1313,7 +1376,8 @@ describe("Test Accounts service", () => {
 					});
 
 					expect(res).toEqual({
-						token: expect.any(String)
+						token: expect.any(String),
+						refreshToken: expect.any(String)
 					});
 				});
 
@@ -1425,7 +1489,8 @@ describe("Test Accounts service", () => {
 					});
 
 					expect(res).toEqual({
-						token: expect.any(String)
+						token: expect.any(String),
+						refreshToken: expect.any(String)
 					});
 
 					expect(mailSendMock).toHaveBeenCalledTimes(1);
@@ -1464,7 +1529,8 @@ describe("Test Accounts service", () => {
 					});
 
 					expect(res).toEqual({
-						token: expect.any(String)
+						token: expect.any(String),
+						refreshToken: expect.any(String)
 					});
 				});
 
@@ -1482,6 +1548,41 @@ describe("Test Accounts service", () => {
 						expect(err.type).toBe("WRONG_PASSWORD");
 					}
 				});
+
+				it("should not change the password without 2FA token if 2FA is enabled", async () => {
+					await enable2Fa(service, savedUser.id);
+					resetToken = await generateResetPasswordToken(user.email);
+
+					const res = await broker.call("accounts.resetPassword", {
+						token: resetToken,
+						password: "newpass5678"
+					});
+
+					expect(res).toEqual({ twoFactorRequired: true });
+
+					const login = await broker.call("accounts.login", {
+						email: user.email,
+						password: "newpass1234",
+						token: await generate2FaToken(broker, savedUser.id)
+					});
+					expect(login).toEqual({
+						token: expect.any(String),
+						refreshToken: expect.any(String)
+					});
+				});
+
+				it("should change the password with valid 2FA token", async () => {
+					const res = await broker.call("accounts.resetPassword", {
+						token: resetToken,
+						password: "newpass5678",
+						totpToken: await generate2FaToken(broker, savedUser.id)
+					});
+
+					expect(res).toEqual({
+						token: expect.any(String),
+						refreshToken: expect.any(String)
+					});
+				});
 			});
 		});
 
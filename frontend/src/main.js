@@ -17,8 +17,7 @@ import { createPinia } from "pinia";
 //sync(store, router);
 
 // --- SOCKET.IO CLIENT ---
-//import VueWebsocket from "vue-websocket";
-//Vue.use(VueWebsocket);
+import { socket } from "./socket";
 
 // --- SERVICE WORKER ---
 import "./registerServiceWorker";
@@ -50,6 +49,7 @@ VueI18Next().then(i18n => {
 
 	app.config.globalProperties.$swal = swal;
 	app.config.globalProperties.$toast = iziToast;
+	app.config.globalProperties.$socket = socket;
 	//app.config.globalProperties.$apollo = apolloClient;
 
 	app.mount("#app");
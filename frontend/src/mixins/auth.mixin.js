@@ -1,10 +1,13 @@
 "use strict";
 
+import { startAuthentication } from "@simplewebauthn/browser";
 import SocialAuth from "../components/SocialAuth.vue";
+import TwoFactorCode from "../components/TwoFactorCode.vue";
 
 export default {
 	components: {
-		SocialAuth
+		SocialAuth,
+		TwoFactorCode
 	},
 	data() {
 		return {
@@ -14,10 +17,25 @@ export default {
 			username: "",
 			password: "",
 			error: null,
-			success: null
+			success: null,
+			need2FAToken: false,
+			useRecoveryCode: false,
+			twoFactorCode: "",
+			webauthnOptions: null,
+			webauthnResponse: null
 		};
 	},
 
+	computed: {
+		totpToken() {
+			return this.need2FAToken && !this.useRecoveryCode ? this.twoFactorCode : null;
+		},
+
+		recoveryCode() {
+			return this.need2FAToken && this.useRecoveryCode ? this.twoFactorCode : null;
+		}
+	},
+
 	methods: {
 		async submit() {
 			this.processing = true;
@@ -31,6 +49,39 @@ export default {
 				this.success = null;
 			}
 			this.processing = false;
+		},
+
+		/**
+		 * Show the two-factor code input
+		 * @param {Object?} webauthnOptions Options of the security key authentication
+		 */
+		ask2FACode(webauthnOptions) {
+			this.need2FAToken = true;
+			this.webauthnOptions = webauthnOptions;
+			this.webauthnResponse = null;
+			this.twoFactorCode = "";
+			this.success = "Open your authenticator app and enter the verification code";
+
+			this.$nextTick(() => this.$refs.twoFactorCode.focus());
+		},
+
+		/**
+		 * Authenticate with a security key instead of the two-factor code
+		 */
+		async useSecurityKey() {
+			try {
+				this.webauthnResponse = await startAuthentication(this.webauthnOptions);
+			} catch (err) {
+				this.error = err.message;
+				return;
+			}
+			await this.submit();
+		},
+
+		toggleRecoveryCode() {
+			this.useRecoveryCode = !this.useRecoveryCode;
+			this.twoFactorCode = "";
+			this.$nextTick(() => this.$refs.twoFactorCode.focus());
 		}
 	}
 };
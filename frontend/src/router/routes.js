@@ -28,6 +28,20 @@ export default [
 				name: "Board",
 				component: () => import("../pages/Board.vue"),
 				props: true
+			},
+			{
+				path: "/board/:id/card/:number",
+				name: "BoardCard",
+				component: () => import("../pages/Board.vue"),
+				props: true
+			},
+			{
+				path: "/invitation",
+				name: "invitation",
+				component: () => import("../pages/Invitation.vue"),
+				meta: {
+					requiresAuth: true
+				}
 			}
 		]
 	},
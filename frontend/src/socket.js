@@ -0,0 +1,27 @@
+import { io } from "socket.io-client";
+import Cookie from "js-cookie";
+
+const COOKIE_TOKEN_NAME = "jwt-token";
+
+// The connection is opened when the first board is subscribed.
+// The token is read at every (re)connection, so it follows the login/logout.
+export const socket = io({
+	autoConnect: false,
+	auth: cb => cb({ token: Cookie.get(COOKIE_TOKEN_NAME) })
+});
+
+/**
+ * Call a backend action via the socket.
+ *
+ * @param {String} action
+ * @param {Object} params
+ * @returns {Promise}
+ */
+export function socketCall(action, params) {
+	return new Promise((resolve, reject) => {
+		socket.emit("call", action, params, (err, res) => {
+			if (err) return reject(err);
+			resolve(res);
+		});
+	});
+}
@@ -2,14 +2,39 @@ import { defineStore } from "pinia";
 import { mainStore } from "./store";
 import Cookie from "js-cookie";
 const COOKIE_TOKEN_NAME = "jwt-token";
+const COOKIE_REFRESH_TOKEN_NAME = "refresh-token";
 const COOKIE_EXPIRED_DAYS = 90;
+// The access token expires in 15 minutes
+const TOKEN_REFRESH_INTERVAL = 10 * 60 * 1000;
+// Refresh the access token this much earlier than it expires
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
 
 import router from "../router";
 import { graphqlClient } from "../graphqlClient";
+import { socket } from "../socket";
 import { gql } from "graphql-request";
+import { startRegistration } from "@simplewebauthn/browser";
 
 import { defaultsDeep, isFunction } from "lodash";
 
+let refreshTimer = null;
+
+/**
+ * Get the expiry time of a JWT token.
+ *
+ * @param {String?} token
+ * @returns {Number?} Timestamp in milliseconds
+ */
+function getTokenExpiry(token) {
+	try {
+		const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+		const { exp } = JSON.parse(atob(payload));
+		return exp ? exp * 1000 : null;
+	} catch (err) {
+		return null;
+	}
+}
+
 export const authStore = defineStore({
 	// id is required so that Pinia can connect the store to the devtools
 	id: "authStore",
@@ -25,7 +50,7 @@ export const authStore = defineStore({
 
 	// --- ACTIONS ---
 	actions: {
-		async getMe() {
+		async getMe(retried = false) {
 			try {
 				const query = gql`
 					query {
@@ -48,6 +73,10 @@ export const authStore = defineStore({
 					}
 				`;
 				const data = await graphqlClient.request(query);
+				// The access token is expired
+				if (!data.me && !retried && (await this.refreshSession())) {
+					return await this.getMe(true);
+				}
 				this.user = data.me;
 
 				/*if (process.env.NODE_ENV == "production") {
@@ -108,22 +137,35 @@ export const authStore = defineStore({
 
 			return null;
 		},
-		async login({ email, password, token }) {
+		async login({ email, password, token, recoveryCode, webauthnResponse }) {
 			const query = gql`
-				mutation login($email: String!, $password: String, $token: String) {
-					login(email: $email, password: $password, token: $token) {
+				mutation login(
+					$email: String!
+					$password: String
+					$token: String
+					$recoveryCode: String
+					$webauthnResponse: JSON
+				) {
+					login(
+						email: $email
+						password: $password
+						token: $token
+						recoveryCode: $recoveryCode
+						webauthnResponse: $webauthnResponse
+					) {
 						token
+						refreshToken
 						passwordless
 						email
 					}
 				}
 			`;
-			const variables = { email, password, token };
+			const variables = { email, password, token, recoveryCode, webauthnResponse };
 			const data = await graphqlClient.request(query, variables);
 
 			if (data.login.token) {
 				console.log("data login token", data.login.token);
-				await this.applyToken(data.login.token);
+				await this.applyToken(data.login.token, data.login.refreshToken);
 				await mainStore().getBoards();
 
 				const redirect = router?.currentRoute?.value?.query?.redirect;
@@ -138,24 +180,119 @@ export const authStore = defineStore({
 		 *
 		 * @param {Store} store
 		 * @param {String} token
+		 * @param {String} refreshToken
 		 */
-		async applyToken(token) {
-			Cookie.set(COOKIE_TOKEN_NAME, token, { expires: COOKIE_EXPIRED_DAYS });
+		async applyToken(token, refreshToken) {
+			this.setTokens(token, refreshToken);
 			return await this.getMe();
 		},
 
-		async passwordless({ token }) {
+		/**
+		 * Store the access & refresh tokens and schedule the next refreshing.
+		 *
+		 * @param {String} token
+		 * @param {String} refreshToken
+		 */
+		setTokens(token, refreshToken) {
+			Cookie.set(COOKIE_TOKEN_NAME, token, { expires: COOKIE_EXPIRED_DAYS });
+			if (refreshToken) {
+				Cookie.set(COOKIE_REFRESH_TOKEN_NAME, refreshToken, {
+					expires: COOKIE_EXPIRED_DAYS
+				});
+			}
+			graphqlClient.setHeader("authorization", `Bearer ${token}`);
+
+			this.scheduleRefresh(token);
+		},
+
+		/**
+		 * Schedule the refresh of the access token before it expires.
+		 * The expired tokens are refreshed by `getMe` instead.
+		 *
+		 * @param {String?} token Access token
+		 */
+		scheduleRefresh(token) {
+			clearTimeout(refreshTimer);
+
+			const expiry = getTokenExpiry(token);
+			if (expiry && expiry <= Date.now()) return;
+
+			const delay = expiry
+				? Math.max(expiry - Date.now() - TOKEN_REFRESH_MARGIN, 0)
+				: TOKEN_REFRESH_INTERVAL;
+			refreshTimer = setTimeout(() => this.refreshSession(), delay);
+		},
+
+		/**
+		 * Get a new access token with the refresh token.
+		 *
+		 * @returns {Boolean} Refreshed or not
+		 */
+		async refreshSession() {
+			const refreshToken = Cookie.get(COOKIE_REFRESH_TOKEN_NAME);
+			if (!refreshToken) return false;
+
+			try {
+				const query = gql`
+					mutation accountRefreshToken($refreshToken: String!) {
+						accountRefreshToken(refreshToken: $refreshToken) {
+							token
+							refreshToken
+						}
+					}
+				`;
+				const variables = { refreshToken };
+				const data = await graphqlClient.request(query, variables);
+				this.setTokens(
+					data.accountRefreshToken.token,
+					data.accountRefreshToken.refreshToken
+				);
+				return true;
+			} catch (err) {
+				console.log("Unable to refresh the session", err);
+				this.clearTokens();
+			}
+			return false;
+		},
+
+		/**
+		 * Remove the stored tokens.
+		 */
+		clearTokens() {
+			clearTimeout(refreshTimer);
+			Cookie.remove(COOKIE_TOKEN_NAME);
+			Cookie.remove(COOKIE_REFRESH_TOKEN_NAME);
+			graphqlClient.setHeader("authorization", null);
+		},
+
+		async passwordless({ token, totpToken, recoveryCode, webauthnResponse }) {
 			const query = gql`
-				mutation passwordlessLogin($token: String!) {
-					passwordlessLogin(token: $token) {
+				mutation passwordlessLogin(
+					$token: String!
+					$totpToken: String
+					$recoveryCode: String
+					$webauthnResponse: JSON
+				) {
+					passwordlessLogin(
+						token: $token
+						totpToken: $totpToken
+						recoveryCode: $recoveryCode
+						webauthnResponse: $webauthnResponse
+					) {
 						token
+						refreshToken
+						twoFactorRequired
+						webauthnOptions
 					}
 				}
 			`;
-			const variables = { token };
+			const variables = { token, totpToken, recoveryCode, webauthnResponse };
 			const data = await graphqlClient.request(query, variables);
 			if (data.passwordlessLogin.token) {
-				await this.applyToken(data.passwordlessLogin.token);
+				await this.applyToken(
+					data.passwordlessLogin.token,
+					data.passwordlessLogin.refreshToken
+				);
 				await mainStore().getBoards();
 
 				const redirect = router?.currentRoute?.value?.query?.redirect;
@@ -172,10 +309,65 @@ export const authStore = defineStore({
 		 */
 		async logout(store) {
 			//store.commit("LOGOUT");
+			try {
+				// Revoke the login session
+				const query = gql`
+					mutation {
+						accountLogout
+					}
+				`;
+				await graphqlClient.request(query);
+			} catch (err) {
+				console.log("Unable to revoke the session", err);
+			}
 			this.user = null;
-			Cookie.remove(COOKIE_TOKEN_NAME);
+			this.clearTokens();
 			router.push({ name: "login" });
-			//this.$socket.disconnect();
+			socket.disconnect();
+		},
+
+		async getSessions() {
+			const query = gql`
+				query {
+					accountSessions {
+						id
+						device
+						ip
+						createdAt
+						lastUsedAt
+						current
+					}
+				}
+			`;
+			const data = await graphqlClient.request(query);
+			return data.accountSessions;
+		},
+
+		async revokeSession({ id }) {
+			const query = gql`
+				mutation accountRevokeSession($id: String!) {
+					accountRevokeSession(id: $id)
+				}
+			`;
+			const variables = { id };
+			await graphqlClient.request(query, variables);
+		},
+
+		async logoutEverywhere({ keepCurrent }) {
+			const query = gql`
+				mutation accountLogoutEverywhere($keepCurrent: Boolean) {
+					accountLogoutEverywhere(keepCurrent: $keepCurrent)
+				}
+			`;
+			const variables = { keepCurrent };
+			const data = await graphqlClient.request(query, variables);
+			if (!keepCurrent) {
+				this.user = null;
+				this.clearTokens();
+				router.push({ name: "login" });
+				socket.disconnect();
+			}
+			return data.accountLogoutEverywhere;
 		},
 
 		/**
@@ -199,25 +391,45 @@ export const authStore = defineStore({
 		 * @param {Store} store
 		 * @param {Object} param1
 		 */
-		async resetPassword({ token, password }) {
+		async resetPassword({ token, password, totpToken, recoveryCode, webauthnResponse }) {
 			const query = gql`
-				mutation resetPassword($token: String!, $password: String!) {
-					resetPassword(token: $token, password: $password) {
+				mutation resetPassword(
+					$token: String!
+					$password: String!
+					$totpToken: String
+					$recoveryCode: String
+					$webauthnResponse: JSON
+				) {
+					resetPassword(
+						token: $token
+						password: $password
+						totpToken: $totpToken
+						recoveryCode: $recoveryCode
+						webauthnResponse: $webauthnResponse
+					) {
 						token
+						refreshToken
+						twoFactorRequired
+						webauthnOptions
 					}
 				}
 			`;
-			const variables = { token, password };
+			const variables = { token, password, totpToken, recoveryCode, webauthnResponse };
 			const data = await graphqlClient.request(query, variables);
 
 			if (data.resetPassword.token) {
-				const user = await this.applyToken(data.resetPassword.token);
+				const user = await this.applyToken(
+					data.resetPassword.token,
+					data.resetPassword.refreshToken
+				);
 				await mainStore().getBoards();
 
 				router.push({ name: "home" });
 
 				return user;
 			}
+
+			return data.resetPassword;
 		},
 
 		/**
@@ -230,13 +442,17 @@ export const authStore = defineStore({
 				mutation accountVerify($token: String!) {
 					accountVerify(token: $token) {
 						token
+						refreshToken
 					}
 				}
 			`;
 			const variables = { token };
 			const data = await graphqlClient.request(query, variables);
 			if (data.accountVerify.token) {
-				const user = await this.applyToken(data.accountVerify.token);
+				const user = await this.applyToken(
+					data.accountVerify.token,
+					data.accountVerify.refreshToken
+				);
 				await mainStore().getBoards();
 				router.push({ name: "home" });
 
@@ -244,15 +460,30 @@ export const authStore = defineStore({
 			}
 		},
 
-		async finalize2FA({ token }) {
+		async confirm2FA({ token }) {
 			const query = gql`
-				mutation accountFinalize2FA($token: String) {
-					accountFinalize2FA(token: $token)
+				mutation accountConfirm2FA($token: String!) {
+					accountConfirm2FA(token: $token) {
+						recoveryCodes
+					}
 				}
 			`;
 			const variables = { token };
 			const data = await graphqlClient.request(query, variables);
-			return data;
+			return data.accountConfirm2FA;
+		},
+
+		async regenerate2FARecoveryCodes({ token }) {
+			const query = gql`
+				mutation accountRegenerate2FARecoveryCodes($token: String!) {
+					accountRegenerate2FARecoveryCodes(token: $token) {
+						recoveryCodes
+					}
+				}
+			`;
+			const variables = { token };
+			const data = await graphqlClient.request(query, variables);
+			return data.accountRegenerate2FARecoveryCodes;
 		},
 
 		async disable2FA({ token }) {
@@ -321,8 +552,12 @@ export const authStore = defineStore({
 			router.beforeEach(async (to, from, next) => {
 				// First restricted page (try to authenticate with token)
 				if (!from.name) {
-					const token = Cookie.get(COOKIE_TOKEN_NAME);
+					const token =
+						Cookie.get(COOKIE_TOKEN_NAME) || Cookie.get(COOKIE_REFRESH_TOKEN_NAME);
 					if (token) {
+						// Keep the session of the reloaded page alive
+						if (Cookie.get(COOKIE_REFRESH_TOKEN_NAME))
+							this.scheduleRefresh(Cookie.get(COOKIE_TOKEN_NAME));
 						this.getMe();
 					}
 				}
@@ -374,10 +609,10 @@ export const authStore = defineStore({
 			});
 		},
 
-		async enable2FA() {
+		async init2FA() {
 			const query = gql`
-				mutation accountEnable2FA {
-					accountEnable2FA {
+				mutation accountInit2FA {
+					accountInit2FA {
 						secret
 						otpauthURL
 					}
@@ -385,7 +620,65 @@ export const authStore = defineStore({
 			`;
 
 			const data = await graphqlClient.request(query);
-			return data.accountEnable2FA;
+			return data.accountInit2FA;
+		},
+
+		async getSecurityKeys() {
+			const query = gql`
+				query accountWebAuthnKeys {
+					accountWebAuthnKeys {
+						id
+						name
+						createdAt
+						lastUsedAt
+					}
+				}
+			`;
+
+			const data = await graphqlClient.request(query);
+			return data.accountWebAuthnKeys;
+		},
+
+		async registerSecurityKey({ name }) {
+			const optionsQuery = gql`
+				mutation accountWebAuthnRegisterOptions {
+					accountWebAuthnRegisterOptions
+				}
+			`;
+			const { accountWebAuthnRegisterOptions: options } = await graphqlClient.request(
+				optionsQuery
+			);
+
+			// Ask the browser to create a credential on the security key
+			const response = await startRegistration(options);
+
+			const query = gql`
+				mutation accountWebAuthnRegister($name: String!, $response: JSON!) {
+					accountWebAuthnRegister(name: $name, response: $response) {
+						key {
+							id
+							name
+							createdAt
+							lastUsedAt
+						}
+						recoveryCodes
+					}
+				}
+			`;
+			const variables = { name, response };
+			const data = await graphqlClient.request(query, variables);
+			return data.accountWebAuthnRegister;
+		},
+
+		async removeSecurityKey({ id }) {
+			const query = gql`
+				mutation accountWebAuthnRemove($id: String!) {
+					accountWebAuthnRemove(id: $id)
+				}
+			`;
+			const variables = { id };
+			const data = await graphqlClient.request(query, variables);
+			return data.accountWebAuthnRemove;
 		}
 	}
 });
@@ -1,7 +1,9 @@
 import { defineStore } from "pinia";
+import { omit } from "lodash";
 import { authStore } from "./authStore";
 import { graphqlClient } from "../graphqlClient";
 import { gql } from "graphql-request";
+import { socket, socketCall } from "../socket";
 import router from "../router";
 
 import toast from "../toast";
@@ -14,6 +16,17 @@ function showErrorToast(title) {
 	toast.error({ title });
 }
 
+// ID of the board whose room is joined via socket
+let subscribedBoardID = null;
+
+// Socket events of the cards which have an optimistic move in progress.
+// They are applied after the server response in order to keep the latest state.
+const pendingCardEvents = new Map();
+
+function sortByPosition(rows) {
+	rows.sort((a, b) => a.position - b.position);
+}
+
 export const mainStore = defineStore({
 	id: "mainStore",
 
@@ -55,8 +68,10 @@ export const mainStore = defineStore({
 							id
 							title
 							slug
+							key
 							description
 							public
+							template
 							archived
 							createdAt
 							updatedAt
@@ -78,10 +93,19 @@ export const mainStore = defineStore({
 									cards(page: 1, pageSize: 20, sort: "position") {
 										rows {
 											id
+											number
 											title
 											description
 											color
 											position
+											startDate
+											dueDate
+											updatedAt
+											checklistProgress {
+												done
+												total
+											}
+											commentCount
 										}
 										total
 									}
@@ -101,6 +125,7 @@ export const mainStore = defineStore({
 				const variables = { id };
 				const data = await graphqlClient.request(query, variables);
 				this.board = data.boardById;
+				if (this.board) this.subscribeBoard(this.board.id);
 				return data.boardById;
 			} catch (err) {
 				console.log("selectBoardById error", err);
@@ -108,6 +133,35 @@ export const mainStore = defineStore({
 			}
 		},
 
+		async getCardByNumber(board, number) {
+			try {
+				const query = gql`
+					query cardByNumber($board: String!, $number: Int!) {
+						cardByNumber(board: $board, number: $number) {
+							id
+							number
+							title
+							description
+							color
+							position
+							startDate
+							dueDate
+							list {
+								id
+							}
+						}
+					}
+				`;
+
+				const variables = { board, number };
+				const data = await graphqlClient.request(query, variables);
+				return data.cardByNumber;
+			} catch (err) {
+				console.log("getCardByNumber error", err);
+				showErrorToast("Could not load card: " + err.message);
+			}
+		},
+
 		async getBoards() {
 			try {
 				const query = gql`
@@ -119,6 +173,7 @@ export const mainStore = defineStore({
 								slug
 								description
 								public
+								template
 								archived
 								createdAt
 								updatedAt
@@ -148,8 +203,10 @@ export const mainStore = defineStore({
 							id
 							title
 							slug
+							key
 							description
 							public
+							template
 							archived
 							createdAt
 							updatedAt
@@ -174,6 +231,113 @@ export const mainStore = defineStore({
 			}
 		},
 
+		async getBoardTemplates() {
+			try {
+				const query = gql`
+					query boardTemplates {
+						boardTemplates {
+							id
+							title
+							description
+						}
+					}
+				`;
+				const data = await graphqlClient.request(query);
+				return data.boardTemplates;
+			} catch (err) {
+				console.error("getBoardTemplates error", err);
+				showErrorToast("Could not load board templates: " + err.message);
+				return [];
+			}
+		},
+
+		async search(q) {
+			try {
+				const query = gql`
+					query search($q: String!) {
+						search(q: $q) {
+							boards {
+								id
+								title
+								slug
+							}
+							lists {
+								id
+								title
+								board {
+									id
+									title
+									slug
+								}
+							}
+							cards {
+								id
+								title
+								number
+								board {
+									id
+									title
+								}
+							}
+						}
+					}
+				`;
+				const data = await graphqlClient.request(query, { q });
+				return data.search;
+			} catch (err) {
+				console.error("search error", err);
+				showErrorToast("Could not search: " + err.message);
+				return { boards: [], lists: [], cards: [] };
+			}
+		},
+
+		async duplicateBoard(input) {
+			try {
+				const query = gql`
+					mutation boardDuplicate(
+						$id: String!
+						$title: String
+						$description: String
+						$key: String
+						$public: Boolean
+					) {
+						boardDuplicate(
+							id: $id
+							title: $title
+							description: $description
+							key: $key
+							public: $public
+						) {
+							id
+							title
+							slug
+							key
+							description
+							public
+							template
+							archived
+							createdAt
+							updatedAt
+							owner {
+								username
+								fullName
+								avatar
+							}
+						}
+					}
+				`;
+
+				const data = await graphqlClient.request(query, input);
+				const created = data.boardDuplicate;
+
+				this.boards = [...this.boards, created];
+				showInfoToast(`Board '${created.title}' created`);
+			} catch (err) {
+				console.error("duplicateBoard err", err);
+				showErrorToast("Could not create board: " + err.message);
+			}
+		},
+
 		async updateBoard(input) {
 			try {
 				const query = gql`
@@ -182,8 +346,10 @@ export const mainStore = defineStore({
 							id
 							title
 							slug
+							key
 							description
 							public
+							template
 							archived
 							createdAt
 							updatedAt
@@ -237,6 +403,49 @@ export const mainStore = defineStore({
 			}
 		},
 
+		async acceptInvitation({ token }) {
+			try {
+				const query = gql`
+					mutation invitationAccept($token: String) {
+						invitationAccept(token: $token) {
+							id
+							title
+							slug
+						}
+					}
+				`;
+
+				const variables = { token };
+				const data = await graphqlClient.request(query, variables);
+				const board = data.invitationAccept;
+
+				await this.getBoards();
+				showInfoToast(`You joined the '${board.title}' board`);
+				return board;
+			} catch (err) {
+				console.error("acceptInvitation error: ", err);
+				showErrorToast("Could not accept invitation: " + err.message);
+			}
+		},
+
+		async declineInvitation({ token }) {
+			try {
+				const query = gql`
+					mutation invitationDecline($token: String) {
+						invitationDecline(token: $token)
+					}
+				`;
+
+				const variables = { token };
+				await graphqlClient.request(query, variables);
+				showInfoToast("Invitation declined");
+				return true;
+			} catch (err) {
+				console.error("declineInvitation error: ", err);
+				showErrorToast("Could not decline invitation: " + err.message);
+			}
+		},
+
 		async createList(input) {
 			try {
 				const query = gql`
@@ -262,7 +471,7 @@ export const mainStore = defineStore({
 				const variables = { input };
 				const data = await graphqlClient.request(query, variables);
 
-				this.board.lists.rows = [...this.board.lists.rows, data.listCreate];
+				this.upsertList(data.listCreate);
 				showInfoToast("List created");
 			} catch (err) {
 				console.error("createList err", err);
@@ -294,12 +503,7 @@ export const mainStore = defineStore({
 				const variables = { input };
 				const data = await graphqlClient.request(query, variables);
 
-				const found = this.board.lists.rows.find(b => b.id == data.listUpdate.id);
-				if (found) {
-					Object.assign(found, data.listUpdate);
-				} else {
-					this.board.lists.rows.push(data.listUpdate);
-				}
+				this.upsertList(data.listUpdate);
 				showInfoToast("List updated");
 			} catch (err) {
 				console.error("updateList error: ", err);
@@ -319,7 +523,7 @@ export const mainStore = defineStore({
 				const variables = { id };
 				const data = await graphqlClient.request(query, variables);
 
-				this.board.lists.rows = this.board.lists.rows.filter(b => b.id !== data.listRemove);
+				this.removeListFromBoard(data.listRemove);
 				showInfoToast("List removed");
 			} catch (err) {
 				console.error("removeList error: ", err);
@@ -333,10 +537,14 @@ export const mainStore = defineStore({
 					mutation cardCreate($input: CardCreateInput!) {
 						cardCreate(input: $input) {
 							id
+							number
 							title
 							description
 							position
 							color
+							startDate
+							dueDate
+							updatedAt
 						}
 					}
 				`;
@@ -344,19 +552,7 @@ export const mainStore = defineStore({
 				const variables = { input };
 				const data = await graphqlClient.request(query, variables);
 				const created = data.cardCreate;
-
-				let pos = null;
-				for (let i = 0; i < list.cards.rows.length; i++) {
-					if (list.cards.rows[i].position > created.position) {
-						pos = i;
-						break;
-					}
-				}
-				if (pos === null) {
-					list.cards.rows.push(created);
-				} else {
-					list.cards.rows.splice(pos, 0, created);
-				}
+				this.upsertCard(created, list.id);
 
 				showInfoToast(`Card '${created.title}' created`);
 			} catch (err) {
@@ -371,10 +567,14 @@ export const mainStore = defineStore({
 					mutation cardUpdate($input: CardUpdateInput!) {
 						cardUpdate(input: $input) {
 							id
+							number
 							title
 							description
 							position
 							color
+							startDate
+							dueDate
+							updatedAt
 						}
 					}
 				`;
@@ -383,13 +583,9 @@ export const mainStore = defineStore({
 				const data = await graphqlClient.request(query, variables);
 				const updated = data.cardUpdate;
 
-				const found = list.cards.rows.find(c => c.id == updated.id);
-				if (found) {
-					Object.assign(found, updated);
-				} else {
-					list.cards.rows.push(updated);
-				}
+				this.upsertCard(updated, input.list || list.id);
 				showInfoToast(`Card '${updated.title}' updated`);
+				return updated;
 			} catch (err) {
 				console.error("updateCard error: ", err);
 				showErrorToast("Could not update card: " + err.message);
@@ -406,8 +602,7 @@ export const mainStore = defineStore({
 				const variables = { id };
 				await graphqlClient.request(query, variables);
 
-				const idx = list.cards.rows.findIndex(c => c.id === id);
-				if (idx >= 0) list.cards.rows.splice(idx, 1);
+				this.removeCardFromBoard(id);
 				showInfoToast("Card removed");
 			} catch (err) {
 				console.error("removeCard error: ", err);
@@ -415,6 +610,204 @@ export const mainStore = defineStore({
 			}
 		},
 
+		async getBoardTrash(id) {
+			try {
+				const query = gql`
+					query boardTrash($id: String!) {
+						boardTrash(id: $id) {
+							lists {
+								id
+								title
+								deletedAt
+							}
+							cards {
+								id
+								number
+								title
+								deletedAt
+							}
+						}
+					}
+				`;
+
+				const variables = { id };
+				const data = await graphqlClient.request(query, variables);
+				return data.boardTrash;
+			} catch (err) {
+				console.error("getBoardTrash error: ", err);
+				showErrorToast("Could not load trash: " + err.message);
+			}
+		},
+
+		async restoreList({ id }) {
+			try {
+				const query = gql`
+					mutation listRestore($id: String!) {
+						listRestore(id: $id) {
+							id
+							title
+						}
+					}
+				`;
+
+				const variables = { id };
+				const data = await graphqlClient.request(query, variables);
+
+				// Reload the board because the cards of the list are restored, as well
+				await this.selectBoardById(this.board.id);
+				showInfoToast(`List '${data.listRestore.title}' restored`);
+				return data.listRestore;
+			} catch (err) {
+				console.error("restoreList error: ", err);
+				showErrorToast("Could not restore list: " + err.message);
+			}
+		},
+
+		async restoreCard({ id }) {
+			try {
+				const query = gql`
+					mutation cardRestore($id: String!) {
+						cardRestore(id: $id) {
+							id
+							title
+						}
+					}
+				`;
+
+				const variables = { id };
+				const data = await graphqlClient.request(query, variables);
+
+				await this.selectBoardById(this.board.id);
+				showInfoToast(`Card '${data.cardRestore.title}' restored`);
+				return data.cardRestore;
+			} catch (err) {
+				console.error("restoreCard error: ", err);
+				showErrorToast("Could not restore card: " + err.message);
+			}
+		},
+
+		async getBoardArchived(id) {
+			try {
+				const query = gql`
+					query boardArchived($id: String!) {
+						boardArchived(id: $id) {
+							lists {
+								id
+								title
+								archivedAt
+							}
+							cards {
+								id
+								number
+								title
+								archivedAt
+							}
+						}
+					}
+				`;
+
+				const variables = { id };
+				const data = await graphqlClient.request(query, variables);
+				return data.boardArchived;
+			} catch (err) {
+				console.error("getBoardArchived error: ", err);
+				showErrorToast("Could not load archived items: " + err.message);
+			}
+		},
+
+		async archiveList({ id }) {
+			try {
+				const query = gql`
+					mutation listArchive($id: String!) {
+						listArchive(id: $id) {
+							id
+							title
+						}
+					}
+				`;
+
+				const variables = { id };
+				const data = await graphqlClient.request(query, variables);
+
+				this.removeListFromBoard(id);
+				showInfoToast(`List '${data.listArchive.title}' archived`);
+				return data.listArchive;
+			} catch (err) {
+				console.error("archiveList error: ", err);
+				showErrorToast("Could not archive list: " + err.message);
+			}
+		},
+
+		async unarchiveList({ id }) {
+			try {
+				const query = gql`
+					mutation listUnarchive($id: String!) {
+						listUnarchive(id: $id) {
+							id
+							title
+						}
+					}
+				`;
+
+				const variables = { id };
+				const data = await graphqlClient.request(query, variables);
+
+				// Reload the board because the cards of the list are unarchived, as well
+				await this.selectBoardById(this.board.id);
+				showInfoToast(`List '${data.listUnarchive.title}' unarchived`);
+				return data.listUnarchive;
+			} catch (err) {
+				console.error("unarchiveList error: ", err);
+				showErrorToast("Could not unarchive list: " + err.message);
+			}
+		},
+
+		async archiveCard({ id }) {
+			try {
+				const query = gql`
+					mutation cardArchive($id: String!) {
+						cardArchive(id: $id) {
+							id
+							title
+						}
+					}
+				`;
+
+				const variables = { id };
+				const data = await graphqlClient.request(query, variables);
+
+				this.removeCardFromBoard(id);
+				showInfoToast(`Card '${data.cardArchive.title}' archived`);
+				return data.cardArchive;
+			} catch (err) {
+				console.error("archiveCard error: ", err);
+				showErrorToast("Could not archive card: " + err.message);
+			}
+		},
+
+		async unarchiveCard({ id }) {
+			try {
+				const query = gql`
+					mutation cardUnarchive($id: String!) {
+						cardUnarchive(id: $id) {
+							id
+							title
+						}
+					}
+				`;
+
+				const variables = { id };
+				const data = await graphqlClient.request(query, variables);
+
+				await this.selectBoardById(this.board.id);
+				showInfoToast(`Card '${data.cardUnarchive.title}' unarchived`);
+				return data.cardUnarchive;
+			} catch (err) {
+				console.error("unarchiveCard error: ", err);
+				showErrorToast("Could not unarchive card: " + err.message);
+			}
+		},
+
 		async changeListPosition({ fromIndex, toIndex }) {
 			let arr = this.board.lists.rows;
 
@@ -482,7 +875,9 @@ export const mainStore = defineStore({
 				card.position = newPosition;
 				list.cards.rows = result; // TODO
 
-				this.updateCard({
+				// Hold back the incoming changes of the card until the server responds
+				pendingCardEvents.set(card.id, []);
+				const updated = await this.updateCard({
 					list,
 					input: {
 						id: card.id,
@@ -490,10 +885,194 @@ export const mainStore = defineStore({
 						position: newPosition
 					}
 				});
+
+				const events = pendingCardEvents.get(card.id) || [];
+				pendingCardEvents.delete(card.id);
+				if (updated) {
+					// Apply the changes which happened after our move
+					events.forEach(data => this.upsertCard(data));
+				} else {
+					// The move is failed, reload the real state of the board
+					await this.selectBoardById(this.board.id);
+				}
 			} else {
 				// First call at moving between lists
 				list.cards.rows = result; // TODO
 			}
+		},
+
+		/**
+		 * Join the socket room of the board in order to receive the changes
+		 * made by other users.
+		 */
+		async subscribeBoard(id) {
+			this.initSocketListeners();
+
+			if (subscribedBoardID == id) return;
+			if (subscribedBoardID) await this.unsubscribeBoard();
+
+			subscribedBoardID = id;
+			if (socket.connected) {
+				await this.joinBoardRoom(id);
+			} else {
+				// The room will be joined in the "connect" handler
+				socket.connect();
+			}
+		},
+
+		async unsubscribeBoard() {
+			const id = subscribedBoardID;
+			subscribedBoardID = null;
+			if (id && socket.connected) {
+				try {
+					await socketCall("v1.boards.leaveRoom", { id });
+				} catch (err) {
+					console.debug("Unable to leave the board room", err);
+				}
+			}
+		},
+
+		async joinBoardRoom(id) {
+			try {
+				await socketCall("v1.boards.joinRoom", { id });
+			} catch (err) {
+				// E.g. public boards for not-members
+				console.debug("Unable to join the board room", err);
+			}
+		},
+
+		initSocketListeners() {
+			if (socket.hasListeners("connect")) return;
+
+			socket.on("connect", () => {
+				if (subscribedBoardID) this.joinBoardRoom(subscribedBoardID);
+			});
+
+			// Some changes may be lost while the connection was broken
+			socket.io.on("reconnect", () => {
+				if (subscribedBoardID) this.selectBoardById(subscribedBoardID);
+			});
+
+			socket.on("boards.updated", data => this.updateBoardFromEvent(data));
+			socket.on("boards.removed", data => this.removeBoardFromEvent(data));
+
+			socket.on("lists.created", data => this.upsertList(data));
+			socket.on("lists.updated", data => this.upsertList(data));
+			socket.on("lists.removed", data => this.removeListFromBoard(data.id));
+
+			const onCardChanged = data => {
+				if (pendingCardEvents.has(data.id)) {
+					pendingCardEvents.get(data.id).push(data);
+				} else {
+					this.upsertCard(data);
+				}
+			};
+			socket.on("cards.created", onCardChanged);
+			socket.on("cards.updated", onCardChanged);
+			socket.on("cards.removed", data => this.removeCardFromBoard(data.id));
+		},
+
+		updateBoardFromEvent(data) {
+			const changes = {
+				title: data.title,
+				slug: data.slug,
+				key: data.key,
+				description: data.description,
+				public: data.public,
+				archived: data.archived,
+				updatedAt: data.updatedAt
+			};
+			if (this.board?.id == data.id) Object.assign(this.board, changes);
+
+			const found = this.boards.find(b => b.id == data.id);
+			if (found) Object.assign(found, changes);
+		},
+
+		removeBoardFromEvent(data) {
+			this.boards = this.boards.filter(b => b.id !== data.id);
+			if (this.board?.id == data.id) {
+				showInfoToast(`Board '${this.board.title}' has been removed`);
+				this.board = null;
+				router.push({ name: "home" });
+			}
+		},
+
+		/**
+		 * Insert or update a list of the selected board.
+		 */
+		upsertList(data) {
+			if (!this.board) return;
+
+			// Moved to another board, or archived
+			if ((data.board && data.board != this.board.id) || data.archived) {
+				this.removeListFromBoard(data.id);
+				return;
+			}
+
+			const rows = this.board.lists.rows;
+			const found = rows.find(l => l.id == data.id);
+			if (found) {
+				// Keep the loaded cards
+				Object.assign(found, omit(data, ["cards"]));
+			} else {
+				rows.push({ cards: { rows: [], total: 0 }, ...data });
+			}
+			sortByPosition(rows);
+		},
+
+		removeListFromBoard(id) {
+			if (!this.board) return;
+			this.board.lists.rows = this.board.lists.rows.filter(l => l.id !== id);
+		},
+
+		/**
+		 * Insert, update or move a card of the selected board. The changes which are
+		 * older than the stored state are skipped.
+		 *
+		 * @param {Object} data Card entity
+		 * @param {String?} listID ID of the list of the card (if it's not in `data.list`)
+		 */
+		upsertCard(data, listID = data.list) {
+			if (!this.board) return;
+
+			// Moved to another board
+			if (data.board && data.board != this.board.id) {
+				this.removeCardFromBoard(data.id);
+				return;
+			}
+
+			const lists = this.board.lists.rows;
+			const fromList = lists.find(l => l.cards.rows.some(c => c.id == data.id));
+			const found = fromList?.cards.rows.find(c => c.id == data.id);
+
+			if (found && found.updatedAt > data.updatedAt) return;
+
+			const toList = listID ? lists.find(l => l.id == listID) : fromList;
+
+			// Moved to a list which is not loaded, or archived
+			if (!toList || data.archived) {
+				if (found) this.removeCardFromBoard(data.id);
+				return;
+			}
+
+			// The populated fields (e.g. checklistProgress) are kept
+			const changes = omit(data, ["list"]);
+			const card = found ? Object.assign(found, changes) : changes;
+
+			lists.forEach(l => {
+				if (l !== toList && l.cards.rows.some(c => c.id == data.id)) {
+					l.cards.rows = l.cards.rows.filter(c => c.id !== data.id);
+				}
+			});
+			if (!toList.cards.rows.some(c => c.id == data.id)) toList.cards.rows.push(card);
+			sortByPosition(toList.cards.rows);
+		},
+
+		removeCardFromBoard(id) {
+			if (!this.board) return;
+			this.board.lists.rows.forEach(l => {
+				l.cards.rows = l.cards.rows.filter(c => c.id !== id);
+			});
 		}
 	}
 });
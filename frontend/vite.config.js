@@ -21,7 +21,11 @@ export default defineConfig({
 			"/api": "http://localhost:4000",
 			"/auth": "http://localhost:4000",
 			"/locales": "http://localhost:4000",
-			"/graphql": "http://localhost:4000"
+			"/graphql": "http://localhost:4000",
+			"/socket.io": {
+				target: "ws://localhost:4000",
+				ws: true
+			}
 		}
 	}
 });
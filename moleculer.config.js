@@ -127,6 +127,7 @@ module.exports = {
 	middlewares: [
 		require("./backend/middlewares/async-context.middleware"),
 		require("./backend/middlewares/check-permissions.middleware"),
+		require("./backend/middlewares/api-key-scopes.middleware"),
 		require("./backend/middlewares/find-entity.middleware"),
 		require("./backend/middlewares/graphql-generator.middleware"),
 		require("./backend/middlewares/openapi-generator.middleware"),
@@ -0,0 +1,50 @@
+"use strict";
+
+const fs = require("fs");
+
+module.exports = {
+	command: "export-board",
+	description: "Export a board into a JSON file",
+	alias: ["eb"],
+	options: [
+		{
+			option: "-u, --user <userID>",
+			description: "User ID of a board member"
+		},
+		{
+			option: "-b, --board <boardID>",
+			description: "Board ID"
+		},
+		{
+			option: "-f, --file <filename>",
+			description: "Output JSON file (default: <boardID>.json)"
+		}
+	],
+	async action(broker, args, { kleur }) {
+		const { options } = args;
+		if (!options.user || !options.board) {
+			console.log(kleur.red().bold("The user ID and the board ID are required."));
+			return;
+		}
+
+		try {
+			const res = await broker.call(
+				"v1.boards.export",
+				{ id: options.board },
+				{ meta: { userID: options.user, $repl: true } }
+			);
+
+			const filename = options.file || `${options.board}.json`;
+			fs.writeFileSync(filename, JSON.stringify(res, null, 2), "utf8");
+			console.log(
+				kleur
+					.green()
+					.bold(
+						`The board '${res.board.title}' is exported to '${filename}' (${res.lists.length} lists, ${res.cards.length} cards).`
+					)
+			);
+		} catch (err) {
+			console.error(err);
+		}
+	}
+};
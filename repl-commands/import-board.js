@@ -0,0 +1,58 @@
+"use strict";
+
+const fs = require("fs");
+
+module.exports = {
+	command: "import-board",
+	description: "Import a board from an exported JSON file",
+	alias: ["ib"],
+	options: [
+		{
+			option: "-u, --user <userID>",
+			description: "User ID of the new owner"
+		},
+		{
+			option: "-f, --file <filename>",
+			description: "Exported JSON file"
+		},
+		{
+			option: "-t, --trello",
+			description: "The file is a Trello board export"
+		}
+	],
+	async action(broker, args, { kleur }) {
+		const { options } = args;
+		if (!options.user || !options.file) {
+			console.log(kleur.red().bold("The user ID and the filename are required."));
+			return;
+		}
+
+		try {
+			const data = JSON.parse(fs.readFileSync(options.file, "utf8"));
+			const meta = { userID: options.user, $repl: true };
+
+			let board;
+			if (options.trello) {
+				const res = await broker.call("v1.boards.importTrello", data, { meta });
+				board = res.board;
+				if (res.unmappedMembers.length > 0) {
+					console.log(
+						kleur.yellow(
+							`Unmapped Trello members: ${res.unmappedMembers
+								.map(member => member.username)
+								.join(", ")}`
+						)
+					);
+				}
+			} else {
+				board = await broker.call("v1.boards.import", data, { meta });
+			}
+
+			console.log(
+				kleur.green().bold(`The board '${board.title}' is imported with ID '${board.id}'.`)
+			);
+		} catch (err) {
+			console.error(err);
+		}
+	}
+};